@@ -4,253 +4,1608 @@
 
 const fs = require("fs");
 const readline = require("readline-sync");
-const SCHEDULE_FILE = "schedule.json";
-
-const days = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+const {
+  days,
+  PRIORITIES,
+  priorityRank,
+  depsOf,
+  toMinutes,
+  fromMinutes,
+  MAX_END_DAY_OFFSET,
+  endDayOffset,
+  daySegments,
+  Event,
+  withDetails,
+  MinHeap,
+  Graph,
+  insertSortedByStart,
+  buildDayMap,
+  buildHeapFromSchedule,
+  buildGraphFromSchedule
+} = require("./core.js");
+const { parseTime, parseDuration, parseEnd, parseTimeSpan, TAG_RE, CATEGORY_RE, toLabel } = require("./input.js");
+const Draw = require("./draw.js");
 
 // -----------------------------
-// Utility + DSA Structures
+// File IO helpers
 // -----------------------------
 
-class Event {
-  constructor(id, name, dayIndex, start_time, end_time, type = "fixed", depends_on = null) {
-    this.id = id; // unique id
-    this.name = name;
-    this.dayIndex = dayIndex; // 0..6
-    this.day = days[dayIndex];
-    this.start_time = start_time; // "HH:MM" or "N/A"
-    this.end_time = end_time;     // "HH:MM" or "23:59"
-    this.type = type; // "fixed" or "deadline" or "dependency"
-    this.depends_on = depends_on; // name or id of dependency (string or id)
+// schedule.json is { "version": SCHEMA_VERSION, "events": [...] }. Version 1 is
+// the bare array written by backend.c and earlier versions of this program.
+const SCHEMA_VERSION = 2;
+
+// MIGRATIONS[n] upgrades the events of a version n file to version n + 1
+const MIGRATIONS = {
+  1: (events, notes) => {
+    const upgraded = events.map(e => {
+      if (!e || typeof e !== "object" || Array.isArray(e)) return e;
+      const record = e.id ? e : { id: generateId(), ...e };
+      // backend.c writes deadlines as { "deadline": "23:59" } without start/end
+      if (record.deadline !== undefined) {
+        record.start = "N/A";
+        record.end = record.end || record.deadline;
+        delete record.deadline;
+      }
+      return record;
+    });
+    const added = upgraded.filter((e, i) => e !== events[i] && e && e.id).length;
+    if (added) notes.push(`${added} record(s) given an id`);
+    notes.push(...migrateDependencies(upgraded.filter(e => e && typeof e === "object" && !Array.isArray(e))));
+    return upgraded;
   }
+};
+
+// copies (or moves) a file aside as <file>.<tag>-<timestamp>; returns the new name
+function backupFile(file, tag, move = false) {
+  const backup = `${file}.${tag}-${new Date().toISOString().replace(/[:.]/g, "-")}`;
+  if (move) fs.renameSync(file, backup);
+  else fs.copyFileSync(file, backup);
+  return backup;
 }
 
-// MinHeap (by dayIndex then start_time if provided)
-class MinHeap {
-  constructor(arr = []) {
-    this.heap = [];
-    if (arr && arr.length) {
-      arr.forEach(e => this.insert(e));
+// splits records into ones that pass the schema and ones that don't; dependencies on
+// events that are not in the file are dropped from the valid ones
+function checkRecords(events, notes) {
+  const valid = [], rejected = [];
+  const seen = new Set();
+  events.forEach((e, idx) => {
+    if (!e || typeof e !== "object" || Array.isArray(e)) {
+      rejected.push({ label: `record ${idx + 1}`, errors: ["not an object"] });
+      return;
     }
+    cleanLabels(e, notes);
+    const errors = recordErrors(e);
+    if (typeof e.id !== "string" || !e.id) errors.unshift("id is missing");
+    else if (seen.has(e.id)) errors.unshift(`id ${e.id} is used twice`);
+    if (errors.length) {
+      rejected.push({ label: `record ${idx + 1} ('${e.event}')`, errors });
+      return;
+    }
+    seen.add(e.id);
+    valid.push(e);
+  });
+  valid.forEach(e => {
+    const missing = depsOf(e).filter(id => !seen.has(id));
+    if (!missing.length) return;
+    const kept = depsOf(e).filter(id => seen.has(id));
+    e.depends_on = kept.length ? kept : null;
+    notes.push(`'${e.event}': dependency on missing event ${missing.join(", ")} removed`);
+  });
+  return { valid, rejected };
+}
+
+// categories and tags saved before they were limited to TAG_RE / CATEGORY_RE are cleaned
+// up (see toLabel) rather than costing the record
+function cleanLabels(e, notes) {
+  if (typeof e.category === "string" && !CATEGORY_RE.test(e.category)) {
+    const category = toLabel(e.category, true);
+    notes.push(`'${e.event}': category '${e.category}' → ${category ? `'${category}'` : "none"}`);
+    e.category = category;
   }
+  if (Array.isArray(e.tags) && !e.tags.every(t => typeof t === "string" && TAG_RE.test(t))) {
+    const tags = normalizeTags(e.tags.map(t => toLabel(t)).filter(Boolean));
+    notes.push(`'${e.event}': tags ${e.tags.join(", ")} → ${tags ? tags.join(", ") : "none"}`);
+    e.tags = tags;
+  }
+}
 
-  _compare(a, b) {
-    // deadlines: earliest dayIndex first; if equal, keep original order
-    if (a.dayIndex !== b.dayIndex) return a.dayIndex - b.dayIndex;
-    // if both have start_time in "HH:MM", compare them (else keep a before b)
-    if (a.start_time && b.start_time && a.start_time !== "N/A" && b.start_time !== "N/A") {
-      return a.start_time.localeCompare(b.start_time);
-    }
-    return 0;
+// Loads, migrates and validates schedule.json. Nothing the user wrote is lost: an
+// unparseable file is moved aside, and a file with bad records is backed up before
+// the bad records are dropped. `quiet` keeps stdout clean for cli.js --json;
+// `timetable` ({ name, file }) defaults to the one this run uses.
+function loadSchedule({ quiet = false, timetable = currentTimetable() } = {}) {
+  const file = timetable.file;
+  if (!fs.existsSync(file)) return [];
+  // an unreadable file throws here, before anything can overwrite it
+  const raw = fs.readFileSync(file, "utf8");
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (err) {
+    const backup = backupFile(file, "corrupt", true);
+    console.error(`⚠️  ${file} is not valid JSON (${err.message}). Moved it to ${backup} and started empty.`);
+    return [];
+  }
+  const fileVersion = Array.isArray(data) ? 1 : data && data.version;
+  let events = Array.isArray(data) ? data : data && data.events;
+  if (!Number.isInteger(fileVersion) || fileVersion < 1 || !Array.isArray(events)) {
+    const backup = backupFile(file, "corrupt", true);
+    console.error(`⚠️  ${file} has no "version" and "events". Moved it to ${backup} and started empty.`);
+    return [];
+  }
+  if (fileVersion > SCHEMA_VERSION) {
+    throw new Error(`${file} is schema version ${fileVersion}, but this program only reads up to version ${SCHEMA_VERSION}`);
   }
 
-  insert(event) {
-    this.heap.push(event);
-    this._bubbleUp(this.heap.length - 1);
+  const notes = [];
+  if (fileVersion < SCHEMA_VERSION) {
+    notes.push(`schema version ${fileVersion} → ${SCHEMA_VERSION} (old file kept as ${backupFile(file, `v${fileVersion}`)})`);
+    for (let v = fileVersion; v < SCHEMA_VERSION; v++) events = MIGRATIONS[v](events, notes);
+  }
+  const { valid, rejected } = checkRecords(events, notes);
+  if (rejected.length) {
+    const backup = backupFile(file, "invalid");
+    console.error(`⚠️  Set aside ${rejected.length} invalid record(s) from ${file} (the full file is kept as ${backup}):`);
+    rejected.forEach(r => console.error(`   - ${r.label}: ${r.errors.join("; ")}`));
   }
+  if (notes.length && !quiet) {
+    console.log(`Updated ${file}:`);
+    notes.forEach(n => console.log("  " + n));
+  }
+  if (notes.length || rejected.length) saveSchedule(valid, { quiet, timetable, change: "cleaned up on load" });
+  return valid;
+}
 
-  _bubbleUp(i) {
-    while (i > 0) {
-      const parent = Math.floor((i - 1) / 2);
-      if (this._compare(this.heap[i], this.heap[parent]) < 0) {
-        [this.heap[i], this.heap[parent]] = [this.heap[parent], this.heap[i]];
-        i = parent;
-      } else break;
+// writes a temp file next to `file` and renames it over, so a crash mid-write
+// never leaves a half-written file behind
+function writeFileAtomic(file, text) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  try {
+    const fd = fs.openSync(tmp, "w");
+    try {
+      fs.writeSync(fd, text);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
     }
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    fs.rmSync(tmp, { force: true });
+    throw err;
   }
+}
 
-  peek() {
-    return this.heap.length ? this.heap[0] : null;
+// Every save is recorded in the history log as `change` (what happened) under
+// `action` ("change", or "undo" / "redo" / "restore" from the history helpers).
+// Returns the dependency timing problems of what was saved (null if the write failed).
+function saveSchedule(arr, { quiet = false, change = "save", action = "change", timetable = currentTimetable() } = {}) {
+  const { file } = timetable;
+  const history = historyFileFor(file);
+  // the file being replaced seeds an empty history, so the first change can be undone
+  const seed = fs.existsSync(history) ? null : currentFileEvents(file);
+  try {
+    writeFileAtomic(file, JSON.stringify({ version: SCHEMA_VERSION, events: arr }, null, 2));
+  } catch (err) {
+    console.error(`Failed to write ${file}:`, err);
+    return null;
   }
-
-  extractMin() {
-    if (!this.heap.length) return null;
-    const min = this.heap[0];
-    const end = this.heap.pop();
-    if (this.heap.length) {
-      this.heap[0] = end;
-      this._sinkDown(0);
-    }
-    return min;
+  if (seed) appendHistory(history, "baseline", "before history was kept", seed);
+  appendHistory(history, action, change, arr);
+  const issues = validateDependencyTiming(arr);
+  if (issues.length && !quiet) {
+    console.log("\n⚠️  Dependency timing problems:");
+    issues.forEach(i => console.log("   - " + i.message));
   }
+  return issues;
+}
 
-  _sinkDown(i) {
-    const n = this.heap.length;
-    while (true) {
-      let smallest = i;
-      const left = 2 * i + 1;
-      const right = 2 * i + 2;
-      if (left < n && this._compare(this.heap[left], this.heap[smallest]) < 0) smallest = left;
-      if (right < n && this._compare(this.heap[right], this.heap[smallest]) < 0) smallest = right;
-      if (smallest !== i) {
-        [this.heap[i], this.heap[smallest]] = [this.heap[smallest], this.heap[i]];
-        i = smallest;
-      } else break;
-    }
+// -----------------------------
+// History: undo / redo / restore
+// -----------------------------
+// schedule.history.jsonl gets one line per save: { seq, at, action, summary, events }.
+// `events` is the whole timetable after that save, so any line can be restored as-is.
+// Lines are appended (undo and redo are themselves new lines); every HISTORY_COMPACT_EVERY
+// saves the log is cut back to about HISTORY_LIMIT entries, oldest first.
+const HISTORY_LIMIT = 200;
+const HISTORY_COMPACT_EVERY = 50;
+
+// events of schedule.json as it is on disk, if it is a current-version file
+function currentFileEvents(file) {
+  try {
+    const doc = JSON.parse(fs.readFileSync(file, "utf8"));
+    return doc && doc.version === SCHEMA_VERSION && Array.isArray(doc.events) ? doc.events : null;
+  } catch (err) {
+    return null;
   }
+}
 
-  size() {
-    return this.heap.length;
+function parseHistoryLine(line) {
+  try {
+    return JSON.parse(line);
+  } catch (err) {
+    return null; // a line cut short by a crash
   }
+}
 
-  // non-destructive sorted list
-  asSortedArray() {
-    // copy and extract to produce sorted list, leave original untouched
-    const copy = new MinHeap(this.heap.slice());
-    const out = [];
-    while (copy.size()) out.push(copy.extractMin());
-    return out;
+// the history of `timetable` (by default the one this run uses), oldest first
+function readHistory(timetable = currentTimetable()) {
+  return readHistoryFile(historyFileFor(timetable.file));
+}
+
+function readHistoryFile(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, "utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map(parseHistoryLine)
+    .filter(Boolean);
+}
+
+// the newest entry, read from the end of the file so a save does not parse the whole log
+function lastHistoryEntry(file) {
+  if (!fs.existsSync(file)) return null;
+  const fd = fs.openSync(file, "r");
+  try {
+    let pos = fs.fstatSync(fd).size;
+    let tail = Buffer.alloc(0);
+    while (pos > 0) {
+      const len = Math.min(64 * 1024, pos);
+      pos -= len;
+      const chunk = Buffer.alloc(len);
+      fs.readSync(fd, chunk, 0, len, pos);
+      tail = Buffer.concat([chunk, tail]);
+      // a complete last line has a newline before it (or starts the file)
+      const end = tail[tail.length - 1] === 0x0a ? tail.length - 1 : tail.length;
+      const start = tail.lastIndexOf(0x0a, end - 1);
+      if (start !== -1 || pos === 0) {
+        const entry = parseHistoryLine(tail.subarray(start + 1, end).toString("utf8"));
+        if (entry) return entry;
+        break;
+      }
+    }
+  } finally {
+    fs.closeSync(fd);
   }
+  // the last line is damaged: the newest entry that still parses
+  const history = readHistoryFile(file);
+  return history[history.length - 1] || null;
 }
 
-// Graph for dependencies (works with event names or IDs)
-class Graph {
-  constructor() {
-    this.adj = new Map(); // node -> [neighbors]
+// false when a crash cut the last line short (it has no newline yet)
+function endsWithNewline(file) {
+  const fd = fs.openSync(file, "r");
+  try {
+    const size = fs.fstatSync(fd).size;
+    const last = Buffer.alloc(1);
+    return size === 0 || (fs.readSync(fd, last, 0, 1, size - 1) === 1 && last[0] === 0x0a);
+  } finally {
+    fs.closeSync(fd);
   }
-  addEdge(u, v) {
-    if (!this.adj.has(u)) this.adj.set(u, []);
-    this.adj.get(u).push(v);
+}
+
+// drops the oldest entries beyond HISTORY_LIMIT. The cut lands on a plain change whose
+// replay leaves undo / redo where the full log has them, so only the reach of undo shrinks.
+function compactHistory(file) {
+  const history = readHistoryFile(file);
+  if (history.length <= HISTORY_LIMIT) return;
+  const full = replayHistory(history);
+  const sameTail = (part, whole) => part.every((h, i) => h === whole[whole.length - part.length + i]);
+  for (let cut = history.length - HISTORY_LIMIT; cut > 0; cut--) {
+    if (history[cut].action === "undo" || history[cut].action === "redo") continue;
+    const kept = replayHistory(history.slice(cut));
+    if (kept.undone.length !== full.undone.length || !sameTail(kept.undone, full.undone) || !sameTail(kept.done, full.done)) continue;
+    writeFileAtomic(file, history.slice(cut).map(h => JSON.stringify(h) + "\n").join(""));
+    return;
   }
-  clear() {
-    this.adj.clear();
+}
+
+function appendHistory(file, action, summary, events) {
+  const last = lastHistoryEntry(file);
+  // saving the same timetable again is not a change
+  if (action === "change" && last && JSON.stringify(last.events) === JSON.stringify(events)) return;
+  const entry = { seq: last ? last.seq + 1 : 1, at: new Date().toISOString(), action, summary, events };
+  try {
+    const fresh = fs.existsSync(file) && !endsWithNewline(file) ? "\n" : "";
+    fs.appendFileSync(file, fresh + JSON.stringify(entry) + "\n");
+    if (entry.seq % HISTORY_COMPACT_EVERY === 0) compactHistory(file);
+  } catch (err) {
+    console.error(`Failed to write ${file}:`, err.message);
   }
-  // returns boolean whether a cycle exists
-  hasCycle() {
-    const visited = new Set();
-    const stack = new Set();
-    const self = this;
+}
 
-    function dfs(node) {
-      if (!self.adj.has(node)) return false;
-      visited.add(node);
-      stack.add(node);
-      for (const nb of self.adj.get(node)) {
-        if (!visited.has(nb) && dfs(nb)) return true;
-        if (stack.has(nb)) return true;
-      }
-      stack.delete(node);
-      return false;
+// replays the log: `done` ends with the entry for the current timetable,
+// `undone` holds what redo would bring back (newest last)
+function replayHistory(history) {
+  const done = [], undone = [];
+  for (const h of history) {
+    if (h.action === "undo" && done.length > 1) undone.push(done.pop());
+    else if (h.action === "redo" && undone.length) done.push(undone.pop());
+    else if (h.action !== "undo" && h.action !== "redo") {
+      done.push(h);
+      undone.length = 0;
     }
+  }
+  return { done, undone };
+}
 
-    for (const node of this.adj.keys()) {
-      if (!visited.has(node) && dfs(node)) return true;
+// each returns the history entry it undid / redid / restored, or null if there was nothing to do;
+// `options` go to saveSchedule (quiet, timetable)
+function undoChange(options = {}) {
+  const { done } = replayHistory(readHistory(options.timetable));
+  if (done.length < 2) return null;
+  const last = done[done.length - 1];
+  if (!saveSchedule(done[done.length - 2].events, { ...options, action: "undo", change: `undo: ${last.summary}` })) return null;
+  return last;
+}
+
+function redoChange(options = {}) {
+  const { undone } = replayHistory(readHistory(options.timetable));
+  if (!undone.length) return null;
+  const next = undone[undone.length - 1];
+  if (!saveSchedule(next.events, { ...options, action: "redo", change: `redo: ${next.summary}` })) return null;
+  return next;
+}
+
+function restoreHistory(seq, options = {}) {
+  const entry = readHistory(options.timetable).find(h => h.seq === seq);
+  if (!entry) return null;
+  if (!saveSchedule(entry.events, { ...options, action: "restore", change: `restore #${seq} (${entry.summary})` })) return null;
+  return entry;
+}
+
+// version 1 files stored depends_on as a single free-text value (name or id);
+// resolve names to ids and store a list
+function migrateDependencies(schedule) {
+  const notes = [];
+  for (const e of schedule) {
+    if (e.depends_on && !Array.isArray(e.depends_on)) {
+      e.depends_on = [e.depends_on];
+      notes.push(`'${e.event}': dependency stored as a list`);
     }
-    return false;
+    const resolved = [];
+    for (const dep of depsOf(e)) {
+      if (schedule.some(d => d.id === dep)) {
+        resolved.push(dep);
+        continue;
+      }
+      const match = schedule.find(d => d.event === dep && d.id !== e.id);
+      if (match) {
+        notes.push(`'${e.event}' → '${match.event}' [${match.id}]`);
+        resolved.push(match.id);
+      } else {
+        notes.push(`'${e.event}': no event called '${dep}', dependency removed`);
+      }
+    }
+    if (e.depends_on) e.depends_on = resolved.length ? resolved : null;
   }
+  return notes;
 }
 
 // -----------------------------
-// File IO helpers
+// Timetables (named profiles)
 // -----------------------------
+// timetables.json lists them: { "active": "<name>", "timetables": [{ "name", "file" }] }.
+// Without it there is a single timetable, "Default", kept in schedule.json.
+// Each timetable keeps its own history next to its file.
+const TIMETABLES_FILE = "timetables.json";
+const TIMETABLES_DIR = "timetables";
+const DEFAULT_TIMETABLE = { name: "Default", file: "schedule.json" };
 
-function loadSchedule() {
-  if (!fs.existsSync(SCHEDULE_FILE)) return [];
+function loadTimetables() {
+  const fallback = { active: DEFAULT_TIMETABLE.name, timetables: [{ ...DEFAULT_TIMETABLE }] };
+  if (!fs.existsSync(TIMETABLES_FILE)) return fallback;
   try {
-    const raw = fs.readFileSync(SCHEDULE_FILE, "utf8");
-    const arr = JSON.parse(raw);
-    return arr;
+    const reg = JSON.parse(fs.readFileSync(TIMETABLES_FILE, "utf8"));
+    if (Array.isArray(reg.timetables) && reg.timetables.length) return reg;
   } catch (err) {
-    console.error("Failed to read schedule.json:", err);
-    return [];
+    // reported below
   }
+  const backup = backupFile(TIMETABLES_FILE, "corrupt", true);
+  console.error(`⚠️  ${TIMETABLES_FILE} is unreadable. Moved it to ${backup}; only the Default timetable is listed.`);
+  return fallback;
 }
 
-function saveSchedule(arr) {
-  try {
-    fs.writeFileSync(SCHEDULE_FILE, JSON.stringify(arr, null, 2));
-  } catch (err) {
-    console.error("Failed to write schedule.json:", err);
+function saveTimetables(reg) {
+  writeFileAtomic(TIMETABLES_FILE, JSON.stringify(reg, null, 2));
+}
+
+function findTimetable(reg, name) {
+  const key = String(name).trim().toLowerCase();
+  return reg.timetables.find(t => t.name.toLowerCase() === key) || null;
+}
+
+function historyFileFor(file) {
+  return file.replace(/\.json$/, "") + ".history.jsonl";
+}
+
+function remindersFileFor(file) {
+  return file.replace(/\.json$/, "") + ".reminders.json";
+}
+
+// the timetable a run starts on: $TIMETABLE if set, else the active one
+function defaultTimetableName() {
+  return process.env.TIMETABLE || loadTimetables().active;
+}
+
+// { name, file } of a listed timetable, or null if unknown
+function getTimetable(name) {
+  const t = findTimetable(loadTimetables(), name);
+  return t ? { name: t.name, file: t.file } : null;
+}
+
+// The timetable this run works on, which loadSchedule / saveSchedule / the history use
+// unless given one. Picked on first use: $TIMETABLE for one run without changing the
+// active one, else the active one.
+let current = null;
+
+function currentTimetable() {
+  if (!current) {
+    const name = defaultTimetableName();
+    current = getTimetable(name);
+    if (!current) {
+      const { active } = loadTimetables();
+      console.error(`⚠️  No timetable called '${name}', using '${active}'.`);
+      current = getTimetable(active) || { ...DEFAULT_TIMETABLE };
+    }
   }
+  return current;
+}
+
+// makes a timetable the one this run works on; returns it, or null if unknown
+function useTimetable(name) {
+  const t = getTimetable(name);
+  if (t) current = t;
+  return t;
+}
+
+// The operations below throw an Error with a message meant for the user.
+function checkNewTimetableName(reg, name, except) {
+  const trimmed = String(name || "").trim();
+  if (!trimmed) throw new Error("A timetable needs a name.");
+  if (trimmed.length > 60) throw new Error("Timetable names are at most 60 characters.");
+  const taken = findTimetable(reg, trimmed);
+  if (taken && taken !== except) throw new Error(`There is already a timetable called '${taken.name}'.`);
+  return trimmed;
+}
+
+// timetables/<slug>.json, numbered if the slug is taken
+function timetableFileFor(reg, name) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "timetable";
+  let file = `${TIMETABLES_DIR}/${slug}.json`;
+  for (let n = 2; reg.timetables.some(t => t.file === file) || fs.existsSync(file); n++) {
+    file = `${TIMETABLES_DIR}/${slug}-${n}.json`;
+  }
+  return file;
+}
+
+// a new, empty timetable, or a copy of `copyFrom`'s events
+function createTimetable(name, copyFrom) {
+  const reg = loadTimetables();
+  const trimmed = checkNewTimetableName(reg, name);
+  const source = copyFrom ? findTimetable(reg, copyFrom) : null;
+  if (copyFrom && !source) throw new Error(`No timetable called '${copyFrom}'.`);
+
+  const file = timetableFileFor(reg, trimmed);
+  fs.mkdirSync(TIMETABLES_DIR, { recursive: true });
+  if (source && fs.existsSync(source.file)) fs.copyFileSync(source.file, file);
+  else writeFileAtomic(file, JSON.stringify({ version: SCHEMA_VERSION, events: [] }, null, 2));
+  const created = { name: trimmed, file };
+  reg.timetables.push(created);
+  saveTimetables(reg);
+  return created;
+}
+
+// makes a timetable the active one, for this run and the next ones
+function switchTimetable(name) {
+  const reg = loadTimetables();
+  const t = findTimetable(reg, name);
+  if (!t) throw new Error(`No timetable called '${name}'.`);
+  reg.active = t.name;
+  saveTimetables(reg);
+  return useTimetable(t.name);
+}
+
+// only the name changes; the file stays where it is
+function renameTimetable(name, newName) {
+  const reg = loadTimetables();
+  const t = findTimetable(reg, name);
+  if (!t) throw new Error(`No timetable called '${name}'.`);
+  const trimmed = checkNewTimetableName(reg, newName, t);
+  if (reg.active === t.name) reg.active = trimmed;
+  if (current && current.name === t.name) current.name = trimmed;
+  t.name = trimmed;
+  saveTimetables(reg);
+  return t;
+}
+
+// unlists a timetable and moves its files aside (<file>.deleted-<timestamp>); returns the backups
+function deleteTimetable(name) {
+  const reg = loadTimetables();
+  const t = findTimetable(reg, name);
+  if (!t) throw new Error(`No timetable called '${name}'.`);
+  if (reg.timetables.length === 1) throw new Error("The only timetable cannot be deleted.");
+  reg.timetables = reg.timetables.filter(x => x !== t);
+  if (reg.active === t.name) reg.active = reg.timetables[0].name;
+  saveTimetables(reg);
+  const backups = [t.file, historyFileFor(t.file), remindersFileFor(t.file)].filter(f => fs.existsSync(f)).map(f => backupFile(f, "deleted", true));
+  if (current && current.name === t.name) useTimetable(reg.active);
+  return backups;
 }
 
 // -----------------------------
 // Helpers: id, format, insertion
 // -----------------------------
+// ids handed out by this process; bulk operations (planner, imports) mint
+// many ids within the same millisecond
+const issuedIds = new Set();
 function generateId() {
-  return `${Date.now()}-${Math.floor(Math.random() * 10000)}`;
-}
-
-function padTimeHHMM(s) {
-  if (!s) return "N/A";
-  if (s === "N/A") return "N/A";
-  // accept "9:5" or "0905" etc; convert to "HH:MM"
-  if (s.includes(":")) {
-    let [h, m] = s.split(":").map(x => x.trim());
-    h = h.padStart(2, "0");
-    m = m.padStart(2, "0");
-    return `${h}:${m}`;
+  let id;
+  do {
+    id = `${Date.now()}-${Math.floor(Math.random() * 10000)}`;
+  } while (issuedIds.has(id));
+  issuedIds.add(id);
+  return id;
+}
+
+// -----------------------------
+// Upcoming deadlines
+// -----------------------------
+// deadline occurrences from `from` over the next `span` days, earliest first.
+// Done and skipped ones are left out unless `finished` asks for them instead.
+function buildUpcomingDeadlineHeap(schedule, from = today(), span = UPCOMING_DAYS, { finished = false } = {}) {
+  const deadlines = schedule.filter(e => e.type === "deadline");
+  const occurrences = expandOccurrences(deadlines, from, addDays(from, span - 1)).map(o => {
+    const ev = withDetails(new Event(o.id, o.event, days.indexOf(o.day), "N/A", o.end, "deadline", depsOf(o.record)), o.record);
+    ev.date = o.date;
+    ev.status = statusOn(o.record, parseISODate(o.date));
+    return ev;
+  });
+  return new MinHeap(occurrences.filter(ev => FINISHED_STATUSES.includes(ev.status) === finished));
+}
+
+// -----------------------------
+// Dates + recurrence
+// -----------------------------
+// Events without `date` or `recurrence` repeat every week on `day`, forever.
+// `date` pins a one-off event; `recurrence` bounds a weekly rule:
+//   { freq: "weekly", interval: <weeks>, start_date, end_date, exceptions: [dates] }
+const UPCOMING_DAYS = 14;
+
+// "YYYY-MM-DD" -> local Date at midnight (null if not a real date)
+function parseISODate(s) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(s || "");
+  if (!m) return null;
+  const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  return d.getMonth() === Number(m[2]) - 1 && d.getDate() === Number(m[3]) ? d : null;
+}
+
+function toISODate(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function addDays(d, n) {
+  const x = new Date(d);
+  x.setDate(x.getDate() + n);
+  return x;
+}
+
+// rounding absorbs DST shifts between two local midnights
+function daysBetween(a, b) {
+  return Math.round((b - a) / 86400000);
+}
+
+// Monday = 0 .. Sunday = 6, like `days`
+function weekdayIndex(d) {
+  return (d.getDay() + 6) % 7;
+}
+
+function today() {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+}
+
+// does the event (record or Event) happen on this date?
+function occursOn(e, date) {
+  const iso = toISODate(date);
+  if (e.date) return e.date === iso;
+  if (days[weekdayIndex(date)] !== e.day) return false;
+  const rule = e.recurrence;
+  if (!rule) return true;
+  if ((rule.exceptions || []).includes(iso)) return false;
+  const start = parseISODate(rule.start_date), end = parseISODate(rule.end_date);
+  if (start && date < start) return false;
+  if (end && date > end) return false;
+  if (!start) return true;
+  // count weeks from the first matching weekday on/after start_date
+  const first = addDays(start, (days.indexOf(e.day) - weekdayIndex(start) + 7) % 7);
+  const interval = Math.max(1, Number(rule.interval) || 1);
+  return (daysBetween(first, date) / 7) % interval === 0;
+}
+
+// concrete occurrences between two dates (inclusive), by date then start time
+function expandOccurrences(schedule, from, to) {
+  const out = [];
+  for (let d = new Date(from); d <= to; d = addDays(d, 1)) {
+    for (const e of schedule) {
+      if (!occursOn(e, d)) continue;
+      out.push({ id: e.id, event: e.event, day: e.day, date: toISODate(d), start: e.start, end: e.end, type: e.type, record: e });
+    }
+  }
+  const startKey = o => (o.start && o.start !== "N/A" ? o.start : "99:99");
+  return out.sort((a, b) => a.date.localeCompare(b.date) || startKey(a).localeCompare(startKey(b)));
+}
+
+// could two events on the same weekday ever land on the same date? Day map entries that
+// continue an event from an earlier day (`part` > 0) are matched on the date they cover.
+function mayCoincide(a, b) {
+  const pa = a.part || 0, pb = b.part || 0;
+  if (a.date) return occursOn(b, addDays(parseISODate(a.date), pa - pb));
+  if (b.date) return occursOn(a, addDays(parseISODate(b.date), pb - pa));
+  if (!a.recurrence && !b.recurrence) return true;
+  const bound = (e, key) => parseISODate(e.recurrence && e.recurrence[key]);
+  const starts = [bound(a, "start_date"), bound(b, "start_date")].filter(Boolean);
+  const ends = [bound(a, "end_date"), bound(b, "end_date")].filter(Boolean);
+  const from = starts.length ? new Date(Math.max(...starts)) : today();
+  // weekly rules repeat within a year, so that is as far as we need to look
+  const to = addDays(ends.length ? new Date(Math.min(...ends)) : addDays(from, 371), Math.max(pa, pb));
+  for (let d = from; d <= to; d = addDays(d, 1)) {
+    if (occursOn(a, addDays(d, -pa)) && occursOn(b, addDays(d, -pb))) return true;
+  }
+  return false;
+}
+
+function describeWhen(e) {
+  if (e.date) return `${e.day} ${e.date}`;
+  const r = e.recurrence;
+  if (!r) return `every ${e.day}`;
+  const every = r.interval > 1 ? `every ${r.interval} weeks on ${e.day}` : `every ${e.day}`;
+  const range = `${r.start_date ? " from " + r.start_date : ""}${r.end_date ? " to " + r.end_date : ""}`;
+  const skips = r.exceptions && r.exceptions.length ? ` (except ${r.exceptions.join(", ")})` : "";
+  return every + range + skips;
+}
+
+// -----------------------------
+// Events past midnight
+// -----------------------------
+// (what end_day_offset means, endDayOffset and daySegments are in core.js)
+// " next day" / " +2 days" after an end time; "" for events within one day
+function endDayText(e) {
+  const n = endDayOffset(e);
+  return n === 1 ? " next day" : n > 1 ? ` +${n} days` : "";
+}
+
+// minutes from start to end, across midnight(s)
+function spanMinutes(e) {
+  const start = toMinutes(e.start), end = toMinutes(e.end);
+  return start === null || end === null ? 0 : endDayOffset(e) * 1440 + end - start;
+}
+
+// events that started on an earlier day and are still running on `date`:
+// [{ e, part, from }] where `from` is the date it started
+function continuingOn(schedule, date) {
+  const out = [];
+  schedule.forEach(e => {
+    daySegments(e).filter(seg => seg.part > 0).forEach(seg => {
+      const from = addDays(date, -seg.part);
+      if (occursOn(e, from)) out.push({ e, part: seg.part, from: toISODate(from) });
+    });
+  });
+  return out;
+}
+
+// -----------------------------
+// Natural input: days
+// -----------------------------
+// (times, durations and end times are parsed in input.js, which the dashboard's editor loads too)
+const DAY_WORDS = { today: 0, tonight: 0, tomorrow: 1, tmrw: 1, yesterday: -1 };
+
+// "2026-10-23", "today", "tomorrow", "in 3 days", "in 2 weeks", "fri", "this friday",
+// "next fri" -> local midnight. A weekday alone is the coming one (today counts);
+// "next <day>" is that day in the following week (weeks start on Monday).
+function parseDay(text, from = today()) {
+  const s = String(text == null ? "" : text).trim().toLowerCase().replace(/\s+/g, " ");
+  if (!s) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return parseISODate(s);
+  if (Object.hasOwn(DAY_WORDS, s)) return addDays(from, DAY_WORDS[s]);
+  let m = /^in (\d+) (day|week)s?$/.exec(s);
+  if (m) return addDays(from, Number(m[1]) * (m[2] === "week" ? 7 : 1));
+  m = /^(this |next )?([a-z]{2,})$/.exec(s);
+  if (!m) return null;
+  const matches = days.filter(d => d.toLowerCase().startsWith(m[2]));
+  if (matches.length !== 1) return null;
+  const target = days.indexOf(matches[0]);
+  if (m[1] === "next ") return addDays(weekStart(from), 7 + target);
+  return addDays(from, (target - weekdayIndex(from) + 7) % 7);
+}
+
+// -----------------------------
+// Conflict engine: clashes + free slots (port of backend.c)
+// -----------------------------
+const WORK_START = "08:00";
+const WORK_END = "22:00";
+
+// timed (fixed/planned) events of one start-sorted day list as [start, end) minute intervals;
+// entries of events running past midnight only cover their part of the day
+function dayIntervals(dayEvents) {
+  return dayEvents
+    .filter(ev => ev.type === "fixed" || ev.type === "planned")
+    .map(ev => ({
+      ev,
+      start: ev.part ? 0 : toMinutes(ev.start_time),
+      end: ev.part < ev.end_day_offset ? 1440 : toMinutes(ev.end_time)
+    }))
+    .filter(iv => iv.start !== null && iv.end !== null && iv.end > iv.start);
+}
+
+// every overlapping pair of timed events, per day
+function detectClashes(schedule) {
+  const dayMap = buildDayMap(schedule);
+  const clashes = [];
+  for (const [dayIndex, list] of dayMap.entries()) {
+    const ivs = dayIntervals(list);
+    // intervals are sorted by start, so j only overlaps i while it starts before i ends
+    for (let i = 0; i < ivs.length; i++) {
+      for (let j = i + 1; j < ivs.length && ivs[j].start < ivs[i].end; j++) {
+        if (!mayCoincide(ivs[i].ev, ivs[j].ev)) continue;
+        clashes.push({
+          day: days[dayIndex],
+          a: ivs[i].ev,
+          b: ivs[j].ev,
+          from: fromMinutes(ivs[j].start),
+          to: fromMinutes(Math.min(ivs[i].end, ivs[j].end))
+        });
+      }
+    }
+  }
+  return clashes;
+}
+
+// gaps between timed events inside working hours, per day
+function findFreeSlots(schedule, workStart = WORK_START, workEnd = WORK_END) {
+  const ws = toMinutes(workStart), we = toMinutes(workEnd);
+  const dayMap = buildDayMap(schedule);
+  const slots = [];
+  for (const [dayIndex, list] of dayMap.entries()) {
+    let cursor = ws;
+    for (const iv of dayIntervals(list)) {
+      if (iv.start >= we) break;
+      if (iv.end <= cursor) continue;
+      if (iv.start > cursor) slots.push({ day: days[dayIndex], start: fromMinutes(cursor), end: fromMinutes(iv.start) });
+      cursor = iv.end;
+    }
+    if (cursor < we) slots.push({ day: days[dayIndex], start: fromMinutes(cursor), end: fromMinutes(we) });
+  }
+  return slots;
+}
+
+// events in `schedule` that a (new or edited) record would overlap with (each once,
+// even when they meet on more than one of the days an event past midnight covers)
+function findConflictsFor(schedule, record) {
+  const others = schedule.filter(e => e.id !== record.id);
+  const found = new Map();
+  detectClashes([...others, record])
+    .filter(c => c.a.id === record.id || c.b.id === record.id)
+    .map(c => (c.a.id === record.id ? c.b : c.a))
+    .forEach(ev => { if (!found.has(ev.id)) found.set(ev.id, ev); });
+  return [...found.values()];
+}
+
+// warn about overlaps before saving; returns false if the user backs out
+function confirmNoClash(schedule, record) {
+  if (record.type !== "fixed") return true;
+  const clashes = findConflictsFor(schedule, record);
+  if (!clashes.length) return true;
+  console.log(`⚠️  '${record.event}' (${record.day} ${record.start}-${record.end}${endDayText(record)}) overlaps with:`);
+  clashes.forEach(ev => console.log(`   - ${ev.name} (${ev.day} ${ev.start_time}-${ev.end_time}${endDayText(ev)})`));
+  return readline.keyInYNStrict("Save it anyway?");
+}
+
+// -----------------------------
+// Temporal validation of dependency edges
+// -----------------------------
+
+// minutes from Monday 00:00 of the weekly template, or from 1970-01-01 when `dated`
+function atMinute(e, hhmm, dated) {
+  const at = toMinutes(hhmm);
+  if (at === null) return null;
+  if (dated) return daysBetween(new Date(1970, 0, 1), parseISODate(e.date)) * 1440 + at;
+  const dayIndex = days.indexOf(e.day);
+  return dayIndex < 0 ? null : dayIndex * 1440 + at;
+}
+
+// when an event starts (deadline tasks: when they are due)
+function startMinute(e, dated = false) {
+  return atMinute(e, e.type === "deadline" ? e.end : e.start, dated);
+}
+
+// when an event is over (deadline tasks: when they are due), days later if it runs past midnight
+function finishMinute(e, dated = false) {
+  const at = atMinute(e, e.end, dated);
+  return at === null ? null : at + endDayOffset(e) * 1440;
+}
+
+// every edge whose prerequisite finishes after its dependent starts or is due
+function validateDependencyTiming(schedule) {
+  const issues = [];
+  for (const dep of schedule) {
+    for (const id of depsOf(dep)) {
+      const pre = schedule.find(e => e.id === id);
+      if (!pre) continue;
+      // two one-off events compare by calendar date, anything else by weekday
+      const dated = Boolean(pre.date && dep.date);
+      const done = finishMinute(pre, dated), needed = startMinute(dep, dated);
+      if (done === null || needed === null || done <= needed) continue;
+      const when = dep.type === "deadline" ? `is due ${describeWhen(dep)} ${dep.end}` : `starts ${describeWhen(dep)} ${dep.start}`;
+      issues.push({
+        pre,
+        dep,
+        message: `'${dep.event}' ${when}, but its prerequisite '${pre.event}' only finishes ${describeWhen(pre)} ${pre.end}${endDayText(pre)}`
+      });
+    }
+  }
+  return issues;
+}
+
+// -----------------------------
+// Validation + mutations (shared by the CLI prompts and server.js)
+// -----------------------------
+const EVENT_TYPES = ["fixed", "deadline", "planned"];
+const RECORD_FIELDS = [
+  "event", "day", "date", "recurrence", "start", "end", "type", "duration", "depends_on",
+  "status", "completed_at", "priority", "category", "tags", "reminders", "end_day_offset"
+];
+// category is free text, these are the usual ones (PRIORITIES is in core.js)
+const CATEGORIES = ["lecture", "study", "exercise", "personal", "work", "social"];
+// (the characters they may hold, TAG_RE / CATEGORY_RE and toLabel, are in input.js)
+
+// "Exam, #maths exam" / ["Exam"] -> ["exam", "maths"]; null when there are none
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || "").split(/[,\s]+/);
+  const clean = [...new Set(list.map(t => String(t).trim().replace(/^#/, "").toLowerCase()).filter(Boolean))];
+  return clean.length ? clean : null;
+}
+
+// problems with a record's own fields (no lookups in the schedule); [] when it is fine
+function recordErrors(record) {
+  const errors = [];
+  if (!record.event || !String(record.event).trim()) errors.push("name is required");
+  if (!days.includes(record.day)) errors.push(`day must be one of ${days.join(", ")}`);
+  if (!EVENT_TYPES.includes(record.type)) errors.push(`type must be one of ${EVENT_TYPES.join(", ")}`);
+
+  if (record.type === "deadline") {
+    if (toMinutes(record.end) === null) errors.push("deadline time must be a time of day like 17:00 or 5pm");
   } else {
-    const t = String(s).padStart(4, "0");
-    return `${t.slice(0, 2)}:${t.slice(2)}`;
+    const start = toMinutes(record.start), end = toMinutes(record.end);
+    if (start === null) errors.push("start time must be a time of day like 09:00, 9am or 1730");
+    if (end === null) errors.push("end time must be a time of day (17:00, 5pm), a time days later (01:00+1) or a length of time from the start (for 90m)");
+    const offset = record.end_day_offset;
+    if (offset != null && !(Number.isInteger(offset) && offset >= 0 && offset <= MAX_END_DAY_OFFSET)) {
+      errors.push(`end_day_offset must be a whole number of days from 0 to ${MAX_END_DAY_OFFSET}`);
+    } else if (start !== null && end !== null && !offset && end <= start) {
+      errors.push("end time must be after start time, unless it ends on a later day (end_day_offset, or +1 after the end time)");
+    }
+  }
+  if (record.duration != null && !(Number(record.duration) > 0)) errors.push("duration must be a positive number of minutes");
+
+  if (record.date) {
+    const d = parseISODate(record.date);
+    if (!d) errors.push("date must be YYYY-MM-DD");
+    else if (days[weekdayIndex(d)] !== record.day) errors.push(`${record.date} is a ${days[weekdayIndex(d)]}, not a ${record.day}`);
+    if (record.recurrence) errors.push("an event has either a date or a recurrence, not both");
+  }
+  const rule = record.recurrence;
+  if (rule) {
+    if (rule.freq !== "weekly") errors.push("recurrence.freq must be \"weekly\"");
+    if (rule.interval != null && !(Number.isInteger(rule.interval) && rule.interval > 0)) errors.push("recurrence.interval must be a whole number of weeks");
+    if (rule.start_date && !parseISODate(rule.start_date)) errors.push("recurrence.start_date must be YYYY-MM-DD");
+    if (rule.end_date && !parseISODate(rule.end_date)) errors.push("recurrence.end_date must be YYYY-MM-DD");
+    if (parseISODate(rule.start_date) && parseISODate(rule.end_date) && rule.end_date < rule.start_date) errors.push("recurrence.end_date is before start_date");
+    if (rule.exceptions && (!Array.isArray(rule.exceptions) || !rule.exceptions.every(parseISODate))) errors.push("recurrence.exceptions must be a list of YYYY-MM-DD dates");
+  }
+  if (record.depends_on != null && !(Array.isArray(record.depends_on) && record.depends_on.every(id => typeof id === "string"))) {
+    errors.push("depends_on must be a list of event ids");
+  }
+  if (record.status != null && !STATUSES.includes(record.status)) errors.push(`status must be one of ${STATUSES.join(", ")}`);
+  if (record.completed_at != null && isNaN(Date.parse(record.completed_at))) errors.push("completed_at must be an ISO timestamp");
+  if (record.priority != null && !PRIORITIES.includes(record.priority)) errors.push(`priority must be one of ${PRIORITIES.join(", ")}`);
+  if (record.category != null && !(typeof record.category === "string" && CATEGORY_RE.test(record.category))) {
+    errors.push("category must be up to 30 letters, digits, spaces or - _ . +");
+  }
+  if (record.reminders != null && !(Array.isArray(record.reminders) &&
+    record.reminders.every(m => Number.isInteger(m) && m >= 0 && m <= MAX_REMINDER_MINUTES))) {
+    errors.push(`reminders must be a list of whole minutes (0 to ${MAX_REMINDER_MINUTES}) before the event`);
   }
+  if (record.tags != null && !(Array.isArray(record.tags) && record.tags.every(t => typeof t === "string" && TAG_RE.test(t)))) {
+    errors.push("tags must be a list of single words of up to 30 letters, digits or - _ . +");
+  }
+  return errors;
 }
 
-// binary insertion into sorted day array by start_time
-function insertSortedByStart(arr, event) {
-  if (!event.start_time || event.start_time === "N/A") {
-    arr.push(event);
-    return;
+// problems that make a record unsaveable; [] when it is fine
+function validateEvent(record, schedule) {
+  const errors = recordErrors(record);
+  const deps = depsOf(record);
+  deps.forEach(id => {
+    if (id === record.id) errors.push("an event cannot depend on itself");
+    else if (!schedule.some(e => e.id === id)) errors.push(`depends_on: no event with id ${id}`);
+  });
+  if (deps.length) {
+    const after = schedule.filter(e => e.id !== record.id).concat(record);
+    const cycle = buildGraphFromSchedule(after).hasCycle();
+    if (cycle && cycle.includes(record.id)) {
+      errors.push(`creates a circular dependency: ${cycle.map(id => eventLabel(after, id)).join(" ➡ ")}`);
+    }
   }
-  let low = 0, high = arr.length - 1, idx = arr.length;
-  while (low <= high) {
-    const mid = Math.floor((low + high) / 2);
-    const midTime = arr[mid].start_time || "N/A";
-    if (midTime === "N/A" || midTime.localeCompare(event.start_time) <= 0) {
-      low = mid + 1;
-    } else {
-      idx = mid;
-      high = mid - 1;
+  return errors;
+}
+
+// a clean record from loose input (API body, CLI flags), layered over `base` when updating
+function buildRecord(input, base = {}) {
+  const record = { id: base.id || generateId() };
+  for (const key of RECORD_FIELDS) {
+    record[key] = input[key] !== undefined ? input[key] : (base[key] !== undefined ? base[key] : null);
+  }
+  if (typeof record.event === "string") record.event = record.event.trim();
+  record.type = record.type || "fixed";
+  if (typeof record.priority === "string") record.priority = record.priority.trim().toLowerCase() || null;
+  if (typeof record.category === "string") record.category = record.category.trim().toLowerCase() || null;
+  record.tags = record.tags == null ? null : normalizeTags(record.tags);
+  // [] (reminders off) is kept apart from null (the default lead time)
+  if (Array.isArray(record.reminders)) record.reminders = [...new Set(record.reminders.map(Number))].sort((a, b) => b - a);
+  // a one-off event's weekday comes from its date
+  const date = parseISODate(record.date);
+  if (date && input.day === undefined) record.day = days[weekdayIndex(date)];
+
+  if (record.type === "deadline") {
+    const keepEnd = input.end !== undefined || base.type === "deadline";
+    record.start = "N/A";
+    record.end = keepEnd && record.end ? parseTime(record.end) || String(record.end) : "23:59";
+    record.end_day_offset = null;
+  } else {
+    // natural input (see parseTime / parseEnd); what is not understood stays as typed for
+    // recordErrors to report. "01:00+1" or "for 3h" also say which day it ends; a new end
+    // time that does not ends the same day when it can, else keeps the current offset.
+    record.start = record.start ? parseTime(record.start) || String(record.start) : null;
+    const end = record.end ? parseEnd(record.end, record.start) : null;
+    if (end) record.end = end.end;
+    else if (record.end) record.end = String(record.end);
+    if (end && end.offset !== null) record.end_day_offset = end.offset;
+    else if (input.end !== undefined && input.end_day_offset === undefined && toMinutes(record.end) > toMinutes(record.start)) {
+      record.end_day_offset = null;
     }
+    if (typeof record.end_day_offset === "string" && /^\d+$/.test(record.end_day_offset.trim())) record.end_day_offset = Number(record.end_day_offset);
+    if (record.end_day_offset === 0) record.end_day_offset = null;
+    record.duration = null;
   }
-  arr.splice(low, 0, event);
+  const deps = depsOf(record);
+  record.depends_on = deps.length ? [...new Set(deps)] : null;
+  // completed_at is stamped when an event becomes done/skipped and cleared when it is reopened.
+  // Marking a repeating event finished again stamps it anew once the round it covered is past.
+  if (!FINISHED_STATUSES.includes(record.status)) record.completed_at = null;
+  else if (input.completed_at === undefined && (record.status !== base.status || !record.completed_at ||
+    (input.status !== undefined && statusOn(base, today()) === "todo"))) {
+    record.completed_at = new Date().toISOString();
+  }
+  if (base.task_id) record.task_id = base.task_id;
+  return record;
+}
+
+// swaps in an edited record; planned blocks keep their task's name
+function replaceEvent(schedule, updated) {
+  const current = schedule.find(e => e.id === updated.id);
+  if (updated.event !== current.event) {
+    schedule.filter(e => e.task_id === current.id).forEach(b => { b.event = `Work: ${updated.event}`; });
+  }
+  Object.assign(current, updated);
+  return current;
+}
+
+// removes an event; its dependents are unlinked ("unlink") or removed too ("delete").
+// planned work blocks always go with their task. Returns { remaining, deleted }.
+function deleteEvent(schedule, id, mode = "unlink") {
+  const toDelete = new Set([id]);
+  if (mode === "delete") collectDependents(schedule, id).forEach(dep => toDelete.add(dep));
+
+  const remaining = schedule.filter(e => !toDelete.has(e.id) && !toDelete.has(e.task_id));
+  remaining.forEach(e => {
+    if (!depsOf(e).some(dep => toDelete.has(dep))) return;
+    const kept = depsOf(e).filter(dep => !toDelete.has(dep));
+    e.depends_on = kept.length ? kept : null;
+  });
+  const deleted = schedule.filter(e => !remaining.includes(e));
+  return { remaining, deleted };
 }
 
 // -----------------------------
-// Build DSA views from schedule array
+// Status + progress
 // -----------------------------
-function buildDayMap(schedule) {
-  const map = new Map();
-  for (let i = 0; i < 7; i++) map.set(i, []);
-  for (const e of schedule) {
-    // convert day to index
-    const dayIndex = days.indexOf(e.day);
-    if (dayIndex < 0) continue;
-    // create event object with same keys
-    const ev = new Event(e.id, e.event, dayIndex, e.start, e.end, e.type, e.depends_on || null);
-    insertSortedByStart(map.get(dayIndex), ev);
+// `status` is "todo" (also when missing), "in_progress", "done" or "skipped";
+// `completed_at` is when it last became done or skipped
+const STATUSES = ["todo", "in_progress", "done", "skipped"];
+const FINISHED_STATUSES = ["done", "skipped"];
+const STATUS_ICONS = { todo: "⬜", in_progress: "🔄", done: "✅", skipped: "⏭️" };
+
+function statusOf(e) {
+  return (e && e.status) || "todo";
+}
+
+function isFinished(e) {
+  return FINISHED_STATUSES.includes(statusOf(e));
+}
+
+// the occurrence a repeating event's done/skipped belongs to: the next one from the
+// day before the completion, so finishing a day late still counts for the round that was due
+function finishedOccurrence(e) {
+  const at = new Date(e.completed_at);
+  if (isNaN(at)) return null;
+  const day = new Date(at.getFullYear(), at.getMonth(), at.getDate());
+  const span = 7 * Math.max(1, Number(e.recurrence && e.recurrence.interval) || 1);
+  const next = expandOccurrences([e], addDays(day, -1), addDays(day, span))[0];
+  return next ? parseISODate(next.date) : null;
+}
+
+// status of one occurrence: later rounds of a finished repeating event are todo again
+function statusOn(e, date) {
+  if (!isFinished(e) || e.date) return statusOf(e);
+  const through = finishedOccurrence(e);
+  return !through || date <= through ? statusOf(e) : "todo";
+}
+
+// the date of an event's next round from `from` (a dated event's own date)
+function nextRound(e, from = today()) {
+  if (e.date) return parseISODate(e.date);
+  return addDays(from, (days.indexOf(e.day) - weekdayIndex(from) + 7) % 7);
+}
+
+// whether `e` is done / skipped for its latest round on or before `date`, which is
+// what a task due that day waits for
+function finishedBy(e, date) {
+  const span = 7 * Math.max(1, Number(e.recurrence && e.recurrence.interval) || 1);
+  let round = date;
+  for (let i = 0; i < span; i++) {
+    if (occursOn(e, addDays(date, -i))) {
+      round = addDays(date, -i);
+      break;
+    }
   }
-  // remove empty day lists? keep them
-  return map;
+  return FINISHED_STATUSES.includes(statusOn(e, round));
 }
 
-function buildHeapFromSchedule(schedule) {
-  const deadlines = schedule.filter(e => e.type === "deadline").map(e => {
-    return new Event(e.id, e.event, days.indexOf(e.day), "N/A", "23:59", "deadline", e.depends_on || null);
-  });
-  return new MinHeap(deadlines);
-}
+// open events whose prerequisites are all done or skipped, each for its next round from `from`
+function readyEvents(schedule, from = today()) {
+  const byId = new Map(schedule.map(e => [e.id, e]));
+  return schedule.filter(e => {
+    const deps = depsOf(e);
+    const when = nextRound(e, from);
+    return deps.length && !finishedBy(e, when) && deps.every(id => !byId.has(id) || finishedBy(byId.get(id), when));
+  });
+}
+
+// sets an event's status; returns the record and the dependents it made ready
+function setStatus(schedule, id, status) {
+  if (!STATUSES.includes(status)) throw new Error(`status must be one of ${STATUSES.join(", ")}`);
+  const current = schedule.find(e => e.id === id);
+  if (!current) throw new Error(`no event with id ${id}`);
+  const before = new Set(readyEvents(schedule).map(e => e.id));
+  replaceEvent(schedule, buildRecord({ status }, current));
+  return { record: current, unblocked: readyEvents(schedule).filter(e => !before.has(e.id)) };
+}
+
+// Monday of the week `d` falls in
+function weekStart(d = today()) {
+  return addDays(d, -weekdayIndex(d));
+}
+
+// Progress over one week. Tracked work is deadlines, planned blocks and anything
+// another event depends on; fixed classes on their own are not counted.
+// Returns { from, to, due: [occurrence + status], counts, percent, finished }.
+function weeklyProgress(schedule, from = weekStart()) {
+  const to = addDays(from, 6);
+  const prerequisites = new Set(schedule.flatMap(depsOf));
+  const tracked = schedule.filter(e => e.type !== "fixed" || prerequisites.has(e.id));
+  const due = expandOccurrences(tracked, from, to).map(o => ({
+    id: o.id, event: o.event, day: o.day, date: o.date, start: o.start, end: o.end, type: o.type,
+    status: statusOn(o.record, parseISODate(o.date))
+  }));
+  const counts = Object.fromEntries(STATUSES.map(s => [s, 0]));
+  due.forEach(o => counts[o.status]++);
+  // skipped work is neither done nor outstanding
+  const counted = due.length - counts.skipped;
+  const finished = schedule.filter(e => {
+    const at = isFinished(e) ? new Date(e.completed_at) : null;
+    return at && at >= from && at < addDays(from, 7);
+  });
+  return {
+    from: toISODate(from),
+    to: toISODate(to),
+    due,
+    counts,
+    percent: counted ? Math.round(counts.done / counted * 100) : null,
+    finished
+  };
+}
+
+function statusText(status) {
+  return `${STATUS_ICONS[status]} ${status.replace("_", " ")}`;
+}
+
+function printProgress(progress) {
+  const { counts } = progress;
+  console.log(`\n📈 Progress for the week ${progress.from} to ${progress.to}:`);
+  if (!progress.due.length) console.log(" Nothing due this week.");
+  else {
+    console.log(`  ${STATUSES.map(s => `${STATUS_ICONS[s]} ${counts[s]} ${s.replace("_", " ")}`).join("  ")}${progress.percent !== null ? ` — ${progress.percent}% done` : ""}`);
+    progress.due.forEach(o => {
+      const when = o.type === "deadline" ? `by ${o.end}` : `${o.start}-${o.end}`;
+      console.log(`  ${STATUS_ICONS[o.status]} ${o.event} — ${o.day} ${o.date} ${when}`);
+    });
+  }
+  if (progress.finished.length) {
+    console.log(`  Finished this week: ${progress.finished.map(e => `${e.event} (${e.status} ${e.completed_at.slice(0, 10)})`).join(", ")}`);
+  }
+}
+
+// -----------------------------
+// Workload: how loaded a week is (formatted by report.js)
+// -----------------------------
+// Scheduled time is what fixed and planned events block out (an event past midnight on
+// each day it covers); overlapping events are counted once per day, but fully in each of
+// their categories. Deadlines are counted, not timed. A back-to-back run is a stretch of
+// blocks with no gap of BREAK_MINUTES or more.
+const OVERLOAD_MINUTES = 8 * 60;
+const LONG_RUN_MINUTES = 3 * 60;
+const BREAK_MINUTES = 10;
+const MAX_DEADLINES_PER_DAY = 2;
+
+// [start, end) minute intervals -> merged ones, sorted
+function mergeIntervals(ivs, gap = 0) {
+  const merged = [];
+  ivs.slice().sort((a, b) => a.start - b.start).forEach(iv => {
+    const last = merged[merged.length - 1];
+    if (last && iv.start < last.end + gap) last.end = Math.max(last.end, iv.end);
+    else merged.push({ start: iv.start, end: iv.end });
+  });
+  return merged;
+}
+
+// { from, to, work_start, work_end, total_minutes, free_minutes, deadlines, categories: { name: minutes },
+//   busiest: day | null, days: [{ day, date, scheduled_minutes, free_minutes, deadlines, events,
+//   longest_run: { start, end, minutes } | null, categories, overloaded }], warnings: [text] }
+function weeklyWorkload(schedule, from = weekStart(), workStart = WORK_START, workEnd = WORK_END) {
+  const ws = toMinutes(workStart), we = toMinutes(workEnd);
+  // from far enough back to catch events running past midnight into the week
+  const occurrences = expandOccurrences(schedule, addDays(from, -MAX_END_DAY_OFFSET), addDays(from, 6));
+  // timed events cut at midnight: each piece counts on the day it covers
+  const pieces = occurrences.flatMap(o => daySegments(o.record).map(seg => ({
+    o,
+    date: toISODate(addDays(parseISODate(o.date), seg.part)),
+    start: seg.start,
+    end: seg.end
+  })));
+  const categories = {};
+  const warnings = [];
+  const week = days.map((day, i) => {
+    const date = toISODate(addDays(from, i));
+    const todays = occurrences.filter(o => o.date === date);
+    const timed = pieces.filter(iv => iv.date === date);
+    const dayCategories = {};
+    timed.forEach(iv => {
+      const name = iv.o.record.category || "uncategorised";
+      dayCategories[name] = (dayCategories[name] || 0) + iv.end - iv.start;
+      categories[name] = (categories[name] || 0) + iv.end - iv.start;
+    });
+    const busy = mergeIntervals(timed);
+    const insideWork = busy.reduce((sum, iv) => sum + Math.max(0, Math.min(iv.end, we) - Math.max(iv.start, ws)), 0);
+    const runs = mergeIntervals(timed, BREAK_MINUTES).map(r => ({ start: fromMinutes(r.start), end: fromMinutes(r.end), minutes: r.end - r.start }));
+    const longest = runs.reduce((best, r) => (!best || r.minutes > best.minutes ? r : best), null);
+    const entry = {
+      day,
+      date,
+      scheduled_minutes: busy.reduce((sum, iv) => sum + iv.end - iv.start, 0),
+      free_minutes: Math.max(0, we - ws - insideWork),
+      deadlines: todays.filter(o => o.type === "deadline").length,
+      events: timed.length,
+      longest_run: longest,
+      categories: dayCategories
+    };
+    const problems = [];
+    if (entry.scheduled_minutes > OVERLOAD_MINUTES) problems.push(`${hoursText(entry.scheduled_minutes)} scheduled (more than ${hoursText(OVERLOAD_MINUTES)})`);
+    if (longest && longest.minutes > LONG_RUN_MINUTES) problems.push(`${hoursText(longest.minutes)} back to back without a break (${longest.start}-${longest.end})`);
+    if (entry.deadlines > MAX_DEADLINES_PER_DAY) problems.push(`${entry.deadlines} deadlines on one day`);
+    entry.overloaded = problems.length > 0;
+    problems.forEach(p => warnings.push(`${day} ${date}: ${p}`));
+    return entry;
+  });
+  const busiest = week.reduce((best, d) => (d.scheduled_minutes > (best ? best.scheduled_minutes : 0) ? d : best), null);
+  return {
+    from: toISODate(from),
+    to: toISODate(addDays(from, 6)),
+    work_start: workStart,
+    work_end: workEnd,
+    total_minutes: week.reduce((sum, d) => sum + d.scheduled_minutes, 0),
+    free_minutes: week.reduce((sum, d) => sum + d.free_minutes, 0),
+    deadlines: week.reduce((sum, d) => sum + d.deadlines, 0),
+    categories,
+    busiest: busiest && { day: busiest.day, date: busiest.date, minutes: busiest.scheduled_minutes },
+    days: week,
+    warnings
+  };
+}
+
+// 90 -> "1h 30m", 45 -> "45m", 0 -> "0h"
+function hoursText(minutes) {
+  const h = Math.floor(minutes / 60), m = minutes % 60;
+  if (!h) return m ? `${m}m` : "0h";
+  return m ? `${h}h ${m}m` : `${h}h`;
+}
+
+function printWorkload(report) {
+  console.log(`\n📊 Workload for the week ${report.from} to ${report.to} (working hours ${report.work_start}-${report.work_end}):`);
+  report.days.forEach(d => {
+    const run = d.longest_run ? ` | longest run ${hoursText(d.longest_run.minutes)} (${d.longest_run.start}-${d.longest_run.end})` : "";
+    console.log(`  ${d.overloaded ? "🔥" : "  "} ${d.day.padEnd(9)} ${d.date}  ${hoursText(d.scheduled_minutes).padStart(7)} scheduled | ${hoursText(d.free_minutes).padStart(7)} free | ${d.deadlines} deadline(s)${run}`);
+  });
+  console.log(`  Total: ${hoursText(report.total_minutes)} scheduled, ${hoursText(report.free_minutes)} free, ${report.deadlines} deadline(s)`);
+  if (report.busiest) console.log(`  Busiest day: ${report.busiest.day} ${report.busiest.date} (${hoursText(report.busiest.minutes)})`);
+  const cats = Object.entries(report.categories).sort((a, b) => b[1] - a[1]);
+  if (cats.length) console.log(`  By category: ${cats.map(([name, mins]) => `${paint(name, categoryColor(name))} ${hoursText(mins)}`).join(", ")}`);
+  report.warnings.forEach(w => console.log(`  ⚠️  ${w}`));
+}
+
+// -----------------------------
+// Printable week (formatted by printable.js)
+// -----------------------------
+// One calendar week as it would be pinned up: each day's timed blocks (an event past
+// midnight gets one on every day it covers, minutes as in daySegments), the deadlines
+// due, and the dependencies between events.
+// { from, to, days: [{ day, date, blocks: [{ e, part, start, end, continues, finished }],
+//   deadlines: [{ e, finished }] }], deadlines: [{ e, day, date, finished, after: [name] }],
+//   dependencies: [{ from, to }], order: [name] | null, cycle: [name] | null }
+function timetableWeek(schedule, from = weekStart()) {
+  const finishedOn = (e, date) => FINISHED_STATUSES.includes(statusOn(e, date));
+  const week = days.map((day, i) => {
+    const date = addDays(from, i);
+    const starting = schedule.filter(e => occursOn(e, date));
+    const own = starting.flatMap(e => daySegments(e).filter(seg => seg.part === 0).map(seg => ({ e, seg, from: date })));
+    const carried = continuingOn(schedule, date).map(c => ({ e: c.e, seg: daySegments(c.e).find(seg => seg.part === c.part), from: parseISODate(c.from) }));
+    return {
+      day,
+      date: toISODate(date),
+      blocks: own.concat(carried)
+        .map(({ e, seg, from: started }) => ({ e, part: seg.part, start: seg.start, end: seg.end, continues: seg.part < endDayOffset(e), finished: finishedOn(e, started) }))
+        .sort((a, b) => a.start - b.start || a.end - b.end),
+      deadlines: starting
+        .filter(e => e.type === "deadline")
+        .sort((a, b) => a.end.localeCompare(b.end) || priorityRank(a) - priorityRank(b))
+        .map(e => ({ e, finished: finishedOn(e, date) }))
+    };
+  });
+  const graph = buildGraphFromSchedule(schedule);
+  const label = id => eventLabel(schedule, id);
+  const cycle = graph.hasCycle();
+  const order = cycle ? null : graph.topologicalOrder();
+  return {
+    from: toISODate(from),
+    to: toISODate(addDays(from, 6)),
+    days: week,
+    deadlines: week.flatMap(d => d.deadlines.map(x => ({ ...x, day: d.day, date: d.date, after: depsOf(x.e).map(label) }))),
+    dependencies: [...graph.adj.entries()].flatMap(([pre, list]) => list.map(dep => ({ from: label(pre), to: label(dep) }))),
+    order: order && order.map(label),
+    cycle: cycle && cycle.map(label)
+  };
+}
+
+// -----------------------------
+// Priority / category / tags: colours + filtering
+// -----------------------------
+// ANSI colours only when stdout is a terminal (and NO_COLOR is not set)
+const COLOR = process.stdout.isTTY && !process.env.NO_COLOR;
+const ANSI = { red: 31, green: 32, yellow: 33, blue: 34, magenta: 35, cyan: 36, gray: 90 };
+const CATEGORY_COLORS = { lecture: "blue", study: "magenta", exercise: "green", personal: "yellow", work: "cyan", social: "red" };
+const CATEGORY_PALETTE = ["red", "green", "yellow", "blue", "magenta", "cyan"];
+const PRIORITY_COLORS = { high: "red", medium: "yellow", low: "gray" };
+const PRIORITY_ICONS = { high: "🔴", medium: "🟡", low: "⚪" };
+
+function paint(text, color) {
+  return COLOR && ANSI[color] ? `\x1b[${ANSI[color]}m${text}\x1b[0m` : text;
+}
+
+// categories outside the usual list still get a steady colour (as on the dashboard, see draw.js)
+function categoryColor(category) {
+  return Draw.categoryColor(category, CATEGORY_COLORS, CATEGORY_PALETTE);
+}
+
+// an event's name in its category's colour
+function paintName(e) {
+  return e.category ? paint(e.event, categoryColor(e.category)) : e.event;
+}
+
+// " | [study] 🔴 high #exam #maths" for listings ("" when none is set)
+function detailsText(e) {
+  const parts = [];
+  if (e.category) parts.push(paint(`[${e.category}]`, categoryColor(e.category)));
+  if (e.priority) parts.push(paint(`${PRIORITY_ICONS[e.priority]} ${e.priority}`, PRIORITY_COLORS[e.priority]));
+  if (e.tags && e.tags.length) parts.push(e.tags.map(t => `#${t}`).join(" "));
+  return parts.length ? ` | ${parts.join(" ")}` : "";
+}
+
+// filter: { category, tag, priority }, each optional; an unset priority counts as medium
+function matchesFilter(e, filter = {}) {
+  if (filter.category && e.category !== filter.category) return false;
+  if (filter.tag && !(e.tags || []).includes(filter.tag)) return false;
+  if (filter.priority && (e.priority || "medium") !== filter.priority) return false;
+  return true;
+}
+
+// "category:study tag:exam priority:high" (also "#exam") -> { filter, errors }
+function parseFilter(text) {
+  const filter = {}, errors = [];
+  String(text || "").trim().split(/\s+/).filter(Boolean).forEach(word => {
+    const [key, ...rest] = word.startsWith("#") ? ["tag", word.slice(1)] : word.split(":");
+    const value = rest.join(":").toLowerCase();
+    if (!value || !["category", "tag", "priority"].includes(key)) errors.push(`'${word}' is not category:<name>, tag:<name> or priority:<level>`);
+    else if (key === "priority" && !PRIORITIES.includes(value)) errors.push(`priority must be one of ${PRIORITIES.join(", ")}`);
+    else filter[key] = value;
+  });
+  return { filter, errors };
+}
+
+// -----------------------------
+// Reminders
+// -----------------------------
+// `reminders` on a record lists lead times in minutes ([60, 15]); missing means the
+// timetable's default lead time and [] means none. Fixed and planned events remind
+// before they start, deadlines before they are due; done / skipped ones stay quiet.
+// Each timetable's <name>.reminders.json keeps the default and which reminders went out,
+// so a restarted watcher does not repeat them: { default_minutes, delivered: { key: ISO time } }
+const DEFAULT_REMINDER_MINUTES = 15;
+const MAX_REMINDER_MINUTES = 7 * 1440;
+// delivered keys are forgotten once their event is this far in the past
+const DELIVERED_KEEP_DAYS = 8;
+
+function loadReminderState(timetable = currentTimetable()) {
+  const file = remindersFileFor(timetable.file);
+  let state = {};
+  try {
+    if (fs.existsSync(file)) state = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    console.error(`⚠️  ${file} is unreadable (${err.message}); starting afresh.`);
+  }
+  return {
+    default_minutes: Number.isInteger(state.default_minutes) ? state.default_minutes : DEFAULT_REMINDER_MINUTES,
+    delivered: state.delivered && typeof state.delivered === "object" ? state.delivered : {}
+  };
+}
+
+function saveReminderState(state, timetable = currentTimetable()) {
+  writeFileAtomic(remindersFileFor(timetable.file), JSON.stringify(state, null, 2));
+}
+
+// sets the timetable's default lead time (0 turns default reminders off)
+function setDefaultReminder(minutes, timetable = currentTimetable()) {
+  if (!(Number.isInteger(minutes) && minutes >= 0 && minutes <= MAX_REMINDER_MINUTES)) {
+    throw new Error(`The default reminder must be 0 to ${MAX_REMINDER_MINUTES} minutes.`);
+  }
+  const state = loadReminderState(timetable);
+  state.default_minutes = minutes;
+  saveReminderState(state, timetable);
+  return minutes;
+}
+
+function leadTimesOf(e, defaultMinutes) {
+  if (Array.isArray(e.reminders)) return e.reminders;
+  return defaultMinutes > 0 ? [defaultMinutes] : [];
+}
+
+// reminders that fire after `from` and up to `to` (Dates), earliest first:
+// [{ key, id, event, type, date, time, lead, at, fire_at }] where `at` is when the event starts / is due
+function remindersBetween(schedule, from, to, defaultMinutes = loadReminderState().default_minutes) {
+  const longest = Math.max(defaultMinutes, ...schedule.flatMap(e => e.reminders || []));
+  const firstDay = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+  const reach = new Date(to.getTime() + longest * 60000);
+  const out = [];
+  expandOccurrences(schedule, firstDay, new Date(reach.getFullYear(), reach.getMonth(), reach.getDate())).forEach(o => {
+    const day = parseISODate(o.date);
+    if (FINISHED_STATUSES.includes(statusOn(o.record, day))) return;
+    const time = o.type === "deadline" ? o.end : o.start;
+    const mins = toMinutes(time);
+    if (mins === null) return;
+    const at = new Date(day.getFullYear(), day.getMonth(), day.getDate(), Math.floor(mins / 60), mins % 60);
+    leadTimesOf(o.record, defaultMinutes).forEach(lead => {
+      const fireAt = new Date(at.getTime() - lead * 60000);
+      if (fireAt <= from || fireAt > to) return;
+      out.push({
+        key: `${o.id}@${o.date}T${time}-${lead}`,
+        id: o.id, event: o.event, type: o.type, date: o.date, time, lead,
+        at: at.toISOString(), fire_at: fireAt.toISOString()
+      });
+    });
+  });
+  return out.sort((a, b) => a.fire_at.localeCompare(b.fire_at) || a.event.localeCompare(b.event));
+}
+
+// reminders due at `now` that have not gone out yet. One missed while nothing was
+// watching is still delivered until a minute after its event starts / falls due.
+function dueReminders(schedule, now = new Date(), state = loadReminderState()) {
+  const longest = Math.max(state.default_minutes, ...schedule.flatMap(e => e.reminders || []));
+  const since = new Date(now.getTime() - longest * 60000 - 60000);
+  return remindersBetween(schedule, since, now, state.default_minutes)
+    .filter(r => new Date(r.at).getTime() + 60000 > now.getTime() && !state.delivered[r.key]);
+}
+
+// records reminders as delivered and forgets ones whose events are long past
+function markDelivered(reminders, now = new Date(), timetable = currentTimetable()) {
+  const state = loadReminderState(timetable);
+  reminders.forEach(r => { state.delivered[r.key] = now.toISOString(); });
+  const cutoff = toISODate(addDays(now, -DELIVERED_KEEP_DAYS));
+  for (const key of Object.keys(state.delivered)) {
+    const date = (/@(\d{4}-\d{2}-\d{2})T/.exec(key) || [])[1];
+    if (!date || date < cutoff) delete state.delivered[key];
+  }
+  saveReminderState(state, timetable);
+}
+
+// "starts in 15 min" / "is due in 2 h 5 min" / "starts now"
+function reminderText(r, now = new Date()) {
+  const mins = Math.max(0, Math.round((new Date(r.at) - now) / 60000));
+  const span = mins >= 60 ? `${Math.floor(mins / 60)} h${mins % 60 ? ` ${mins % 60} min` : ""}` : `${mins} min`;
+  const verb = r.type === "deadline" ? "is due" : "starts";
+  return mins ? `${r.event} ${verb} in ${span} (${r.time})` : `${r.event} ${verb} now (${r.time})`;
+}
+
+// checks every `seconds` and hands each reminder that falls due to `onReminder` once;
+// the schedule is re-read on every check so edits from elsewhere are picked up. When
+// several lead times of one occurrence are due together only the closest is handed over.
+// Returns a function that stops watching.
+function watchReminders(onReminder, seconds = 30, timetable = currentTimetable()) {
+  const check = () => {
+    const due = dueReminders(loadSchedule({ quiet: true, timetable }), new Date(), loadReminderState(timetable));
+    if (!due.length) return;
+    markDelivered(due, new Date(), timetable);
+    due.filter(r => !due.some(o => o.id === r.id && o.date === r.date && o.lead < r.lead)).forEach(r => onReminder(r));
+  };
+  check();
+  const timer = setInterval(check, seconds * 1000);
+  return () => clearInterval(timer);
+}
+
+function describeReminders(e, defaultMinutes) {
+  if (Array.isArray(e.reminders)) return e.reminders.length ? e.reminders.map(m => `${m} min`).join(", ") : "off";
+  return defaultMinutes > 0 ? `default (${defaultMinutes} min)` : "default (off)";
+}
+
+// -----------------------------
+// Planner: book work blocks for deadline tasks
+// -----------------------------
+const DEFAULT_TASK_MINUTES = 60;
+
+// Kahn's topological sort over deadline tasks, using the MinHeap as the ready
+// queue so that among unblocked tasks the earliest deadline always goes first
+function orderDeadlineTasks(schedule) {
+  const tasks = buildHeapFromSchedule(schedule).asSortedArray();
+  const graph = buildGraphFromSchedule(schedule);
+  const taskOf = id => tasks.find(t => t.id === id);
+
+  const indegree = new Map(tasks.map(t => [t.id, 0]));
+  const next = new Map(tasks.map(t => [t.id, []]));
+  for (const [from, list] of graph.adj.entries()) {
+    const pre = taskOf(from);
+    if (!pre) continue;
+    for (const to of list) {
+      const t = taskOf(to);
+      if (!t) continue;
+      next.get(pre.id).push(t);
+      indegree.set(t.id, indegree.get(t.id) + 1);
+    }
+  }
+
+  const ready = new MinHeap(tasks.filter(t => indegree.get(t.id) === 0));
+  const order = [];
+  while (ready.size()) {
+    const t = ready.extractMin();
+    order.push(t);
+    for (const nb of next.get(t.id)) {
+      indegree.set(nb.id, indegree.get(nb.id) - 1);
+      if (indegree.get(nb.id) === 0) ready.insert(nb);
+    }
+  }
+  // whatever never became ready sits on a dependency cycle
+  const cyclic = tasks.filter(t => !order.includes(t));
+  return { order, cyclic };
+}
+
+// proposes "planned" work blocks in free time; returns { blocks, unscheduled }
+function planDeadlineTasks(schedule, workStart = WORK_START, workEnd = WORK_END) {
+  // old proposals are replaced, not planned around
+  const base = schedule.filter(e => e.type !== "planned");
+  const records = new Map(base.map(e => [e.id, e]));
+  const { order, cyclic } = orderDeadlineTasks(base);
+
+  // free slots as absolute minutes within the week
+  let free = findFreeSlots(base, workStart, workEnd).map(s => {
+    const offset = days.indexOf(s.day) * 1440;
+    return { start: offset + toMinutes(s.start), end: offset + toMinutes(s.end) };
+  });
+
+  const finishOf = new Map(); // task id -> absolute finish minute
+  const blocks = [];
+  const unscheduled = cyclic.map(t => ({ task: t, reason: "part of a circular dependency" }));
+
+  for (const task of order) {
+    const record = records.get(task.id);
+    // tasks finished for their next round need no more work
+    const when = nextRound(record);
+    if (finishedBy(record, when)) continue;
+    const need = Number(record.duration) > 0 ? Number(record.duration) : DEFAULT_TASK_MINUTES;
+    const due = task.dayIndex * 1440 + (toMinutes(task.end_time) ?? 1439);
+
+    // work can only begin once every prerequisite is finished
+    let earliest = 0;
+    const blocker = task.depends_on
+      .map(id => records.get(id))
+      .find(pre => pre && pre.type === "deadline" && !finishedBy(pre, when) && !finishOf.has(pre.id));
+    if (blocker) {
+      unscheduled.push({ task, reason: `prerequisite '${blocker.event}' could not be scheduled` });
+      continue;
+    }
+    for (const id of task.depends_on) {
+      const pre = records.get(id);
+      if (!pre || finishedBy(pre, when)) continue;
+      if (pre.type === "deadline") earliest = Math.max(earliest, finishOf.get(pre.id));
+      else if (finishMinute(pre) !== null) earliest = Math.max(earliest, finishMinute(pre));
+    }
 
-function buildGraphFromSchedule(schedule) {
-  const g = new Graph();
-  for (const e of schedule) {
-    if (e.depends_on) {
-      // store dependency by event name (prefer id if given)
-      const from = e.depends_on;
-      const to = e.event;
-      g.addEdge(from, to);
+    const pieces = [];
+    let remaining = need;
+    for (const slot of free) {
+      if (remaining <= 0 || slot.start >= due) break;
+      const from = Math.max(slot.start, earliest);
+      const to = Math.min(slot.end, due, from + remaining);
+      if (to <= from) continue;
+      pieces.push({ start: from, end: to });
+      remaining -= to - from;
+    }
+    if (remaining > 0) {
+      unscheduled.push({ task, reason: `needs ${need} min, only ${need - remaining} min free before ${task.day} ${task.end_time}` });
+      continue;
     }
+
+    // carve the booked pieces out of the free list
+    free = free.flatMap(slot => {
+      let parts = [slot];
+      for (const p of pieces) {
+        parts = parts.flatMap(s => (p.end <= s.start || p.start >= s.end)
+          ? [s]
+          : [{ start: s.start, end: p.start }, { start: p.end, end: s.end }].filter(x => x.end > x.start));
+      }
+      return parts;
+    });
+
+    pieces.forEach(p => {
+      blocks.push({
+        id: generateId(),
+        event: `Work: ${task.name}`,
+        day: days[Math.floor(p.start / 1440)],
+        start: fromMinutes(p.start % 1440),
+        end: fromMinutes(p.end % 1440),
+        type: "planned",
+        depends_on: null,
+        task_id: task.id
+      });
+    });
+    finishOf.set(task.id, pieces[pieces.length - 1].end);
   }
-  return g;
+
+  return { blocks, unscheduled };
 }
 
 // -----------------------------
 // CLI features: add/edit/delete/view/export
 // -----------------------------
-function promptAddEvents() {
-  console.log("\n=== ADD EVENTS (append to schedule.json) ===");
-  const schedule = loadSchedule();
-  const count = readline.questionInt("How many events to add? ");
+// asks for `count` events one after another and appends the ones that pass to
+// `schedule`; returns their names
+function promptNewEvents(schedule, count) {
+  const added = [];
   for (let i = 0; i < count; i++) {
     console.log(`\nEvent ${i + 1}:`);
     const name = readline.question("Event Name: ").trim();
@@ -259,43 +1614,250 @@ function promptAddEvents() {
       console.log("Skipping this event.");
       continue;
     }
+    const when = promptWhen(dayIndex);
     const isDeadline = readline.keyInYNStrict("Is this a deadline-based task (due by 23:59)?");
-    let start = "N/A", end = "23:59", type = "deadline";
+    let start = "N/A", end = "23:59", type = "deadline", duration = null, endDay = 0;
     if (!isDeadline) {
-      start = padTimeHHMM(readline.question("Start Time (HH:MM): "));
-      end = padTimeHHMM(readline.question("End Time (HH:MM): "));
+      const span = promptParsed("Start Time (e.g. 9am, 14:30, or the whole thing: 14:00 for 90m, 2pm-4pm): ", parseTimeSpan, TIME_HINT);
+      start = span.start;
+      const typed = span.end
+        ? { end: span.end, offset: span.offset }
+        : promptParsed("End Time (e.g. 5pm, 01:00+1 for the next day, or a length: for 90m): ", text => parseEnd(text, start), END_HINT);
+      end = typed.end;
+      endDay = promptEndDay(start, end, typed.offset);
       type = "fixed";
+    } else {
+      duration = promptDuration(DEFAULT_TASK_MINUTES);
     }
-    const hasDep = readline.keyInYNStrict("Does this event depend on another event?");
-    const depends_on = hasDep ? readline.question("Enter the name (or ID) of event it depends on: ").trim() : null;
     const id = generateId();
+    const hasDep = readline.keyInYNStrict("Does this event depend on another event?");
+    const depends_on = hasDep ? promptPickDependencies(schedule, id) : null;
+    const details = readline.keyInYNStrict("Set priority / category / tags / reminders?") ? promptDetails() : {};
     const obj = {
       id,
       event: name,
-      day: days[dayIndex],
+      day: when.day,
+      date: when.date,
+      recurrence: when.recurrence,
       start,
       end,
+      end_day_offset: endDay || null,
       type,
-      depends_on: depends_on || null
+      duration,
+      depends_on: depends_on || null,
+      priority: details.priority || null,
+      category: details.category || null,
+      tags: details.tags || null,
+      reminders: details.reminders || null
     };
+    const errors = validateEvent(obj, schedule);
+    if (errors.length) {
+      console.log(`❌ Not added: ${errors.join("; ")}`);
+      continue;
+    }
+    if (!confirmNoClash(schedule, obj)) {
+      console.log("Skipping this event.");
+      continue;
+    }
     schedule.push(obj);
+    added.push(name);
     console.log("Event added:", name);
   }
-  saveSchedule(schedule);
-  console.log("\n✅ schedule.json appended with new events.");
+  return added;
 }
 
-function listAllEvents(schedule) {
-  if (!schedule.length) {
+function promptAddEvents() {
+  console.log(`\n=== ADD EVENTS (append to ${currentTimetable().file}) ===`);
+  const schedule = loadSchedule();
+  const count = readline.questionInt("How many events to add? (0 to load them from a CSV / TSV file) ");
+  if (count <= 0) {
+    promptImportCSV();
+    return;
+  }
+  const added = promptNewEvents(schedule, count);
+  if (!added.length) {
+    console.log("\nNothing added.");
+    return;
+  }
+  saveSchedule(schedule, { change: `add ${added.map(n => `'${n}'`).join(", ")}` });
+  console.log(`\n✅ ${currentTimetable().file} appended with new events.`);
+}
+
+const TIME_HINT = "Times look like 9am, 2:30pm, 14:30 or 1730.";
+const END_HINT = "Give an end time (5pm, 17:00, 01:00+1 for the next day) or a length (for 90m, 1h30).";
+const DATE_HINT = "Dates look like 2026-03-14, today, tomorrow, fri, next mon or in 3 days.";
+const DURATION_HINT = "Lengths look like 90, 90m, 1h30 or 2 hours.";
+
+// asks until `parse` understands the answer (anything but null); enter gives `fallback`
+// when there is one
+function promptParsed(question, parse, hint, fallback) {
+  while (true) {
+    const answer = readline.question(question).trim();
+    if (!answer && fallback !== undefined) return fallback;
+    const value = answer ? parse(answer) : null;
+    if (value !== null) return value;
+    console.log(`❌ ${answer ? `'${answer}' not understood. ` : ""}${hint}`);
+  }
+}
+
+// a date, typed or relative ("tomorrow", "next fri"); the date it means is echoed back
+function promptDate(question, optional) {
+  const d = promptParsed(question, text => parseDay(text), DATE_HINT, optional ? null : undefined);
+  if (d) console.log(`   → ${days[weekdayIndex(d)]} ${toISODate(d)}`);
+  return d;
+}
+
+// "2026-12-24, next mon" -> ["2026-12-24", "2026-10-26"]; null if one is not a date
+function parseDayList(text) {
+  const list = text.split(",").map(x => x.trim()).filter(Boolean).map(x => parseDay(x));
+  return list.every(Boolean) ? list.map(toISODate) : null;
+}
+
+// every week (default), one date only, or a weekly rule between dates
+function promptWhen(dayIndex) {
+  const kind = readline.keyInSelect(
+    ["Every week", "One date only", "Repeats weekly between dates"],
+    "When does it happen? (Cancel = every week)"
+  );
+  if (kind === 1) {
+    const date = promptDate("Date (YYYY-MM-DD, or e.g. tomorrow, fri, next mon): ", false);
+    const day = days[weekdayIndex(date)];
+    if (day !== days[dayIndex]) console.log(`Note: ${toISODate(date)} is a ${day}, using that.`);
+    return { day, date: toISODate(date), recurrence: null };
+  }
+  if (kind === 2) {
+    const start = promptDate("Start date (YYYY-MM-DD or e.g. next mon; enter for today): ", true) || today();
+    let end = promptDate("End date (YYYY-MM-DD or e.g. in 10 weeks; enter for none): ", true);
+    while (end && end < start) end = promptDate("End date must be after the start date (enter for none): ", true);
+    const interval = promptParsed("Every how many weeks? (enter for 1): ", text => (/^\d+$/.test(text) && Number(text) > 0 ? Number(text) : null),
+      "Give a whole number of weeks, e.g. 2.", 1);
+    const exceptions = promptParsed("Skip dates (comma-separated, e.g. 2026-12-24, next mon; enter for none): ", parseDayList, DATE_HINT, []);
+    return {
+      day: days[dayIndex],
+      date: null,
+      recurrence: {
+        freq: "weekly",
+        interval,
+        start_date: toISODate(start),
+        end_date: end ? toISODate(end) : null,
+        exceptions
+      }
+    };
+  }
+  return { day: days[dayIndex], date: null, recurrence: null };
+}
+
+// priority, category, tags and reminders; enter keeps the current value, "-" clears it
+function promptDetails(current = {}) {
+  const p = readline.keyInSelect(PRIORITIES, `Priority? (current: ${current.priority || "medium"}; 0 keeps it)`);
+  const category = readline.question(`Category (${CATEGORIES.join(", ")} or your own; enter keeps '${current.category || "none"}', - clears): `).trim();
+  const tags = readline.question(`Tags, comma-separated (enter keeps '${(current.tags || []).join(", ") || "none"}', - clears): `).trim();
+  return {
+    priority: p === -1 ? current.priority || null : PRIORITIES[p],
+    category: category === "-" ? null : (category ? category.toLowerCase() : current.category || null),
+    tags: tags === "-" ? null : (tags ? normalizeTags(tags) : current.tags || null),
+    reminders: promptReminderMinutes(current)
+  };
+}
+
+// "1h, 15" -> [60, 15]; "off" -> []; "-" -> null (the default); enter keeps the current ones
+function promptReminderMinutes(current = {}) {
+  const defaultMinutes = loadReminderState().default_minutes;
+  const parse = text => {
+    const s = text.toLowerCase();
+    if (s === "-") return { minutes: null };
+    if (s === "off") return { minutes: [] };
+    const minutes = s.split(",").map(x => parseDuration(x));
+    return minutes.every(m => m !== null && m <= MAX_REMINDER_MINUTES) ? { minutes } : null;
+  };
+  const answer = promptParsed(
+    `Remind how long before (e.g. 1h, 15m; off = none; - = default; enter keeps ${describeReminders(current, defaultMinutes)}): `,
+    parse,
+    `Give lengths of time up to ${MAX_REMINDER_MINUTES / 1440} days, e.g. 1h, 15m or 10.`,
+    { minutes: current.reminders === undefined ? null : current.reminders }
+  );
+  return answer.minutes;
+}
+
+// days after its start an event ends: the "+N" typed after the end time, else the same
+// day when the end is after the start, else asked
+function promptEndDay(start, end, offset) {
+  if (offset !== null) return offset;
+  const s = toMinutes(start), e = toMinutes(end);
+  if (s === null || e === null || e > s) return 0;
+  return readline.keyInYNStrict(`It ends at or before ${start}. Does it end the next day?`) ? 1 : 0;
+}
+
+function promptDuration(current) {
+  return promptParsed(`Estimated work time (e.g. 90, 1h30; enter for ${current} min): `,
+    text => (parseDuration(text) > 0 ? parseDuration(text) : null), DURATION_HINT, current);
+}
+
+// name of the event an id points to, for display
+function eventLabel(schedule, id) {
+  const e = schedule.find(x => x.id === id);
+  return e ? e.event : `${id} (missing)`;
+}
+
+function dependsOnText(schedule, e) {
+  return depsOf(e).map(id => eventLabel(schedule, id)).join(", ");
+}
+
+// numbered pick of prerequisites (never the event itself); returns a list of ids or null
+function promptPickDependencies(schedule, selfId) {
+  const choices = schedule.filter(e => e.id !== selfId);
+  if (!choices.length) {
+    console.log("No other events to depend on.");
+    return null;
+  }
+  choices.forEach((e, i) => console.log(`  ${i + 1}. ${e.event} | ${e.day} | ${e.type}`));
+  const picked = readline.question("Depends on event numbers (comma-separated, enter for none): ")
+    .split(",")
+    .map(x => parseInt(x, 10))
+    .filter(n => n > 0 && n <= choices.length)
+    .map(n => choices[n - 1].id);
+  const ids = [...new Set(picked)];
+  return ids.length ? ids : null;
+}
+
+// ids of every event that (transitively) depends on `id`
+function collectDependents(schedule, id) {
+  return buildGraphFromSchedule(schedule).blockedBy(id);
+}
+
+// an event's own length in minutes, used to weight the critical path
+function eventMinutes(e) {
+  if (!e) return 0;
+  if (e.type === "deadline") return Number(e.duration) > 0 ? Number(e.duration) : DEFAULT_TASK_MINUTES;
+  return Math.max(0, spanMinutes(e));
+}
+
+// `shown` narrows the listing; names are still looked up in the whole schedule
+function listAllEvents(schedule, shown = schedule) {
+  if (!shown.length) {
     console.log("No events in schedule.");
     return;
   }
   console.log("\nAll Events:");
-  schedule.forEach((e, idx) => {
-    console.log(`${idx + 1}. [${e.id}] ${e.event} | ${e.day} | ${e.type} | ${e.start}-${e.end}${e.depends_on ? " | depends on: " + e.depends_on : ""}`);
+  shown.forEach((e, idx) => {
+    console.log(`${idx + 1}. [${e.id}] ${paintName(e)} | ${describeWhen(e)} | ${e.type} | ${e.start}-${e.end}${endDayText(e)} | ${statusText(statusOf(e))}${detailsText(e)}${Array.isArray(e.reminders) ? " | 🔔 " + describeReminders(e) : ""}${e.duration ? " | est. " + e.duration + " min" : ""}${depsOf(e).length ? " | depends on: " + dependsOnText(schedule, e) : ""}`);
   });
 }
 
+// listing narrowed by "category:<name> tag:<name> priority:<level>"
+function promptListEvents() {
+  const schedule = loadSchedule();
+  const text = readline.question("Filter (e.g. category:study tag:exam priority:high; enter for all): ");
+  const { filter, errors } = parseFilter(text);
+  if (errors.length) {
+    console.log(`❌ ${errors.join("; ")}`);
+    return;
+  }
+  const shown = schedule.filter(e => matchesFilter(e, filter));
+  if (schedule.length && !shown.length) console.log("No events match that filter.");
+  else listAllEvents(schedule, shown);
+}
+
 function promptEditEvent() {
   console.log("\n=== EDIT EVENT ===");
   const schedule = loadSchedule();
@@ -313,36 +1875,85 @@ function promptEditEvent() {
   console.log("Editing:", event.event);
   const newName = readline.question(`New name (enter to keep '${event.event}'): `).trim();
   const dayIndex = readline.keyInSelect(days, `Change day? (current: ${event.day})`);
+  const changeWhen = readline.keyInYNStrict(`Change date / recurrence? (current: ${describeWhen(event)})`);
+  const when = changeWhen
+    ? promptWhen(dayIndex !== -1 ? dayIndex : days.indexOf(event.day))
+    : { day: dayIndex !== -1 ? days[dayIndex] : event.day, date: event.date || null, recurrence: event.recurrence || null };
+  if (!changeWhen && when.date && days[weekdayIndex(parseISODate(when.date))] !== when.day) {
+    // a one-off event's weekday comes from its date
+    console.log(`${when.date} is a ${days[weekdayIndex(parseISODate(when.date))]}; clearing the date.`);
+    when.date = null;
+  }
   const isDeadline = event.type === "deadline" ? true : false;
   const changeType = readline.keyInYNStrict(`Change between deadline/fixed? (current: ${event.type})`);
   let type = event.type;
   if (changeType) {
     type = readline.keyInSelect(["fixed", "deadline"], "Choose new type:") === 0 ? "fixed" : "deadline";
   }
-  let start = event.start, end = event.end;
-  if (type === "fixed") {
-    const s = readline.question(`Start time (${event.start}) (enter to keep): `);
-    if (s) start = padTimeHHMM(s);
-    const e = readline.question(`End time (${event.end}) (enter to keep): `);
-    if (e) end = padTimeHHMM(e);
+  let start = event.start, end = event.end, duration = null, endDay = endDayOffset(event);
+  if (type !== "deadline") {
+    // a deadline turned into a timed event has no times to keep
+    const keep = toMinutes(event.start) !== null ? null : undefined;
+    const span = promptParsed(`Start time (${event.start}; e.g. 9am, or 14:00 for 90m) (enter to keep): `, parseTimeSpan, TIME_HINT, keep);
+    if (span) start = span.start;
+    const typed = span && span.end
+      ? { end: span.end, offset: span.offset }
+      : promptParsed(`End time (${event.end}${endDayText(event)}; e.g. 5pm, 01:00+1 or for 90m) (enter to keep): `,
+        text => parseEnd(text, start), END_HINT, keep);
+    if (typed) {
+      end = typed.end;
+      endDay = promptEndDay(start, end, typed.offset);
+    } else if (!endDay) {
+      endDay = promptEndDay(start, end, null);
+    } else if (span && toMinutes(end) > toMinutes(start) && !readline.keyInYNStrict(`Does it still end at ${end}${endDayText(event)}?`)) {
+      endDay = 0;
+    }
   } else {
     start = "N/A"; end = "23:59";
+    duration = promptDuration(event.duration || DEFAULT_TASK_MINUTES);
   }
-  const depChange = readline.keyInYNStrict("Change dependency?");
+  if (depsOf(event).length) console.log(`Currently depends on: ${dependsOnText(schedule, event)}`);
+  const depChange = readline.keyInYNStrict("Change dependencies?");
   let depends_on = event.depends_on;
   if (depChange) {
-    const has = readline.keyInYNStrict("Set a dependency?");
-    depends_on = has ? readline.question("Dependency (name or id): ").trim() : null;
+    const has = readline.keyInYNStrict("Set dependencies?");
+    depends_on = has ? promptPickDependencies(schedule, event.id) : null;
   }
+  const details = readline.keyInYNStrict(`Change priority / category / tags / reminders? (current:${detailsText(event) || " none"})`)
+    ? promptDetails(event)
+    : {};
 
-  if (newName) event.event = newName;
-  if (dayIndex !== -1) event.day = days[dayIndex];
-  event.type = type;
-  event.start = start;
-  event.end = end;
-  event.depends_on = depends_on || null;
+  const updated = {
+    ...event,
+    event: newName || event.event,
+    day: when.day,
+    date: when.date,
+    recurrence: when.recurrence,
+    type,
+    start,
+    end,
+    end_day_offset: type === "deadline" ? null : endDay || null,
+    duration,
+    depends_on: depends_on || null,
+    ...details
+  };
+  const errors = validateEvent(updated, schedule);
+  if (errors.length) {
+    console.log(`❌ Not saved: ${errors.join("; ")}`);
+    return;
+  }
+  if (!confirmNoClash(schedule, updated)) {
+    console.log("Cancelled. Event not changed.");
+    return;
+  }
+  if (updated.event !== event.event) {
+    // dependents follow automatically (they hold the id)
+    const dependents = schedule.filter(e => depsOf(e).includes(event.id));
+    if (dependents.length) console.log(`${dependents.length} dependent event(s) now point at '${updated.event}'.`);
+  }
+  replaceEvent(schedule, updated);
 
-  saveSchedule(schedule);
+  saveSchedule(schedule, { change: `edit '${updated.event}'` });
   console.log("\n✅ Event updated.");
 }
 
@@ -359,9 +1970,26 @@ function promptDeleteEvent() {
     console.log("Cancelled.");
     return;
   }
-  const removed = schedule.splice(idx - 1, 1);
-  saveSchedule(schedule);
-  console.log("Deleted:", removed[0].event);
+  const target = schedule[idx - 1];
+  let mode = "unlink";
+  const dependents = collectDependents(schedule, target.id);
+  if (dependents.length) {
+    console.log(`⚠️  These events depend on '${target.event}':`);
+    dependents.forEach(id => console.log(`   - ${eventLabel(schedule, id)}`));
+    const how = readline.keyInSelect(
+      ["Unlink them (keep the events)", "Delete them as well"],
+      "What should happen to them?"
+    );
+    if (how === -1) {
+      console.log("Cancelled.");
+      return;
+    }
+    if (how === 1) mode = "delete";
+  }
+
+  const { remaining, deleted } = deleteEvent(schedule, target.id, mode);
+  saveSchedule(remaining, { change: `delete ${deleted.map(e => `'${e.event}'`).join(", ")}` });
+  console.log("Deleted:", deleted.map(e => e.event).join(", "));
 }
 
 function promptViewDay() {
@@ -375,30 +2003,56 @@ function promptViewDay() {
     console.log("Cancelled.");
     return;
   }
+  printDayView(schedule, dayIndex);
+}
+
+// the next date (from today) that falls on a weekday
+function nextDateFor(dayIndex) {
+  return addDays(today(), (dayIndex - weekdayIndex(today()) + 7) % 7);
+}
+
+function printDayView(schedule, dayIndex) {
   const thisDay = days[dayIndex];
-  const todays = schedule.filter(e => e.day === thisDay);
+  const date = nextDateFor(dayIndex);
+  const todays = schedule.filter(e => occursOn(e, date));
+  const continuing = continuingOn(schedule, date);
 
-  console.log(`\n📅 Timetable for ${thisDay}:`);
-  if (!todays.length) console.log(" No events.");
+  console.log(`\n📅 Timetable for ${thisDay} ${toISODate(date)}:`);
+  if (!todays.length && !continuing.length) console.log(" No events.");
   else {
+    // what is still running from an earlier day comes first
+    continuing.forEach(({ e, part, from }) => {
+      const status = statusOn(e, parseISODate(from));
+      const mark = status !== "todo" ? ` [${statusText(status)}]` : "";
+      const until = part < endDayOffset(e) ? "all day" : `until ${e.end}`;
+      console.log(`  ↪️  ${paintName(e)} — ${until} (since ${e.day} ${e.start})${mark}${detailsText(e)}`);
+    });
     todays.forEach(e => {
+      const status = statusOn(e, date);
+      const mark = status !== "todo" ? ` [${statusText(status)}]` : "";
       if (e.type === "deadline") {
-        console.log(`  ⏰ ${e.event} — Deadline by ${e.end}${e.depends_on ? " | depends on: " + e.depends_on : ""}`);
+        console.log(`  ⏰ ${paintName(e)} — Deadline by ${e.end}${mark}${detailsText(e)}${depsOf(e).length ? " | depends on: " + dependsOnText(schedule, e) : ""}`);
+      } else if (e.type === "planned") {
+        console.log(`  🛠️ ${paintName(e)} — ${e.start} to ${e.end}${endDayText(e)} (planned)${mark}${detailsText(e)}`);
       } else {
-        console.log(`  📘 ${e.event} — ${e.start} to ${e.end}${e.depends_on ? " | depends on: " + e.depends_on : ""}`);
+        console.log(`  📘 ${paintName(e)} — ${e.start} to ${e.end}${endDayText(e)}${mark}${detailsText(e)}${depsOf(e).length ? " | depends on: " + dependsOnText(schedule, e) : ""}`);
       }
     });
   }
 
-  // Build and display upcoming deadlines (from this day onward)
+  // Build and display upcoming deadlines (from today onward)
   const scheduleObjs = schedule.map(s => s);
-  const heap = buildHeapFromSchedule(scheduleObjs);
-  const sortedDeadlines = heap.asSortedArray().filter(d => d.dayIndex >= dayIndex);
-  console.log("\nUpcoming deadlines (from selected day):");
+  const heap = buildUpcomingDeadlineHeap(scheduleObjs);
+  const sortedDeadlines = heap.asSortedArray();
+  console.log(`\nUpcoming deadlines (next ${UPCOMING_DAYS} days):`);
   if (!sortedDeadlines.length) console.log(" None.");
   else sortedDeadlines.forEach(d => {
-    console.log(`  ⏰ ${d.name} → ${d.day} by ${d.end}`);
+    console.log(`  ${d.priority ? PRIORITY_ICONS[d.priority] : "⏰"} ${d.category ? paint(d.name, categoryColor(d.category)) : d.name} → ${d.day} ${d.date} by ${d.end_time}${d.status !== "todo" ? ` [${statusText(d.status)}]` : ""}`);
   });
+  const finished = buildUpcomingDeadlineHeap(scheduleObjs, today(), UPCOMING_DAYS, { finished: true }).asSortedArray();
+  if (finished.length) {
+    console.log(`Already finished: ${finished.map(d => `${STATUS_ICONS[d.status]} ${d.name} (${d.day} ${d.date})`).join(", ")}`);
+  }
 
   // Build and display dependency graph (simple textual)
   const graph = buildGraphFromSchedule(scheduleObjs);
@@ -406,15 +2060,30 @@ function promptViewDay() {
   if (!graph.adj.size) console.log(" None.");
   else {
     for (const [from, list] of graph.adj.entries()) {
-      list.forEach(to => console.log(`  ${from} ➡ ${to}`));
+      list.forEach(to => console.log(`  ${eventLabel(schedule, from)} ➡ ${eventLabel(schedule, to)}`));
+    }
+    const cycle = graph.hasCycle();
+    if (cycle) {
+      console.log(`⚠️ Circular dependency detected: ${cycle.map(id => eventLabel(schedule, id)).join(" ➡ ")}`);
+    } else {
+      const order = graph.topologicalOrder();
+      console.log(`\nDo them in this order: ${order.map(id => eventLabel(schedule, id)).join(" → ")}`);
+      const critical = graph.criticalPath(id => eventMinutes(schedule.find(e => e.id === id)));
+      console.log(`Critical path: ${critical.path.map(id => eventLabel(schedule, id)).join(" → ")} (${critical.path.length} tasks, ~${critical.length} min)`);
     }
-    if (graph.hasCycle()) console.log("⚠️ Circular dependency detected!");
+    const ready = readyEvents(schedule);
+    if (ready.length) console.log(`🟢 Ready now (prerequisites finished): ${ready.map(e => e.event).join(", ")}`);
+    // what the selected day's unfinished events are holding up
+    todays.filter(e => !finishedBy(e, nextRound(e))).forEach(e => {
+      const blocked = graph.blockedBy(e.id);
+      if (blocked.length) console.log(`  🔒 Blocked by '${e.event}': ${blocked.map(id => eventLabel(schedule, id)).join(", ")}`);
+    });
   }
 }
 
 function promptExportJSONPretty() {
   const schedule = loadSchedule();
-  console.log("\nCurrent schedule.json content (pretty):\n");
+  console.log(`\nCurrent ${currentTimetable().file} content (pretty):\n`);
   console.log(JSON.stringify(schedule, null, 2));
 }
 function promptCreateFreshTimetable() {
@@ -425,42 +2094,387 @@ function promptCreateFreshTimetable() {
     return;
   }
 
+  if (readline.keyInYNStrict("Load the new timetable from a CSV / TSV file instead of typing it in?")) {
+    promptImportCSV("replace");
+    return;
+  }
   const count = readline.questionInt("How many events to add in the new timetable? ");
   const newSchedule = [];
+  promptNewEvents(newSchedule, count);
 
-  for (let i = 0; i < count; i++) {
-    console.log(`\nEvent ${i + 1}:`);
-    const name = readline.question("Event Name: ").trim();
-    const dayIndex = readline.keyInSelect(days, "Select Day (Cancel = -1):");
-    if (dayIndex === -1) {
-      console.log("Skipping this event.");
-      continue;
+  saveSchedule(newSchedule, { change: `fresh timetable (${newSchedule.length} events)` });
+  console.log(`\n✅ New timetable created successfully and saved to ${currentTimetable().file}!`);
+}
+
+function promptClashesAndFreeSlots() {
+  const schedule = loadSchedule();
+  console.log("\n=== CLASHES & FREE SLOTS ===");
+  const clashes = detectClashes(schedule);
+  if (!clashes.length) console.log("No clashes found.");
+  else clashes.forEach(c => {
+    console.log(`  ⚠️  ${c.day}: '${c.a.name}' overlaps with '${c.b.name}' (${c.from}-${c.to})`);
+  });
+
+  let workStart = promptParsed(`\nWorking hours start (enter for ${WORK_START}): `, parseTime, TIME_HINT, WORK_START);
+  let workEnd = promptParsed(`Working hours end (enter for ${WORK_END}): `, parseTime, TIME_HINT, WORK_END);
+  if (toMinutes(workEnd) <= toMinutes(workStart)) {
+    console.log(`Invalid working hours, using ${WORK_START}-${WORK_END}.`);
+    workStart = WORK_START;
+    workEnd = WORK_END;
+  }
+
+  const slots = findFreeSlots(schedule, workStart, workEnd);
+  console.log(`\nFree slots (${workStart}-${workEnd}):`);
+  days.forEach(d => {
+    const daySlots = slots.filter(s => s.day === d);
+    console.log(`  ${d}: ${daySlots.length ? daySlots.map(s => `${s.start}-${s.end}`).join(", ") : "none"}`);
+  });
+}
+
+function promptPlanDeadlines() {
+  console.log("\n=== PLAN DEADLINE WORK ===");
+  const schedule = loadSchedule();
+  const { blocks, unscheduled } = planDeadlineTasks(schedule);
+  if (!blocks.length && !unscheduled.length) {
+    console.log("No deadline tasks to plan.");
+    return;
+  }
+
+  console.log("\nProposed work blocks:");
+  if (!blocks.length) console.log(" None.");
+  else blocks.forEach(b => console.log(`  🛠️ ${b.day} ${b.start}-${b.end}  ${b.event}`));
+
+  if (unscheduled.length) {
+    console.log("\nCould not fit before their deadline:");
+    unscheduled.forEach(u => console.log(`  ⚠️  ${u.task.name} (due ${u.task.day}) — ${u.reason}`));
+  }
+
+  if (!blocks.length) return;
+  const write = readline.keyInYNStrict(`Save these blocks to ${currentTimetable().file} (replaces earlier planned blocks)?`);
+  if (!write) {
+    console.log("Plan discarded.");
+    return;
+  }
+  saveSchedule(schedule.filter(e => e.type !== "planned").concat(blocks), { change: `plan ${blocks.length} work block(s)` });
+  console.log(`\n✅ ${blocks.length} planned block(s) saved.`);
+}
+
+// -----------------------------
+// iCalendar (.ics) export / import (see ics.js)
+// -----------------------------
+const ICS_FILE = "schedule.ics";
+
+// ics.js builds on this module, so it is loaded on first use
+function exportICSFile(file = ICS_FILE) {
+  const { toICS } = require("./ics.js");
+  const schedule = loadSchedule();
+  fs.writeFileSync(file, toICS(schedule));
+  console.log(`✅ Exported ${schedule.length} event(s) to ${file}`);
+}
+
+// returns false when nothing could be read
+function importICSFile(file) {
+  const { importICS } = require("./ics.js");
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    console.error(`Failed to read ${file}:`, err.message);
+    return false;
+  }
+  const result = importICS(loadSchedule(), text);
+  result.warnings.forEach(w => console.log(`  ⚠️  ${w}`));
+  result.skipped.forEach(s => console.log(`  ❌ ${s.event}: ${s.errors.join("; ")}`));
+  if (result.duplicates.length) console.log(`  ↩️  Already in the schedule (same UID): ${result.duplicates.join(", ")}`);
+  if (result.added.length) saveSchedule(result.schedule, { change: `import ${result.added.length} event(s) from ${file}` });
+  console.log(`✅ Imported ${result.added.length} event(s) from ${file}`);
+  return true;
+}
+
+function promptExportICS() {
+  const file = readline.question(`Export to (enter for ${ICS_FILE}): `).trim() || ICS_FILE;
+  try {
+    exportICSFile(file);
+  } catch (err) {
+    console.error(`Failed to write ${file}:`, err.message);
+  }
+}
+
+function promptImportICS() {
+  const file = readline.question("Import which .ics file? ").trim();
+  if (!file) {
+    console.log("Cancelled.");
+    return;
+  }
+  importICSFile(file);
+}
+
+// -----------------------------
+// CSV / TSV import + export (see csv.js)
+// -----------------------------
+const CSV_FILE = "schedule.csv";
+
+// what an import did (or would do): the column mapping, then each problem row
+function printCSVImport(result) {
+  const mapped = Object.entries(result.mapping).map(([field, header]) => `${field} ← "${header}"`);
+  console.log(`  Columns: ${mapped.join(", ") || "none"}${result.unused.length ? ` (ignored: ${result.unused.join(", ")})` : ""}`);
+  (result.errors || []).forEach(err => console.log(`  ❌ ${err}`));
+  result.skipped.forEach(s => console.log(`  ❌ line ${s.line} '${s.event}': ${s.errors.join("; ")}`));
+  result.warnings.forEach(w => console.log(`  ⚠️  ${w}`));
+}
+
+function importSummary(result) {
+  return `${result.added.length} to add, ${result.updated.length} to update, ${result.skipped.length} row(s) left out`;
+}
+
+// file, merge or replace, preview (with a chance to fix the column mapping), then save
+function promptImportCSV(mode) {
+  const { importCSV, parseMapping, FIELDS } = require("./csv.js");
+  const file = readline.question("Import which CSV / TSV file? ").trim();
+  if (!file) {
+    console.log("Cancelled.");
+    return;
+  }
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    console.error(`Failed to read ${file}:`, err.message);
+    return;
+  }
+  if (!mode) {
+    const pick = readline.keyInSelect(["Merge into the current schedule", "Replace the current schedule"], "How should the rows be used?");
+    if (pick === -1) {
+      console.log("Cancelled.");
+      return;
     }
-    const isDeadline = readline.keyInYNStrict("Is this a deadline-based task (due by 23:59)?");
-    let start = "N/A", end = "23:59", type = "deadline";
-    if (!isDeadline) {
-      start = padTimeHHMM(readline.question("Start Time (HH:MM): "));
-      end = padTimeHHMM(readline.question("End Time (HH:MM): "));
-      type = "fixed";
+    mode = pick === 1 ? "replace" : "merge";
+  }
+  const schedule = loadSchedule();
+  let mapping = {};
+  while (true) {
+    const result = importCSV(schedule, text, { mode, mapping });
+    console.log(`\n🔎 Preview of ${file}:`);
+    printCSVImport(result);
+    const ready = !result.errors && (result.added.length || result.updated.length);
+    if (!result.errors) console.log(`  ${importSummary(result)}${mode === "replace" ? ` (replaces all ${schedule.length} current event(s))` : ""}`);
+    const pick = readline.keyInSelect(ready ? ["Import", "Change the column mapping"] : ["Change the column mapping"], "Go ahead?");
+    if (pick === -1) {
+      console.log("Cancelled. Nothing changed.");
+      return;
     }
-    const hasDep = readline.keyInYNStrict("Does this event depend on another event?");
-    const depends_on = hasDep ? readline.question("Enter the name (or ID) of event it depends on: ").trim() : null;
-    const id = generateId();
-    const obj = {
-      id,
-      event: name,
-      day: days[dayIndex],
-      start,
-      end,
-      type,
-      depends_on: depends_on || null
-    };
-    newSchedule.push(obj);
-    console.log("Added:", name);
+    if (!ready || pick === 1) {
+      console.log(`Fields: ${FIELDS.join(", ")}`);
+      const answer = readline.question("Mapping as field=Column, comma-separated (field= ignores it): ");
+      mapping = { ...mapping, ...parseMapping(answer) };
+      continue;
+    }
+    const change = mode === "replace"
+      ? `replace the schedule with ${file}`
+      : `import ${result.added.length + result.updated.length} event(s) from ${file}`;
+    saveSchedule(result.schedule, { change });
+    console.log(`✅ ${result.added.length} added, ${result.updated.length} updated from ${file}`);
+    return;
+  }
+}
+
+function promptExportCSV() {
+  const file = readline.question(`Export to (enter for ${CSV_FILE}; a .tsv name gives tab-separated): `).trim() || CSV_FILE;
+  const schedule = loadSchedule();
+  try {
+    fs.writeFileSync(file, require("./csv.js").toCSV(schedule, /\.tsv$/i.test(file) ? "\t" : ","));
+    console.log(`✅ Exported ${schedule.length} event(s) to ${file}`);
+  } catch (err) {
+    console.error(`Failed to write ${file}:`, err.message);
+  }
+}
+
+// -----------------------------
+// Undo / redo / history (see the History section above)
+// -----------------------------
+function promptUndo() {
+  const undone = undoChange();
+  console.log(undone ? `↩️  Undid: ${undone.summary}` : "Nothing to undo.");
+}
+
+function promptRedo() {
+  const redone = redoChange();
+  console.log(redone ? `↪️  Redid: ${redone.summary}` : "Nothing to redo.");
+}
+
+// the last `limit` entries, marking the one the timetable is at now
+function printHistory(history, limit = 20) {
+  if (!history.length) {
+    console.log("No history yet.");
+    return;
+  }
+  const { done } = replayHistory(history);
+  const current = done.length ? done[done.length - 1].seq : null;
+  history.slice(-limit).forEach(h => {
+    const when = new Date(h.at).toLocaleString();
+    console.log(`${h.seq === current ? "➡" : " "} #${h.seq}  ${when}  ${h.summary} (${h.events.length} events)`);
+  });
+}
+
+function promptHistory() {
+  console.log("\n=== CHANGE HISTORY ===");
+  const history = readHistory();
+  printHistory(history);
+  if (!history.length) return;
+  const answer = readline.question("\nRestore the timetable as it was after # (enter to go back): ").trim();
+  if (!answer) return;
+  const seq = Number(answer);
+  const entry = history.find(h => h.seq === seq);
+  if (!entry) {
+    console.log("No such entry.");
+    return;
+  }
+  if (!readline.keyInYNStrict(`Replace the current timetable with #${seq} (${entry.events.length} events)? (this can be undone)`)) return;
+  if (restoreHistory(seq)) console.log(`✅ Restored #${seq}: ${entry.summary}`);
+}
+
+// -----------------------------
+// Status + progress menu
+// -----------------------------
+function promptSetStatus() {
+  console.log("\n=== UPDATE TASK STATUS ===");
+  const schedule = loadSchedule();
+  if (!schedule.length) {
+    console.log("No events.");
+    return;
+  }
+  listAllEvents(schedule);
+  const idx = readline.questionInt("Enter the event number to update (0 to cancel): ");
+  if (idx <= 0 || idx > schedule.length) {
+    console.log("Cancelled.");
+    return;
+  }
+  const event = schedule[idx - 1];
+  const pick = readline.keyInSelect(STATUSES.map(statusText), `New status for '${event.event}'? (current: ${statusOf(event).replace("_", " ")})`);
+  if (pick === -1) {
+    console.log("Cancelled.");
+    return;
+  }
+  const { record, unblocked } = setStatus(schedule, event.id, STATUSES[pick]);
+  saveSchedule(schedule, { change: `mark '${record.event}' ${record.status.replace("_", " ")}` });
+  console.log(`\n✅ '${record.event}' is now ${statusText(record.status)}.`);
+  if (unblocked.length) console.log(`🟢 Now ready: ${unblocked.map(e => e.event).join(", ")}`);
+}
+
+// -----------------------------
+// Workload report menu (formats in report.js)
+// -----------------------------
+function promptWorkload() {
+  const date = promptParsed("Week containing which date (YYYY-MM-DD, or e.g. next mon; enter for this week)? ", text => parseDay(text), DATE_HINT, today());
+  const report = weeklyWorkload(loadSchedule(), weekStart(date));
+  printWorkload(report);
+  const { FORMATS, formatReport } = require("./report.js");
+  const pick = readline.keyInSelect(FORMATS.map(f => `Save as ${f === "csv" ? "CSV" : "Markdown"}`), "Save the report?", { cancel: "No" });
+  if (pick === -1) return;
+  const fallback = `workload-${report.from}.${FORMATS[pick] === "csv" ? "csv" : "md"}`;
+  const file = readline.question(`Save to (enter for ${fallback}): `).trim() || fallback;
+  try {
+    fs.writeFileSync(file, formatReport(report, FORMATS[pick]));
+    console.log(`✅ Saved the report to ${file}`);
+  } catch (err) {
+    console.error(`Failed to write ${file}:`, err.message);
+  }
+}
+
+// -----------------------------
+// Printable week menu (formats in printable.js)
+// -----------------------------
+function promptPrintable() {
+  const date = promptParsed("Week containing which date (YYYY-MM-DD, or e.g. next mon; enter for this week)? ", text => parseDay(text), DATE_HINT, today());
+  const week = timetableWeek(loadSchedule(), weekStart(date));
+  const { LAYOUTS, toHTML, toMarkdown } = require("./printable.js");
+  const pick = readline.keyInSelect(LAYOUTS.map(l => `Page to print (${l})`).concat("Markdown tables (to paste into a chat)"), "Export as?", { cancel: "Back" });
+  if (pick === -1) return;
+  const layout = LAYOUTS[pick];
+  const title = `Timetable — ${currentTimetable().name}`;
+  const text = layout ? toHTML(week, { title, layout, generated: toISODate(today()) }) : toMarkdown(week, { title });
+  if (!layout) console.log(`\n${text}`);
+  const fallback = `timetable-${week.from}.${layout ? "html" : "md"}`;
+  const file = readline.question(`Save to (enter for ${fallback}): `).trim() || fallback;
+  try {
+    fs.writeFileSync(file, text);
+    console.log(`✅ Saved the week of ${week.from} to ${file}${layout ? " (open it in a browser and print)" : ""}`);
+  } catch (err) {
+    console.error(`Failed to write ${file}:`, err.message);
+  }
+}
+
+// -----------------------------
+// Reminders menu
+// -----------------------------
+function promptReminders() {
+  const schedule = loadSchedule();
+  const state = loadReminderState();
+  const now = new Date();
+  const upcoming = remindersBetween(schedule, now, new Date(now.getTime() + 24 * 3600000), state.default_minutes);
+  console.log(`\n🔔 Reminders in the next 24 hours (default lead time: ${state.default_minutes ? state.default_minutes + " min" : "off"}):`);
+  if (!upcoming.length) console.log(" None.");
+  else upcoming.forEach(r => console.log(`  ${new Date(r.fire_at).toLocaleString()}  ${r.event} — ${r.lead} min before ${r.type === "deadline" ? "due" : "start"} (${r.date} ${r.time})`));
+  console.log("Run 'node backend.js watch' to be reminded as they come up.");
+  if (!readline.keyInYNStrict("Change the default lead time?")) return;
+  const minutes = promptParsed(`How long before (e.g. 15m, 1h; 0 turns default reminders off): `,
+    text => (parseDuration(text) !== null && parseDuration(text) <= MAX_REMINDER_MINUTES ? parseDuration(text) : null),
+    `Give a length of time up to ${MAX_REMINDER_MINUTES / 1440} days, e.g. 15m or 1h.`);
+  try {
+    setDefaultReminder(minutes);
+    console.log(`✅ Default reminder: ${minutes ? minutes + " min before" : "off"}.`);
+  } catch (err) {
+    console.log(`❌ ${err.message}`);
   }
+}
+
+// -----------------------------
+// Timetables menu (see the Timetables section above)
+// -----------------------------
+function printTimetables() {
+  const reg = loadTimetables();
+  console.log("\nTimetables:");
+  reg.timetables.forEach((t, idx) => {
+    const marks = [t.name === currentTimetable().name ? "in use" : null, t.name === reg.active ? "active" : null].filter(Boolean);
+    console.log(`${idx + 1}. ${t.name} (${t.file})${marks.length ? " — " + marks.join(", ") : ""}`);
+  });
+}
 
-  saveSchedule(newSchedule);
-  console.log("\n✅ New timetable created successfully and saved to schedule.json!");
+function promptPickTimetable(question) {
+  const names = loadTimetables().timetables.map(t => t.name);
+  const idx = readline.keyInSelect(names, question);
+  return idx === -1 ? null : names[idx];
+}
+
+function promptTimetables() {
+  console.log("\n=== TIMETABLES ===");
+  printTimetables();
+  const actions = ["Switch to another timetable", "Create a new (empty) timetable", "Copy a timetable", "Rename a timetable", "Delete a timetable"];
+  const action = readline.keyInSelect(actions, "What would you like to do?");
+  if (action === -1) return;
+  try {
+    if (action === 0) {
+      const name = promptPickTimetable("Switch to which timetable?");
+      if (name) console.log(`✅ Now using '${switchTimetable(name).name}'.`);
+    } else if (action === 1 || action === 2) {
+      const source = action === 2 ? promptPickTimetable("Copy which timetable?") : null;
+      if (action === 2 && !source) return;
+      const created = createTimetable(readline.question("Name of the new timetable: "), source);
+      console.log(`✅ Created '${created.name}' (${created.file}).`);
+      if (readline.keyInYNStrict(`Switch to '${created.name}' now?`)) switchTimetable(created.name);
+    } else if (action === 3) {
+      const name = promptPickTimetable("Rename which timetable?");
+      if (name) console.log(`✅ Renamed to '${renameTimetable(name, readline.question("New name: ")).name}'.`);
+    } else {
+      const name = promptPickTimetable("Delete which timetable?");
+      if (!name || !readline.keyInYNStrict(`Delete '${name}'? (its files are kept as .deleted backups)`)) return;
+      const backups = deleteTimetable(name);
+      console.log(`Deleted '${name}'.${backups.length ? " Backups: " + backups.join(", ") : ""}`);
+      console.log(`Now using '${currentTimetable().name}'.`);
+    }
+  } catch (err) {
+    console.log(`❌ ${err.message}`);
+  }
 }
 
 // -----------------------------
@@ -468,33 +2482,182 @@ function promptCreateFreshTimetable() {
 // -----------------------------
 function mainMenu() {
   while (true) {
-    console.log("\n================= SMART TIMETABLE (DSA) =================");
+    console.log(`\n================= SMART TIMETABLE (DSA) — ${currentTimetable().name} =================`);
     console.log("1. Add / Append Events");
     console.log("2. Edit an Event");
     console.log("3. Delete an Event");
     console.log("4. View Timetable for a Day (and upcoming deadlines + dependencies)");
-    console.log("5. List All Events");
+    console.log("5. List All Events (filter by category / tag / priority)");
     console.log("6. Show JSON (console)");
     console.log("7. Create a Fresh Timetable (new schedule)");
-    console.log("8. Exit");
+    console.log("8. Show Clashes & Free Slots");
+    console.log("9. Plan Deadline Work (auto-schedule)");
+    console.log("10. Export to iCalendar (.ics)");
+    console.log("11. Import from iCalendar (.ics)");
+    console.log("12. Undo");
+    console.log("13. Redo");
+    console.log("14. Show History / Restore");
+    console.log("15. Timetables (switch / create / copy / rename / delete)");
+    console.log("16. Update Task Status (todo / in progress / done / skipped)");
+    console.log("17. Weekly Progress");
+    console.log("18. Reminders (upcoming / default lead time)");
+    console.log("19. Workload Report");
+    console.log("20. Import from CSV / TSV (bulk entry)");
+    console.log("21. Export to CSV / TSV");
+    console.log("22. Printable Week (HTML to print / Markdown to share)");
+    console.log("23. Exit");
     const choice = readline.questionInt("Enter choice: ");
     if (choice === 1) promptAddEvents();
     else if (choice === 2) promptEditEvent();
     else if (choice === 3) promptDeleteEvent();
     else if (choice === 4) promptViewDay();
-    else if (choice === 5) listAllEvents(loadSchedule());
+    else if (choice === 5) promptListEvents();
     else if (choice === 6) promptExportJSONPretty();
     else if (choice === 7) promptCreateFreshTimetable();
-    else if (choice === 8) { console.log("Bye!"); break; }
+    else if (choice === 8) promptClashesAndFreeSlots();
+    else if (choice === 9) promptPlanDeadlines();
+    else if (choice === 10) promptExportICS();
+    else if (choice === 11) promptImportICS();
+    else if (choice === 12) promptUndo();
+    else if (choice === 13) promptRedo();
+    else if (choice === 14) promptHistory();
+    else if (choice === 15) promptTimetables();
+    else if (choice === 16) promptSetStatus();
+    else if (choice === 17) printProgress(weeklyProgress(loadSchedule()));
+    else if (choice === 18) promptReminders();
+    else if (choice === 19) promptWorkload();
+    else if (choice === 20) promptImportCSV();
+    else if (choice === 21) promptExportCSV();
+    else if (choice === 22) promptPrintable();
+    else if (choice === 23) { console.log("Bye!"); break; }
     else console.log("Invalid option.");
   }
 }
 
 
-// If schedule.json does not exist, create empty array
-if (!fs.existsSync(SCHEDULE_FILE)) {
-  saveSchedule([]);
-  console.log("Created new schedule.json");
-}
+module.exports = {
+  SCHEMA_VERSION,
+  loadTimetables,
+  defaultTimetableName,
+  getTimetable,
+  useTimetable,
+  currentTimetable,
+  createTimetable,
+  switchTimetable,
+  renameTimetable,
+  deleteTimetable,
+  printTimetables,
+  days,
+  Event,
+  MinHeap,
+  Graph,
+  loadSchedule,
+  saveSchedule,
+  writeFileAtomic,
+  readHistory,
+  replayHistory,
+  undoChange,
+  redoChange,
+  restoreHistory,
+  printHistory,
+  depsOf,
+  generateId,
+  insertSortedByStart,
+  buildDayMap,
+  buildHeapFromSchedule,
+  buildUpcomingDeadlineHeap,
+  buildGraphFromSchedule,
+  WORK_START,
+  WORK_END,
+  UPCOMING_DAYS,
+  ICS_FILE,
+  CSV_FILE,
+  printCSVImport,
+  toMinutes,
+  parseISODate,
+  toISODate,
+  addDays,
+  weekdayIndex,
+  daysBetween,
+  today,
+  occursOn,
+  expandOccurrences,
+  nextDateFor,
+  describeWhen,
+  parseTime,
+  parseDuration,
+  parseDay,
+  parseEnd,
+  parseTimeSpan,
+  MAX_END_DAY_OFFSET,
+  endDayOffset,
+  endDayText,
+  daySegments,
+  spanMinutes,
+  continuingOn,
+  detectClashes,
+  findFreeSlots,
+  findConflictsFor,
+  validateDependencyTiming,
+  recordErrors,
+  validateEvent,
+  buildRecord,
+  replaceEvent,
+  deleteEvent,
+  collectDependents,
+  eventLabel,
+  eventMinutes,
+  PRIORITIES,
+  CATEGORIES,
+  TAG_RE,
+  CATEGORY_RE,
+  toLabel,
+  PRIORITY_ICONS,
+  priorityRank,
+  normalizeTags,
+  matchesFilter,
+  parseFilter,
+  STATUSES,
+  STATUS_ICONS,
+  statusOf,
+  statusOn,
+  isFinished,
+  readyEvents,
+  setStatus,
+  weekStart,
+  weeklyProgress,
+  printProgress,
+  weeklyWorkload,
+  timetableWeek,
+  printWorkload,
+  hoursText,
+  DEFAULT_REMINDER_MINUTES,
+  MAX_REMINDER_MINUTES,
+  loadReminderState,
+  setDefaultReminder,
+  remindersBetween,
+  dueReminders,
+  markDelivered,
+  watchReminders,
+  reminderText,
+  describeReminders,
+  planDeadlineTasks,
+  listAllEvents,
+  printDayView
+};
 
-mainMenu();
+if (require.main === module) {
+  // any arguments switch to the scriptable command line (see cli.js)
+  const args = process.argv.slice(2);
+
+  // If the timetable's file does not exist, create empty array. A command's stdout is
+  // its output (JSON with --json), so the notice goes to stderr there.
+  const { file } = currentTimetable();
+  if (!fs.existsSync(file)) {
+    saveSchedule([], { quiet: true, change: `create ${file}` });
+    (args.length ? console.error : console.log)(`Created new ${file}`);
+  }
+
+  if (args.length) process.exitCode = require("./cli.js").run(args);
+  else mainMenu();
+}
@@ -0,0 +1,748 @@
+// cli.js
+// Smart Timetable — non-interactive commands for scripts, cron and tests
+// Run: node backend.js <command> [options]   (no command opens the interactive menu)
+
+const fs = require("fs");
+const { parseArgs } = require("util");
+const {
+  days,
+  loadSchedule,
+  saveSchedule,
+  buildRecord,
+  validateEvent,
+  findConflictsFor,
+  replaceEvent,
+  deleteEvent,
+  collectDependents,
+  detectClashes,
+  findFreeSlots,
+  buildUpcomingDeadlineHeap,
+  buildGraphFromSchedule,
+  eventLabel,
+  eventMinutes,
+  occursOn,
+  nextDateFor,
+  endDayText,
+  continuingOn,
+  toISODate,
+  parseISODate,
+  parseTime,
+  parseDuration,
+  parseDay,
+  today,
+  toMinutes,
+  listAllEvents,
+  printDayView,
+  readHistory,
+  replayHistory,
+  undoChange,
+  redoChange,
+  restoreHistory,
+  printHistory,
+  loadTimetables,
+  useTimetable,
+  currentTimetable,
+  createTimetable,
+  switchTimetable,
+  renameTimetable,
+  deleteTimetable,
+  printTimetables,
+  PRIORITIES,
+  normalizeTags,
+  matchesFilter,
+  STATUSES,
+  readyEvents,
+  setStatus,
+  weekStart,
+  weeklyProgress,
+  printProgress,
+  weeklyWorkload,
+  printWorkload,
+  timetableWeek,
+  MAX_REMINDER_MINUTES,
+  loadReminderState,
+  setDefaultReminder,
+  remindersBetween,
+  watchReminders,
+  reminderText,
+  WORK_START,
+  WORK_END,
+  UPCOMING_DAYS,
+  ICS_FILE,
+  printCSVImport
+} = require("./backend.js");
+
+// 0 ok, 1 failed / invalid, 2 bad command line, 3 refused because of a conflict
+const EXIT = { OK: 0, FAILED: 1, USAGE: 2, CONFLICT: 3 };
+
+const OPTIONS = {
+  name: { type: "string" },
+  day: { type: "string" },
+  date: { type: "string" },
+  start: { type: "string" },
+  end: { type: "string" },
+  "end-day": { type: "string" },
+  type: { type: "string" },
+  "depends-on": { type: "string" },
+  duration: { type: "string" },
+  status: { type: "string" },
+  priority: { type: "string" },
+  category: { type: "string" },
+  tags: { type: "string" },
+  tag: { type: "string" },
+  remind: { type: "string" },
+  hours: { type: "string" },
+  default: { type: "string" },
+  interval: { type: "string" },
+  once: { type: "boolean" },
+  map: { type: "string" },
+  delimiter: { type: "string" },
+  replace: { type: "boolean" },
+  "dry-run": { type: "boolean" },
+  force: { type: "boolean" },
+  cascade: { type: "string" },
+  format: { type: "string" },
+  layout: { type: "string" },
+  out: { type: "string" },
+  json: { type: "boolean" },
+  timetable: { type: "string" },
+  help: { type: "boolean", short: "h" }
+};
+
+const USAGE = `Usage: node backend.js <command> [options]
+
+Commands:
+  list [--day <day>] [--type <type>] [--status <status>]
+       [--category <name>] [--tag <tag>] [--priority high|medium|low]   list events
+  view <day>                                timetable, deadlines and dependencies for a day
+  add --name <n> --day <day> --start <time> --end <time>[+N] [--type fixed|deadline|planned]
+      [--end-day <n>] (ends n days later; "--end 01:00+1" is the same as "--end 01:00 --end-day 1")
+      [--date <date>] [--duration <length>] [--depends-on <id|name>,...] [--status <status>]
+      [--priority high|medium|low] [--category <name>] [--tags <tag>,...]
+      [--remind <length>,...|off|default] [--force]
+  edit <id> [same options as add]           change only the given fields
+  status <id> <todo|in-progress|done|skipped>   mark progress on an event
+  progress [--date <date>]                  weekly progress (the week containing the date, default this week)
+  report [--date <date>] [--format text|markdown|csv] [--out <file>]
+                                            workload for a week: hours per day / category, free time, overload warnings
+  reminders [--hours <n>] [--default <min>] reminders due in the next n hours (default 24); --default sets the lead time
+  watch [--interval <sec>] [--once]         print reminders as they fall due until Ctrl+C (--json: one JSON line each)
+  delete <id> [--cascade unlink|delete]     remove an event (and unlink / remove dependents)
+  conflicts                                 overlapping events
+  free-slots [--start <time>] [--end <time>]  gaps inside working hours (default ${WORK_START}-${WORK_END})
+  export [--format json|ics|csv|tsv] [--out <file>]   schedule to stdout or a file
+  export --format html|markdown [--date <date>] [--layout landscape|portrait] [--out <file>]
+                                            a week to print or share: page with print CSS / Markdown tables
+  export-ics [file]                         same as: export --format ics --out <file> (default ${ICS_FILE})
+  import-ics <file>                         add events from an .ics file (same UID = duplicate)
+  import-csv <file> [--map field=Column,...] [--delimiter ,|;|tab] [--replace] [--dry-run]
+                                            load events from a spreadsheet: one row per event, columns matched
+                                            by header; rows with an existing id update it; --replace swaps the
+                                            schedule for the file; --dry-run only shows what would happen
+  undo / redo                               step back / forward through the change history
+  history                                   recent changes (numbered)
+  restore <n>                               timetable as it was after change #n
+  timetables [list]                         named timetables (the active one is used by default)
+  timetables create <name> | copy <from> <name> | use <name> | rename <name> <new> | delete <name>
+
+Options:
+  --json    machine-readable output on stdout
+  --timetable <name>   work on this timetable for one command (or set TIMETABLE=<name>)
+  --force   save even if the event overlaps others
+
+Input formats:
+  <time>    9am, 2:30pm, 14:30, 1730, noon; --end may instead be a length from the start: "for 90m"
+  <date>    2026-10-23, today, tomorrow, fri (the coming one), next fri (next week's), in 3 days
+  <length>  90 (minutes), 90m, 1h30, 1.5h, 2 hours
+
+Exit codes: 0 ok, 1 failed or invalid event, 2 usage error, 3 conflict (overlap, dependents, clashes)`;
+
+// -----------------------------
+// Helpers
+// -----------------------------
+class UsageError extends Error {}
+
+// "mon", "Monday", "MONDAY" -> "Monday"; unknown or ambiguous ("t") -> null
+function resolveDay(input) {
+  const s = String(input).trim().toLowerCase();
+  const matches = days.filter(d => d.toLowerCase().startsWith(s));
+  return s && matches.length === 1 ? matches[0] : null;
+}
+
+// "--depends-on a1,Maths Notes" -> ids; names must match exactly one event
+function resolveDependencies(schedule, text) {
+  return text.split(",").map(s => s.trim()).filter(Boolean).map(ref => {
+    if (schedule.some(e => e.id === ref)) return ref;
+    const byName = schedule.filter(e => e.event.toLowerCase() === ref.toLowerCase());
+    if (byName.length === 1) return byName[0].id;
+    throw new UsageError(byName.length ? `'${ref}' matches ${byName.length} events, use an id` : `no event with id or name '${ref}'`);
+  });
+}
+
+// "in-progress", "In progress" -> "in_progress"; unknown -> UsageError
+function resolveStatus(input) {
+  const status = String(input).trim().toLowerCase().replace(/[\s-]+/g, "_");
+  if (!STATUSES.includes(status)) throw new UsageError(`status must be one of ${STATUSES.join(", ")}`);
+  return status;
+}
+
+// "60,15" -> [60, 15]; "off" -> [] (none); "default" or "" -> null (the timetable's default)
+function resolveReminders(text) {
+  const s = text.trim().toLowerCase();
+  if (!s || s === "default") return null;
+  if (s === "off" || s === "none") return [];
+  const minutes = s.split(",").map(m => m.trim()).filter(Boolean).map(parseDuration);
+  if (!minutes.every(m => m !== null && m <= MAX_REMINDER_MINUTES)) {
+    throw new UsageError(`--remind takes lengths of time before the event (e.g. 15, 1h; up to ${MAX_REMINDER_MINUTES} min), 'off' or 'default'`);
+  }
+  return minutes;
+}
+
+// "2026-10-23", "tomorrow", "next fri" -> "YYYY-MM-DD" (see parseDay)
+function resolveDate(text) {
+  const date = parseDay(text);
+  if (!date) throw new UsageError(`--date must be a date like 2026-10-23, tomorrow, fri or next mon (got '${text}')`);
+  return toISODate(date);
+}
+
+// "30" -> 30 for options that need a positive whole number
+function positiveInt(flag, text) {
+  const n = Number(text);
+  if (!Number.isInteger(n) || n <= 0) throw new UsageError(`--${flag} must be a positive whole number`);
+  return n;
+}
+
+// flags -> the loose input buildRecord() takes; only the flags given
+function inputFromFlags(schedule, flags) {
+  const input = {};
+  if (flags.name !== undefined) input.event = flags.name;
+  if (flags.day !== undefined) {
+    input.day = resolveDay(flags.day);
+    if (!input.day) throw new UsageError(`unknown day '${flags.day}'`);
+  }
+  if (flags.date !== undefined) input.date = flags.date ? resolveDate(flags.date) : null;
+  if (flags.type !== undefined) input.type = flags.type.toLowerCase();
+  if (flags.start !== undefined) input.start = flags.start;
+  if (flags.end !== undefined) input.end = flags.end;
+  if (flags["end-day"] !== undefined) {
+    input.end_day_offset = Number(flags["end-day"]);
+    if (!Number.isInteger(input.end_day_offset) || input.end_day_offset < 0) throw new UsageError("--end-day must be a whole number of days (0 = the same day)");
+  }
+  if (flags.duration !== undefined) {
+    input.duration = flags.duration ? parseDuration(flags.duration) : null;
+    if (flags.duration && !(input.duration > 0)) throw new UsageError("--duration must be a length of time, e.g. 90, 90m or 1h30");
+  }
+  if (flags["depends-on"] !== undefined) input.depends_on = resolveDependencies(schedule, flags["depends-on"]);
+  if (flags.status !== undefined) input.status = resolveStatus(flags.status);
+  if (flags.priority !== undefined) input.priority = flags.priority || null;
+  if (flags.category !== undefined) input.category = flags.category || null;
+  if (flags.tags !== undefined) input.tags = flags.tags ? normalizeTags(flags.tags) : null;
+  if (flags.remind !== undefined) input.reminders = resolveReminders(flags.remind);
+  return input;
+}
+
+function printJSON(value) {
+  console.log(JSON.stringify(value, null, 2));
+}
+
+function clashJSON(c) {
+  return {
+    day: c.day,
+    from: c.from,
+    to: c.to,
+    events: [c.a, c.b].map(ev => ({ id: ev.id, event: ev.name, start: ev.start_time, end: ev.end_time, end_day_offset: ev.end_day_offset }))
+  };
+}
+
+// -----------------------------
+// Commands
+// -----------------------------
+function cmdList(schedule, flags) {
+  let shown = schedule;
+  if (flags.day !== undefined) {
+    const day = resolveDay(flags.day);
+    if (!day) throw new UsageError(`unknown day '${flags.day}'`);
+    shown = shown.filter(e => e.day === day);
+  }
+  if (flags.type !== undefined) shown = shown.filter(e => e.type === flags.type.toLowerCase());
+  if (flags.status !== undefined) {
+    const status = resolveStatus(flags.status);
+    shown = shown.filter(e => (e.status || "todo") === status);
+  }
+  const priority = flags.priority !== undefined ? flags.priority.toLowerCase() : undefined;
+  if (priority !== undefined && !PRIORITIES.includes(priority)) throw new UsageError(`--priority must be one of ${PRIORITIES.join(", ")}`);
+  const filter = {
+    category: flags.category && flags.category.toLowerCase(),
+    tag: flags.tag && flags.tag.replace(/^#/, "").toLowerCase(),
+    priority
+  };
+  shown = shown.filter(e => matchesFilter(e, filter));
+  if (flags.json) printJSON(shown);
+  else listAllEvents(schedule, shown);
+  return EXIT.OK;
+}
+
+function cmdView(schedule, flags, [dayArg]) {
+  if (!dayArg) throw new UsageError("view needs a day, e.g. view monday");
+  const day = resolveDay(dayArg);
+  if (!day) throw new UsageError(`unknown day '${dayArg}'`);
+  const dayIndex = days.indexOf(day);
+  if (!flags.json) {
+    printDayView(schedule, dayIndex);
+    return EXIT.OK;
+  }
+
+  const date = nextDateFor(dayIndex);
+  const graph = buildGraphFromSchedule(schedule);
+  const cycle = graph.hasCycle();
+  const todays = schedule.filter(e => occursOn(e, date));
+  const deadlineJSON = d => ({ id: d.id, event: d.name, day: d.day, date: d.date, due: d.end_time, status: d.status });
+  printJSON({
+    day,
+    date: toISODate(date),
+    events: todays,
+    // still running from an earlier day
+    continuing: continuingOn(schedule, date).map(c => ({ ...c.e, started: c.from })),
+    upcoming_deadlines: buildUpcomingDeadlineHeap(schedule).asSortedArray().map(deadlineJSON),
+    finished_deadlines: buildUpcomingDeadlineHeap(schedule, today(), UPCOMING_DAYS, { finished: true }).asSortedArray().map(deadlineJSON),
+    dependencies: {
+      cycle,
+      order: cycle ? null : graph.topologicalOrder(),
+      critical_path: cycle ? null : graph.criticalPath(id => eventMinutes(schedule.find(e => e.id === id))),
+      blocked_by: Object.fromEntries(todays.map(e => [e.id, graph.blockedBy(e.id)]).filter(([, list]) => list.length)),
+      ready: readyEvents(schedule).map(e => e.id)
+    }
+  });
+  return EXIT.OK;
+}
+
+// shared by add and edit: validate, check overlaps, save
+function saveRecord(schedule, record, flags, isNew) {
+  const errors = validateEvent(record, schedule);
+  if (errors.length) {
+    if (flags.json) printJSON({ error: "Invalid event", details: errors });
+    else errors.forEach(err => console.error(`❌ ${err}`));
+    return EXIT.FAILED;
+  }
+  const clashes = record.type === "fixed" ? findConflictsFor(schedule, record) : [];
+  if (clashes.length && !flags.force) {
+    const details = clashes.map(ev => ({ id: ev.id, event: ev.name, day: ev.day, start: ev.start_time, end: ev.end_time, end_day_offset: ev.end_day_offset }));
+    if (flags.json) printJSON({ error: "Event overlaps other events (use --force to save anyway)", details });
+    else {
+      console.error(`⚠️  '${record.event}' overlaps (use --force to save anyway):`);
+      details.forEach(d => console.error(`   - ${d.event} (${d.day} ${d.start}-${d.end}${endDayText(d)})`));
+    }
+    return EXIT.CONFLICT;
+  }
+
+  if (isNew) schedule.push(record);
+  else replaceEvent(schedule, record);
+  const change = `${isNew ? "add" : "edit"} '${record.event}'`;
+  const issues = saveSchedule(schedule, { quiet: flags.json, change });
+  if (!issues) return EXIT.FAILED;
+  if (flags.json) {
+    const warnings = issues.filter(i => i.pre.id === record.id || i.dep.id === record.id).map(i => i.message);
+    printJSON(warnings.length ? { event: record, warnings } : { event: record });
+  } else {
+    console.log(`✅ ${isNew ? "Added" : "Updated"} '${record.event}' [${record.id}]`);
+  }
+  return EXIT.OK;
+}
+
+function cmdAdd(schedule, flags) {
+  const input = inputFromFlags(schedule, flags);
+  if (!input.event) throw new UsageError("add needs --name");
+  if (!input.day && !input.date) throw new UsageError("add needs --day or --date");
+  return saveRecord(schedule, buildRecord(input), flags, true);
+}
+
+function cmdEdit(schedule, flags, [id]) {
+  if (!id) throw new UsageError("edit needs an event id");
+  const current = schedule.find(e => e.id === id);
+  if (!current) return notFound(id, flags);
+  const record = buildRecord(inputFromFlags(schedule, flags), current);
+  return saveRecord(schedule, record, flags, false);
+}
+
+function cmdDelete(schedule, flags, [id]) {
+  if (!id) throw new UsageError("delete needs an event id");
+  const mode = flags.cascade;
+  if (mode !== undefined && mode !== "unlink" && mode !== "delete") throw new UsageError("--cascade must be unlink or delete");
+  if (!schedule.some(e => e.id === id)) return notFound(id, flags);
+
+  const dependents = collectDependents(schedule, id);
+  if (dependents.length && !mode) {
+    const details = dependents.map(depId => ({ id: depId, event: eventLabel(schedule, depId) }));
+    if (flags.json) printJSON({ error: "Other events depend on this one (use --cascade unlink or --cascade delete)", details });
+    else console.error(`⚠️  ${details.map(d => d.event).join(", ")} depend on '${eventLabel(schedule, id)}' (use --cascade unlink or --cascade delete)`);
+    return EXIT.CONFLICT;
+  }
+  const { remaining, deleted } = deleteEvent(schedule, id, mode || "unlink");
+  const change = `delete ${deleted.map(e => `'${e.event}'`).join(", ")}`;
+  if (!saveSchedule(remaining, { quiet: flags.json, change })) return EXIT.FAILED;
+  if (flags.json) printJSON({ deleted });
+  else console.log(`✅ Deleted ${deleted.map(e => `'${e.event}'`).join(", ")}`);
+  return EXIT.OK;
+}
+
+function cmdStatus(schedule, flags, [id, statusArg]) {
+  if (!id || !statusArg) throw new UsageError("status needs an event id and a status, e.g. status <id> done");
+  const status = resolveStatus(statusArg);
+  if (!schedule.some(e => e.id === id)) return notFound(id, flags);
+  const { record, unblocked } = setStatus(schedule, id, status);
+  const change = `mark '${record.event}' ${status.replace("_", " ")}`;
+  if (!saveSchedule(schedule, { quiet: flags.json, change })) return EXIT.FAILED;
+  if (flags.json) printJSON({ event: record, unblocked: unblocked.map(e => ({ id: e.id, event: e.event })) });
+  else {
+    console.log(`✅ '${record.event}' is now ${status.replace("_", " ")}`);
+    if (unblocked.length) console.log(`🟢 Now ready: ${unblocked.map(e => e.event).join(", ")}`);
+  }
+  return EXIT.OK;
+}
+
+function cmdProgress(schedule, flags) {
+  const date = flags.date !== undefined ? parseISODate(resolveDate(flags.date)) : undefined;
+  const progress = weeklyProgress(schedule, weekStart(date));
+  if (flags.json) printJSON({ ...progress, finished: progress.finished.map(e => ({ id: e.id, event: e.event, status: e.status, completed_at: e.completed_at })) });
+  else printProgress(progress);
+  return EXIT.OK;
+}
+
+function cmdReport(schedule, flags) {
+  const date = flags.date !== undefined ? parseISODate(resolveDate(flags.date)) : undefined;
+  const format = (flags.format || (flags.out ? "markdown" : "text")).toLowerCase().replace(/^md$/, "markdown");
+  if (format !== "text" && format !== "markdown" && format !== "csv") throw new UsageError("--format must be text, markdown or csv");
+  const report = weeklyWorkload(schedule, weekStart(date));
+  if (format === "text" && !flags.out) {
+    if (flags.json) printJSON(report);
+    else printWorkload(report);
+    return EXIT.OK;
+  }
+  if (format === "text") throw new UsageError("--out needs --format markdown or csv");
+  const text = require("./report.js").formatReport(report, format);
+  if (!flags.out) {
+    process.stdout.write(text);
+    return EXIT.OK;
+  }
+  try {
+    fs.writeFileSync(flags.out, text);
+  } catch (err) {
+    console.error(`Failed to write ${flags.out}:`, err.message);
+    return EXIT.FAILED;
+  }
+  if (flags.json) printJSON({ file: flags.out, format, from: report.from, to: report.to });
+  else console.log(`✅ Saved the ${report.from} workload report to ${flags.out}`);
+  return EXIT.OK;
+}
+
+function cmdReminders(schedule, flags) {
+  if (flags.default !== undefined) {
+    const minutes = Number(flags.default);
+    if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_REMINDER_MINUTES) {
+      throw new UsageError(`--default must be 0 (off) to ${MAX_REMINDER_MINUTES} minutes`);
+    }
+    setDefaultReminder(minutes);
+    if (!flags.json) console.log(`✅ Default reminder: ${minutes ? `${minutes} min before` : "off"}`);
+  }
+  const hours = flags.hours !== undefined ? positiveInt("hours", flags.hours) : 24;
+  const { default_minutes } = loadReminderState();
+  const now = new Date();
+  const upcoming = remindersBetween(schedule, now, new Date(now.getTime() + hours * 3600000), default_minutes);
+  if (flags.json) {
+    printJSON({ default_minutes, upcoming });
+    return EXIT.OK;
+  }
+  console.log(`\n🔔 Reminders in the next ${hours} h (default: ${default_minutes ? `${default_minutes} min before` : "off"}):`);
+  if (!upcoming.length) console.log(" None.");
+  upcoming.forEach(r => console.log(`  ${new Date(r.fire_at).toLocaleString()}  ${r.event} — ${r.lead} min before ${r.type === "deadline" ? "due" : "start"} (${r.date} ${r.time})`));
+  return EXIT.OK;
+}
+
+// keeps running (the interval holds the process open) until Ctrl+C; --once checks a single time
+function cmdWatch(schedule, flags) {
+  const seconds = flags.interval !== undefined ? positiveInt("interval", flags.interval) : 30;
+  const deliver = r => {
+    if (flags.json) console.log(JSON.stringify({ ...r, message: reminderText(r) }));
+    else console.log(`⏰ ${new Date().toLocaleTimeString()}  ${reminderText(r)}`);
+  };
+  if (!flags.json && !flags.once) console.log(`👀 Watching '${currentTimetable().name}' for reminders every ${seconds}s (Ctrl+C to stop)…`);
+  const stop = watchReminders(deliver, seconds);
+  if (flags.once) stop();
+  else {
+    process.once("SIGINT", () => {
+      stop();
+      if (!flags.json) console.log("\nStopped watching.");
+    });
+  }
+  return EXIT.OK;
+}
+
+function cmdConflicts(schedule, flags) {
+  const clashes = detectClashes(schedule);
+  if (flags.json) printJSON(clashes.map(clashJSON));
+  else if (!clashes.length) console.log("No clashes found.");
+  else clashes.forEach(c => console.log(`⚠️  ${c.day}: '${c.a.name}' overlaps with '${c.b.name}' (${c.from}-${c.to})`));
+  return clashes.length ? EXIT.CONFLICT : EXIT.OK;
+}
+
+function cmdFreeSlots(schedule, flags) {
+  const workStart = flags.start ? parseTime(flags.start) : WORK_START;
+  const workEnd = flags.end ? parseTime(flags.end) : WORK_END;
+  if (workStart === null || workEnd === null || toMinutes(workEnd) <= toMinutes(workStart)) {
+    throw new UsageError("--start and --end must be times (e.g. 8am, 17:30) with end after start");
+  }
+  const slots = findFreeSlots(schedule, workStart, workEnd);
+  if (flags.json) printJSON(slots);
+  else days.forEach(d => {
+    const daySlots = slots.filter(s => s.day === d);
+    console.log(`${d}: ${daySlots.length ? daySlots.map(s => `${s.start}-${s.end}`).join(", ") : "none"}`);
+  });
+  return EXIT.OK;
+}
+
+function cmdExport(schedule, flags) {
+  const format = (flags.format || "json").toLowerCase().replace(/^md$/, "markdown");
+  if (!["json", "ics", "csv", "tsv", "html", "markdown"].includes(format)) throw new UsageError("--format must be json, ics, csv, tsv, html or markdown");
+  if (format === "html" || format === "markdown") return exportWeek(schedule, flags, format);
+  if (flags.layout !== undefined || flags.date !== undefined) throw new UsageError("--layout and --date go with --format html or markdown");
+  let text;
+  if (format === "ics") text = require("./ics.js").toICS(schedule);
+  else if (format === "csv" || format === "tsv") text = require("./csv.js").toCSV(schedule, format === "tsv" ? "\t" : ",");
+  else text = JSON.stringify(schedule, null, 2) + "\n";
+  if (!flags.out) {
+    process.stdout.write(text);
+    return EXIT.OK;
+  }
+  try {
+    fs.writeFileSync(flags.out, text);
+  } catch (err) {
+    console.error(`Failed to write ${flags.out}:`, err.message);
+    return EXIT.FAILED;
+  }
+  if (flags.json) printJSON({ file: flags.out, format, events: schedule.length });
+  else console.log(`✅ Exported ${schedule.length} event(s) to ${flags.out}`);
+  return EXIT.OK;
+}
+
+// the week containing --date (default this week) as a printable page or Markdown
+function exportWeek(schedule, flags, format) {
+  const { LAYOUTS, toHTML, toMarkdown } = require("./printable.js");
+  const layout = (flags.layout || LAYOUTS[0]).toLowerCase();
+  if (!LAYOUTS.includes(layout)) throw new UsageError(`--layout must be ${LAYOUTS.join(" or ")}`);
+  if (flags.layout !== undefined && format !== "html") throw new UsageError("--layout only applies to --format html");
+  const date = flags.date !== undefined ? parseISODate(resolveDate(flags.date)) : undefined;
+  const week = timetableWeek(schedule, weekStart(date));
+  const title = `Timetable — ${currentTimetable().name}`;
+  const text = format === "html" ? toHTML(week, { title, layout, generated: toISODate(today()) }) : toMarkdown(week, { title });
+  if (!flags.out) {
+    process.stdout.write(text);
+    return EXIT.OK;
+  }
+  try {
+    fs.writeFileSync(flags.out, text);
+  } catch (err) {
+    console.error(`Failed to write ${flags.out}:`, err.message);
+    return EXIT.FAILED;
+  }
+  if (flags.json) printJSON({ file: flags.out, format, from: week.from, to: week.to, layout: format === "html" ? layout : undefined });
+  else console.log(`✅ Saved the week of ${week.from} to ${flags.out}${format === "html" ? ` (${layout}; open it and print)` : ""}`);
+  return EXIT.OK;
+}
+
+function cmdImportICS(schedule, flags, [file]) {
+  if (!file) throw new UsageError("import-ics needs a file");
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    console.error(`Failed to read ${file}:`, err.message);
+    return EXIT.FAILED;
+  }
+  const result = require("./ics.js").importICS(schedule, text);
+  const change = `import ${result.added.length} event(s) from ${file}`;
+  if (result.added.length && !saveSchedule(result.schedule, { quiet: flags.json, change })) return EXIT.FAILED;
+  if (flags.json) {
+    const { added, duplicates, skipped, warnings } = result;
+    printJSON({ added, duplicates, skipped, warnings });
+    return EXIT.OK;
+  }
+  result.warnings.forEach(w => console.log(`  ⚠️  ${w}`));
+  result.skipped.forEach(s => console.log(`  ❌ ${s.event}: ${s.errors.join("; ")}`));
+  if (result.duplicates.length) console.log(`  ↩️  Already in the schedule (same UID): ${result.duplicates.join(", ")}`);
+  console.log(`✅ Imported ${result.added.length} event(s) from ${file}`);
+  return EXIT.OK;
+}
+
+// FAILED when the columns cannot be mapped or no row could be used
+function cmdImportCSV(schedule, flags, [file]) {
+  if (!file) throw new UsageError("import-csv needs a file");
+  const { importCSV, parseMapping } = require("./csv.js");
+  const delimiter = flags.delimiter;
+  if (delimiter !== undefined && ![",", ";", "tab", "\t"].includes(delimiter)) throw new UsageError("--delimiter must be ',', ';' or tab");
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    console.error(`Failed to read ${file}:`, err.message);
+    return EXIT.FAILED;
+  }
+  const mode = flags.replace ? "replace" : "merge";
+  const result = importCSV(schedule, text, { mode, delimiter, mapping: parseMapping(flags.map) });
+  const usable = !result.errors && (result.added.length || result.updated.length);
+  const dryRun = flags["dry-run"];
+  if (usable && !dryRun) {
+    const change = mode === "replace"
+      ? `replace the schedule with ${file}`
+      : `import ${result.added.length + result.updated.length} event(s) from ${file}`;
+    if (!saveSchedule(result.schedule, { quiet: flags.json, change })) return EXIT.FAILED;
+  }
+  if (flags.json) {
+    const { mapping, unused, added, updated, skipped, warnings, errors } = result;
+    printJSON({ dry_run: Boolean(dryRun), mode, mapping, unused, added, updated, skipped, warnings, ...(errors ? { errors } : {}) });
+  } else {
+    printCSVImport(result);
+    if (result.errors) console.error("❌ Nothing imported: fix the column mapping with --map field=Column.");
+    else if (dryRun) console.log(`🔎 Dry run: ${result.added.length} to add, ${result.updated.length} to update, ${result.skipped.length} row(s) left out${mode === "replace" ? ` (would replace all ${schedule.length} current event(s))` : ""}. Nothing saved.`);
+    else if (usable) console.log(`✅ ${result.added.length} added, ${result.updated.length} updated from ${file}${result.skipped.length ? ` (${result.skipped.length} row(s) left out)` : ""}`);
+    else console.error(`❌ No usable rows in ${file}.`);
+  }
+  return usable ? EXIT.OK : EXIT.FAILED;
+}
+
+// undo and redo: FAILED when there is nothing to step to
+function cmdStep(step, verb) {
+  return (schedule, flags) => {
+    const entry = step({ quiet: flags.json });
+    if (flags.json) printJSON(entry ? { [verb]: entry.summary, seq: entry.seq } : { error: `Nothing to ${verb}` });
+    else console.log(entry ? `✅ ${verb}: ${entry.summary}` : `Nothing to ${verb}.`);
+    return entry ? EXIT.OK : EXIT.FAILED;
+  };
+}
+
+function cmdHistory(schedule, flags) {
+  const history = readHistory();
+  if (!flags.json) {
+    printHistory(history, history.length);
+    return EXIT.OK;
+  }
+  const { done } = replayHistory(history);
+  const current = done.length ? done[done.length - 1].seq : null;
+  printJSON(history.map(h => ({ seq: h.seq, at: h.at, action: h.action, summary: h.summary, events: h.events.length, current: h.seq === current })));
+  return EXIT.OK;
+}
+
+function cmdRestore(schedule, flags, [seqArg]) {
+  const seq = Number(seqArg);
+  if (!Number.isInteger(seq) || seq < 1) throw new UsageError("restore needs a history number, see 'history'");
+  const entry = restoreHistory(seq, { quiet: flags.json });
+  if (!entry) {
+    if (flags.json) printJSON({ error: `No history entry #${seq}` });
+    else console.error(`❌ No history entry #${seq}`);
+    return EXIT.FAILED;
+  }
+  if (flags.json) printJSON({ restored: seq, summary: entry.summary, events: entry.events.length });
+  else console.log(`✅ Restored #${seq}: ${entry.summary}`);
+  return EXIT.OK;
+}
+
+function cmdTimetables(schedule, flags, [action = "list", ...names]) {
+  const ops = {
+    create: ([name]) => createTimetable(name),
+    copy: ([from, name]) => {
+      if (!from || !name) throw new UsageError("timetables copy needs <from> <name>");
+      return createTimetable(name, from);
+    },
+    use: ([name]) => switchTimetable(name),
+    rename: ([name, newName]) => {
+      if (!name || !newName) throw new UsageError("timetables rename needs <name> <new name>");
+      return renameTimetable(name, newName);
+    },
+    delete: ([name]) => ({ name, backups: deleteTimetable(name) })
+  };
+  if (action !== "list") {
+    if (!ops[action]) throw new UsageError(`unknown timetables action '${action}'`);
+    if (!names[0]) throw new UsageError(`timetables ${action} needs a name`);
+    let result;
+    try {
+      result = ops[action](names);
+    } catch (err) {
+      if (err instanceof UsageError) throw err;
+      if (flags.json) printJSON({ error: err.message });
+      else console.error(`❌ ${err.message}`);
+      return EXIT.FAILED;
+    }
+    if (flags.json) printJSON({ [action]: result });
+    else console.log(`✅ ${action}: ${result.name}${result.file ? ` (${result.file})` : ""}`);
+    return EXIT.OK;
+  }
+
+  const reg = loadTimetables();
+  if (flags.json) printJSON({ active: reg.active, in_use: currentTimetable().name, timetables: reg.timetables });
+  else printTimetables();
+  return EXIT.OK;
+}
+
+function notFound(id, flags) {
+  if (flags.json) printJSON({ error: `No event with id ${id}` });
+  else console.error(`❌ No event with id ${id}`);
+  return EXIT.FAILED;
+}
+
+const COMMANDS = {
+  list: cmdList,
+  view: cmdView,
+  add: cmdAdd,
+  edit: cmdEdit,
+  delete: cmdDelete,
+  status: cmdStatus,
+  progress: cmdProgress,
+  report: cmdReport,
+  reminders: cmdReminders,
+  watch: cmdWatch,
+  conflicts: cmdConflicts,
+  "free-slots": cmdFreeSlots,
+  export: cmdExport,
+  "export-ics": (schedule, flags, [file]) => cmdExport(schedule, { ...flags, format: "ics", out: file || flags.out || ICS_FILE }),
+  "import-ics": cmdImportICS,
+  "import-csv": cmdImportCSV,
+  undo: cmdStep(undoChange, "undo"),
+  redo: cmdStep(redoChange, "redo"),
+  history: cmdHistory,
+  restore: cmdRestore,
+  timetables: cmdTimetables
+};
+
+// -----------------------------
+// Entry point: returns the exit code
+// -----------------------------
+function run(argv) {
+  const [command, ...rest] = argv;
+  if (command === "help" || command === "--help" || command === "-h") {
+    console.log(USAGE);
+    return EXIT.OK;
+  }
+  const handler = COMMANDS[command];
+  if (!handler) {
+    console.error(`Unknown command '${command}'.\n\n${USAGE}`);
+    return EXIT.USAGE;
+  }
+
+  try {
+    const { values: flags, positionals } = parseArgs({ args: rest, options: OPTIONS, allowPositionals: true });
+    if (flags.help) {
+      console.log(USAGE);
+      return EXIT.OK;
+    }
+    if (flags.timetable !== undefined && !useTimetable(flags.timetable)) throw new UsageError(`no timetable called '${flags.timetable}'`);
+    return handler(loadSchedule({ quiet: flags.json }), flags, positionals);
+  } catch (err) {
+    // parseArgs reports unknown / malformed flags with an ERR_PARSE_ARGS_* code
+    if (err instanceof UsageError || String(err.code).startsWith("ERR_PARSE_ARGS")) {
+      console.error(`${err.message}\nRun 'node backend.js help' for usage.`);
+      return EXIT.USAGE;
+    }
+    throw err;
+  }
+}
+
+module.exports = { run, EXIT, resolveDay };
@@ -0,0 +1,364 @@
+// core.js
+// Scheduling core: the Event record, MinHeap, dependency Graph and the per-day views
+// built from a schedule array. No prompts, no files: backend.js (and anything else)
+// requires it, and the tests in test/ exercise it directly.
+
+const days = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+// priority is optional (missing = "medium")
+const PRIORITIES = ["high", "medium", "low"];
+
+// 0 = high .. 2 = low, for sorting
+function priorityRank(e) {
+  const rank = PRIORITIES.indexOf(e && e.priority);
+  return rank === -1 ? 1 : rank;
+}
+
+// depends_on as a list of ids, whatever shape the record stored
+function depsOf(e) {
+  if (Array.isArray(e.depends_on)) return e.depends_on;
+  return e.depends_on ? [e.depends_on] : [];
+}
+
+// -----------------------------
+// Clock times + events past midnight
+// -----------------------------
+// "HH:MM" -> minutes since midnight (null if not a valid clock time)
+function toMinutes(hhmm) {
+  if (!hhmm || !/^\d{2}:\d{2}$/.test(hhmm)) return null;
+  const [h, m] = hhmm.split(":").map(Number);
+  if (h > 23 || m > 59) return null;
+  return h * 60 + m;
+}
+
+function fromMinutes(mins) {
+  return `${String(Math.floor(mins / 60)).padStart(2, "0")}:${String(mins % 60).padStart(2, "0")}`;
+}
+
+// `end_day_offset` says how many days after its start a timed event ends: 22:00-01:00 with
+// 1 ends the next night, 09:00-17:00 with 2 runs from one morning to the evening two days
+// later. Missing or 0 = the same day. Kept under a week so a weekly event never meets itself.
+const MAX_END_DAY_OFFSET = 6;
+
+function endDayOffset(e) {
+  return e && e.type !== "deadline" ? Number(e.end_day_offset) || 0 : 0;
+}
+
+// what a timed event covers of each day it touches, as minutes since midnight:
+// [{ part, start, end }] with part 0 = its own day, 1 = the day after, ...
+function daySegments(e) {
+  if (e.type !== "fixed" && e.type !== "planned") return [];
+  const start = toMinutes(e.start), end = toMinutes(e.end), offset = endDayOffset(e);
+  if (start === null || end === null) return [];
+  const segments = [];
+  for (let part = 0; part <= offset; part++) {
+    const seg = { part, start: part === 0 ? start : 0, end: part === offset ? end : 1440 };
+    if (seg.end > seg.start) segments.push(seg);
+  }
+  return segments;
+}
+
+// -----------------------------
+// Event, MinHeap, Graph
+// -----------------------------
+class Event {
+  constructor(id, name, dayIndex, start_time, end_time, type = "fixed", depends_on = []) {
+    this.id = id; // unique id
+    this.name = name;
+    this.dayIndex = dayIndex; // 0..6
+    this.day = days[dayIndex];
+    this.start_time = start_time; // "HH:MM" or "N/A"
+    this.end_time = end_time;     // "HH:MM" (deadlines: when they are due)
+    this.end_day_offset = 0; // days after the start that it ends (events running past midnight)
+    this.part = 0;           // which of those days this entry of a day map covers (0 = the start day)
+    this.type = type; // "fixed", "deadline", "planned" or "dependency"
+    this.depends_on = depends_on; // ids of the events this one depends on
+    this.date = null;       // "YYYY-MM-DD" for one-off events
+    this.recurrence = null; // { freq, interval, start_date, end_date, exceptions } or null
+    this.status = "todo";   // "todo", "in_progress", "done" or "skipped"
+    this.priority = null;   // "high", "medium", "low" (null counts as medium)
+    this.category = null;   // "lecture", "study", ... (free text)
+    this.tags = [];
+  }
+}
+
+// copies a record's priority / category / tags onto its Event
+function withDetails(ev, record) {
+  ev.priority = record.priority || null;
+  ev.category = record.category || null;
+  ev.tags = record.tags || [];
+  return ev;
+}
+
+// MinHeap (by date when both have one, then dayIndex, then start_time if provided, then priority)
+class MinHeap {
+  constructor(arr = []) {
+    this.heap = [];
+    if (arr && arr.length) {
+      arr.forEach(e => this.insert(e));
+    }
+  }
+
+  _compare(a, b) {
+    // dated occurrences: earliest calendar date first
+    if (a.date && b.date && a.date !== b.date) return a.date.localeCompare(b.date);
+    // deadlines: earliest dayIndex first; if equal, keep original order
+    if (a.dayIndex !== b.dayIndex) return a.dayIndex - b.dayIndex;
+    // if both have start_time in "HH:MM", compare them (else keep a before b)
+    if (a.start_time && b.start_time && a.start_time !== "N/A" && b.start_time !== "N/A" && a.start_time !== b.start_time) {
+      return a.start_time.localeCompare(b.start_time);
+    }
+    // same day (and time): higher priority first, else keep a before b
+    return priorityRank(a) - priorityRank(b);
+  }
+
+  insert(event) {
+    this.heap.push(event);
+    this._bubbleUp(this.heap.length - 1);
+  }
+
+  _bubbleUp(i) {
+    while (i > 0) {
+      const parent = Math.floor((i - 1) / 2);
+      if (this._compare(this.heap[i], this.heap[parent]) < 0) {
+        [this.heap[i], this.heap[parent]] = [this.heap[parent], this.heap[i]];
+        i = parent;
+      } else break;
+    }
+  }
+
+  peek() {
+    return this.heap.length ? this.heap[0] : null;
+  }
+
+  extractMin() {
+    if (!this.heap.length) return null;
+    const min = this.heap[0];
+    const end = this.heap.pop();
+    if (this.heap.length) {
+      this.heap[0] = end;
+      this._sinkDown(0);
+    }
+    return min;
+  }
+
+  _sinkDown(i) {
+    const n = this.heap.length;
+    while (true) {
+      let smallest = i;
+      const left = 2 * i + 1;
+      const right = 2 * i + 2;
+      if (left < n && this._compare(this.heap[left], this.heap[smallest]) < 0) smallest = left;
+      if (right < n && this._compare(this.heap[right], this.heap[smallest]) < 0) smallest = right;
+      if (smallest !== i) {
+        [this.heap[i], this.heap[smallest]] = [this.heap[smallest], this.heap[i]];
+        i = smallest;
+      } else break;
+    }
+  }
+
+  size() {
+    return this.heap.length;
+  }
+
+  // non-destructive sorted list
+  asSortedArray() {
+    // copy and extract to produce sorted list, leave original untouched
+    const copy = new MinHeap(this.heap.slice());
+    const out = [];
+    while (copy.size()) out.push(copy.extractMin());
+    return out;
+  }
+}
+
+// Graph for dependencies (nodes are event IDs)
+class Graph {
+  constructor() {
+    this.adj = new Map(); // node -> [neighbors]
+  }
+  addEdge(u, v) {
+    if (!this.adj.has(u)) this.adj.set(u, []);
+    this.adj.get(u).push(v);
+  }
+  clear() {
+    this.adj.clear();
+  }
+  // every node, including ones that only appear as edge targets
+  nodes() {
+    const all = new Set(this.adj.keys());
+    for (const list of this.adj.values()) list.forEach(v => all.add(v));
+    return [...all];
+  }
+  // returns the first cycle found as a path [a, b, ..., a], or null if acyclic
+  hasCycle() {
+    const visited = new Set();
+    const stack = [];
+    const self = this;
+
+    function dfs(node) {
+      if (!self.adj.has(node)) return null;
+      visited.add(node);
+      stack.push(node);
+      for (const nb of self.adj.get(node)) {
+        const at = stack.indexOf(nb);
+        if (at !== -1) return stack.slice(at).concat(nb);
+        if (!visited.has(nb)) {
+          const cycle = dfs(nb);
+          if (cycle) return cycle;
+        }
+      }
+      stack.pop();
+      return null;
+    }
+
+    for (const node of this.adj.keys()) {
+      if (!visited.has(node)) {
+        const cycle = dfs(node);
+        if (cycle) return cycle;
+      }
+    }
+    return null;
+  }
+  // Kahn's algorithm; null when there is a cycle
+  topologicalOrder() {
+    const nodes = this.nodes();
+    const indegree = new Map(nodes.map(n => [n, 0]));
+    for (const list of this.adj.values()) list.forEach(v => indegree.set(v, indegree.get(v) + 1));
+    const queue = nodes.filter(n => indegree.get(n) === 0);
+    const order = [];
+    while (queue.length) {
+      const node = queue.shift();
+      order.push(node);
+      for (const nb of this.adj.get(node) || []) {
+        indegree.set(nb, indegree.get(nb) - 1);
+        if (indegree.get(nb) === 0) queue.push(nb);
+      }
+    }
+    return order.length === nodes.length ? order : null;
+  }
+  // longest chain through the DAG, weighting each node (default 1 per node);
+  // returns { length, path } or null when there is a cycle
+  criticalPath(weight = () => 1) {
+    const order = this.topologicalOrder();
+    if (!order) return null;
+    const best = new Map(order.map(n => [n, { length: weight(n), prev: null }]));
+    for (const node of order) {
+      for (const nb of this.adj.get(node) || []) {
+        const via = best.get(node).length + weight(nb);
+        if (via > best.get(nb).length) best.set(nb, { length: via, prev: node });
+      }
+    }
+    let end = null;
+    for (const n of order) if (end === null || best.get(n).length > best.get(end).length) end = n;
+    if (end === null) return { length: 0, path: [] };
+    const path = [];
+    for (let n = end; n !== null; n = best.get(n).prev) path.unshift(n);
+    return { length: best.get(end).length, path };
+  }
+  // everything that (transitively) waits on `node`
+  blockedBy(node) {
+    const found = new Set();
+    const queue = [node];
+    while (queue.length) {
+      for (const nb of this.adj.get(queue.shift()) || []) {
+        if (!found.has(nb) && nb !== node) {
+          found.add(nb);
+          queue.push(nb);
+        }
+      }
+    }
+    return [...found];
+  }
+}
+
+// -----------------------------
+// Insertion
+// -----------------------------
+// when an entry starts on its day: the continuation of an event from an earlier day starts at midnight
+function dayStartTime(ev) {
+  return ev.part ? "00:00" : ev.start_time;
+}
+
+// binary insertion into sorted day array by start_time
+function insertSortedByStart(arr, event) {
+  const time = dayStartTime(event);
+  if (!time || time === "N/A") {
+    arr.push(event);
+    return;
+  }
+  let low = 0, high = arr.length - 1;
+  while (low <= high) {
+    const mid = Math.floor((low + high) / 2);
+    const midTime = dayStartTime(arr[mid]) || "N/A";
+    // untimed (N/A) events stay at the end, after every timed one
+    if (midTime !== "N/A" && midTime.localeCompare(time) <= 0) {
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  arr.splice(low, 0, event);
+}
+
+// -----------------------------
+// Views built from a schedule array
+// -----------------------------
+// An event running past midnight is split: besides its own day it gets an entry (same id,
+// `part` 1, 2, ...) on each later day it reaches, covering that day up to its end
+function buildDayMap(schedule) {
+  const map = new Map();
+  for (let i = 0; i < 7; i++) map.set(i, []);
+  for (const e of schedule) {
+    // convert day to index
+    const dayIndex = days.indexOf(e.day);
+    if (dayIndex < 0) continue;
+    // create event object with same keys
+    const ev = withDetails(new Event(e.id, e.event, dayIndex, e.start, e.end, e.type, depsOf(e)), e);
+    ev.date = e.date || null;
+    ev.recurrence = e.recurrence || null;
+    ev.end_day_offset = endDayOffset(e);
+    insertSortedByStart(map.get(dayIndex), ev);
+    daySegments(e).filter(seg => seg.part > 0).forEach(seg => {
+      const next = Object.assign(new Event(), ev, { part: seg.part });
+      insertSortedByStart(map.get((dayIndex + seg.part) % 7), next);
+    });
+  }
+  // remove empty day lists? keep them
+  return map;
+}
+
+function buildHeapFromSchedule(schedule) {
+  const deadlines = schedule.filter(e => e.type === "deadline").map(e => {
+    return withDetails(new Event(e.id, e.event, days.indexOf(e.day), "N/A", e.end || "23:59", "deadline", depsOf(e)), e);
+  });
+  return new MinHeap(deadlines);
+}
+
+function buildGraphFromSchedule(schedule) {
+  const g = new Graph();
+  for (const e of schedule) {
+    // edge: prerequisite id -> dependent id
+    depsOf(e).forEach(dep => g.addEdge(dep, e.id));
+  }
+  return g;
+}
+
+module.exports = {
+  days,
+  PRIORITIES,
+  priorityRank,
+  depsOf,
+  toMinutes,
+  fromMinutes,
+  MAX_END_DAY_OFFSET,
+  endDayOffset,
+  daySegments,
+  Event,
+  withDetails,
+  MinHeap,
+  Graph,
+  dayStartTime,
+  insertSortedByStart,
+  buildDayMap,
+  buildHeapFromSchedule,
+  buildGraphFromSchedule
+};
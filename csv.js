@@ -0,0 +1,340 @@
+// csv.js
+// CSV / TSV import and export for schedule.json, so a timetable kept in a spreadsheet
+// can be loaded in one step
+//  - columns are matched to fields by header name ("Subject" -> event, "From" -> start, ...)
+//    and can be mapped by hand: { event: "Module", start: "Begins" }
+//  - one row per event; lists (depends_on, tags, reminders, except_dates) are separated by ";"
+//  - depends_on takes ids or names of events in the file or the schedule
+//  - a weekly rule is spread over repeat_from / repeat_until / every_weeks / except_dates
+//  - an event past midnight has end_day_offset (days later it ends), or an end like "01:00+1"
+// Rows are checked one by one; a bad row is reported by its line number and left out.
+
+const {
+  days,
+  STATUSES,
+  buildRecord,
+  validateEvent,
+  findConflictsFor,
+  depsOf,
+  endDayText,
+  generateId
+} = require("./backend.js");
+const { parseDuration } = require("./input.js");
+
+// field -> header names it is recognised by (compared lower-cased, "_" and "-" as spaces)
+const COLUMNS = {
+  id: ["id"],
+  event: ["event", "name", "title", "subject", "course", "activity"],
+  day: ["day", "weekday"],
+  date: ["date"],
+  start: ["start", "start time", "from", "begin", "begins"],
+  end: ["end", "end time", "to", "until", "finish", "ends", "due"],
+  end_day_offset: ["end day offset", "end days later", "days later"],
+  type: ["type", "kind"],
+  duration: ["duration", "estimate", "minutes", "estimated minutes"],
+  depends_on: ["depends on", "after", "prerequisites"],
+  status: ["status"],
+  completed_at: ["completed at"],
+  priority: ["priority"],
+  category: ["category"],
+  tags: ["tags", "labels"],
+  reminders: ["reminders", "remind"],
+  repeat_from: ["repeat from", "from date", "starting"],
+  repeat_until: ["repeat until", "until date", "ending"],
+  every_weeks: ["every weeks", "interval"],
+  except_dates: ["except dates", "exceptions", "except"]
+};
+const FIELDS = Object.keys(COLUMNS);
+const DELIMITERS = { ",": ",", ";": ";", tab: "\t", "\t": "\t" };
+
+// -----------------------------
+// Parsing
+// -----------------------------
+// the delimiter used most on the first line (outside quotes): tab, ";" or ","
+function detectDelimiter(text) {
+  const counts = { "\t": 0, ";": 0, ",": 0 };
+  let inQuotes = false;
+  for (const ch of text) {
+    if (ch === "\"") inQuotes = !inQuotes;
+    else if (!inQuotes && (ch === "\n" || ch === "\r")) break;
+    else if (!inQuotes && ch in counts) counts[ch]++;
+  }
+  return Object.keys(counts).reduce((best, d) => (counts[d] > counts[best] ? d : best), ",");
+}
+
+// RFC 4180: quoted fields may hold delimiters, doubled quotes and line breaks.
+// Returns rows of { line, cells } (line = where the row starts in the file).
+function parseRows(text, delimiter) {
+  const rows = [];
+  let cells = [], cell = "", inQuotes = false, line = 1, rowLine = 1;
+  const endRow = () => {
+    cells.push(cell);
+    if (cells.some(c => c.trim())) rows.push({ line: rowLine, cells });
+    cells = [];
+    cell = "";
+  };
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === "\"" && text[i + 1] === "\"") { cell += "\""; i++; }
+      else if (ch === "\"") inQuotes = false;
+      else {
+        if (ch === "\n") line++;
+        cell += ch;
+      }
+    } else if (ch === "\"" && !cell.trim()) {
+      inQuotes = true;
+      cell = "";
+    } else if (ch === delimiter) {
+      cells.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      endRow();
+      rowLine = ++line;
+    } else cell += ch;
+  }
+  if (cell || cells.length) endRow();
+  return rows;
+}
+
+// text -> { delimiter, headers, rows: [{ line, cells }] }
+function parseTable(text, delimiter) {
+  const clean = text.replace(/^\uFEFF/, "");
+  const sep = delimiter ? DELIMITERS[delimiter] || delimiter : detectDelimiter(clean);
+  const [header, ...rows] = parseRows(clean, sep);
+  return { delimiter: sep, headers: header ? header.cells.map(h => h.trim()) : [], rows };
+}
+
+// -----------------------------
+// Column mapping
+// -----------------------------
+function headerKey(h) {
+  return String(h).trim().toLowerCase().replace(/[_-]+/g, " ").replace(/\s+/g, " ");
+}
+
+// field -> column index, from the header names plus `overrides` ({ field: header });
+// returns { mapping, errors, unused: [headers no field uses] }
+function mapColumns(headers, overrides = {}) {
+  const mapping = {}, errors = [];
+  headers.forEach((h, i) => {
+    const key = headerKey(h);
+    const field = FIELDS.find(f => headerKey(f) === key || COLUMNS[f].includes(key));
+    if (field && mapping[field] === undefined) mapping[field] = i;
+  });
+  Object.entries(overrides).forEach(([field, header]) => {
+    if (!FIELDS.includes(field)) return errors.push(`unknown field '${field}' (fields: ${FIELDS.join(", ")})`);
+    if (header === null || header === "") return delete mapping[field];
+    const i = headers.findIndex(h => headerKey(h) === headerKey(header));
+    if (i === -1) return errors.push(`no column called '${header}' (columns: ${headers.join(", ")})`);
+    // a column feeds one field only
+    FIELDS.forEach(f => { if (mapping[f] === i) delete mapping[f]; });
+    mapping[field] = i;
+  });
+  if (mapping.event === undefined) errors.push("no column for the event name (map one with event=<column>)");
+  const used = new Set(Object.values(mapping));
+  return { mapping, errors, unused: headers.filter((h, i) => !used.has(i)) };
+}
+
+// "event=Module,start=Begins" -> { event: "Module", start: "Begins" }
+function parseMapping(text) {
+  const overrides = {};
+  String(text || "").split(",").map(s => s.trim()).filter(Boolean).forEach(pair => {
+    const eq = pair.indexOf("=");
+    if (eq > 0) overrides[pair.slice(0, eq).trim().toLowerCase().replace(/[\s-]+/g, "_")] = pair.slice(eq + 1).trim();
+    else overrides[pair.toLowerCase()] = "";
+  });
+  return overrides;
+}
+
+// -----------------------------
+// Rows -> records
+// -----------------------------
+function splitList(s) {
+  return s.split(/[;|]/).map(x => x.trim()).filter(Boolean);
+}
+
+// "mon", "Monday" -> "Monday"; unknown or ambiguous -> null
+function dayFrom(s) {
+  const key = s.toLowerCase();
+  const matches = days.filter(d => d.toLowerCase().startsWith(key));
+  return matches.length === 1 ? matches[0] : null;
+}
+
+// one row -> { input, deps, errors }; deps (ids or names) are resolved later
+function rowInput(cells, mapping) {
+  const cell = field => (mapping[field] === undefined ? undefined : String(cells[mapping[field]] || "").trim());
+  const has = field => mapping[field] !== undefined;
+  const input = {}, errors = [];
+  input.event = cell("event");
+  if (has("day") && cell("day")) {
+    input.day = dayFrom(cell("day"));
+    if (!input.day) errors.push(`unknown day '${cell("day")}'`);
+  }
+  if (has("date")) input.date = cell("date") || null;
+  const start = has("start") && cell("start") !== "N/A" ? cell("start") : "";
+  const end = has("end") ? cell("end") : "";
+  input.type = (has("type") && cell("type").toLowerCase()) || (start ? "fixed" : "deadline");
+  if (start) input.start = start;
+  if (end) input.end = end;
+  if (has("end_day_offset")) input.end_day_offset = cell("end_day_offset") ? Number(cell("end_day_offset")) : null;
+  // lengths of time read as the CLI and the editor read them: 90, 90m, 1h30, 2 hours
+  if (has("duration")) {
+    input.duration = cell("duration") ? parseDuration(cell("duration")) : null;
+    if (cell("duration") && !(input.duration > 0)) errors.push(`duration '${cell("duration")}' is not a length of time (e.g. 90, 90m or 1h30)`);
+  }
+  if (has("status") && cell("status")) {
+    input.status = cell("status").toLowerCase().replace(/[\s-]+/g, "_");
+    if (!STATUSES.includes(input.status)) errors.push(`status must be one of ${STATUSES.join(", ")}`);
+  }
+  if (has("completed_at") && cell("completed_at")) input.completed_at = cell("completed_at");
+  if (has("priority")) input.priority = cell("priority") || null;
+  if (has("category")) input.category = cell("category") || null;
+  if (has("tags")) input.tags = cell("tags") ? splitList(cell("tags").replace(/[,\s]+/g, ";")) : null;
+  if (has("reminders")) {
+    const text = cell("reminders").toLowerCase();
+    if (!text) input.reminders = null;
+    else input.reminders = text === "off" || text === "none" ? [] : splitList(text).map(parseDuration);
+    if (input.reminders && input.reminders.includes(null)) errors.push(`reminders '${cell("reminders")}' are not lengths of time (e.g. 15; 1h), 'off' or blank`);
+  }
+  // a blank cell clears the field; a column that is not there leaves it alone
+  if (["repeat_from", "repeat_until", "every_weeks", "except_dates"].some(has)) {
+    const from = cell("repeat_from"), until = cell("repeat_until"), every = cell("every_weeks"), except = cell("except_dates");
+    input.recurrence = from || until || every || except
+      ? {
+        freq: "weekly",
+        interval: every ? Number(every) : 1,
+        start_date: from || null,
+        end_date: until || null,
+        exceptions: except ? splitList(except) : []
+      }
+      : null;
+  }
+  const deps = has("depends_on") ? splitList(cell("depends_on")) : null;
+  return { input, deps, errors };
+}
+
+// merges (or, with mode "replace", swaps in) the rows of a CSV / TSV file. In merge
+// mode a row whose id is already in the schedule updates that event. Options:
+// { mode: "merge" | "replace", delimiter, mapping: { field: header } }.
+// Returns { schedule, added, updated, skipped: [{ line, event, errors }], warnings, mapping, unused, delimiter }.
+function importCSV(schedule, text, options = {}) {
+  const mode = options.mode === "replace" ? "replace" : "merge";
+  const { delimiter, headers, rows } = parseTable(text, options.delimiter);
+  const columns = mapColumns(headers, options.mapping);
+  const result = { schedule, added: [], updated: [], skipped: [], warnings: [], mapping: {}, unused: columns.unused, delimiter };
+  Object.entries(columns.mapping).forEach(([field, i]) => { result.mapping[field] = headers[i]; });
+  if (columns.errors.length) {
+    result.errors = columns.errors;
+    return result;
+  }
+
+  const base = mode === "replace" ? [] : schedule.map(e => ({ ...e }));
+  const byId = new Map(base.map(e => [e.id, e]));
+  const parsed = rows.map(row => {
+    const { input, deps, errors } = rowInput(row.cells, columns.mapping);
+    const id = columns.mapping.id !== undefined ? String(row.cells[columns.mapping.id] || "").trim() : "";
+    const current = id && byId.get(id);
+    const record = buildRecord(input, current || { id: id || generateId() });
+    return { line: row.line, record, deps, errors, isUpdate: Boolean(current) };
+  });
+
+  // dependencies by id or (unique) name, among the rows and what stays in the schedule
+  const pool = base.filter(e => !parsed.some(p => p.record.id === e.id)).concat(parsed.map(p => p.record));
+  parsed.forEach(p => {
+    if (!p.deps) return;
+    const ids = p.deps.map(ref => {
+      if (pool.some(e => e.id === ref)) return ref;
+      const named = pool.filter(e => e.event.toLowerCase() === ref.toLowerCase());
+      if (named.length === 1) return named[0].id;
+      p.errors.push(named.length ? `depends_on: '${ref}' matches ${named.length} events, use an id` : `depends_on: no event with id or name '${ref}'`);
+      return null;
+    }).filter(Boolean);
+    p.record.depends_on = ids.length ? [...new Set(ids)] : null;
+  });
+
+  const seen = new Set();
+  parsed.forEach(p => {
+    if (seen.has(p.record.id)) p.errors.push(`id ${p.record.id} appears on more than one row`);
+    seen.add(p.record.id);
+    if (!p.errors.length) p.errors.push(...validateEvent(p.record, pool));
+  });
+  // a failed update keeps the event as it was; a failed new row is left out, and so are links to it
+  const accepted = parsed.filter(p => !p.errors.length);
+  const acceptedById = new Map(accepted.map(p => [p.record.id, p.record]));
+  const dropped = new Set(parsed.filter(p => p.errors.length && !p.isUpdate).map(p => p.record.id));
+  const merged = base.map(e => acceptedById.get(e.id) || e).concat(accepted.filter(p => !p.isUpdate).map(p => p.record));
+  merged.forEach(e => {
+    if (!depsOf(e).some(id => dropped.has(id))) return;
+    const left = depsOf(e).filter(id => !dropped.has(id));
+    e.depends_on = left.length ? left : null;
+    result.warnings.push(`'${e.event}': dropped its dependency on a row that was left out`);
+  });
+
+  parsed.forEach(p => {
+    if (p.errors.length) result.skipped.push({ line: p.line, event: p.record.event || "(no name)", errors: p.errors });
+    else (p.isUpdate ? result.updated : result.added).push(p.record);
+  });
+  // overlaps are worth knowing about but do not stop a bulk load
+  const reported = new Set();
+  accepted.filter(p => p.record.type === "fixed").forEach(p => {
+    findConflictsFor(merged, p.record).forEach(ev => {
+      const pair = [p.record.id, ev.id].sort().join(">");
+      if (reported.has(pair)) return;
+      reported.add(pair);
+      result.warnings.push(`line ${p.line}: '${p.record.event}' overlaps '${ev.name}' (${ev.day} ${ev.start_time}-${ev.end_time}${endDayText(ev)})`);
+    });
+  });
+  result.schedule = merged;
+  return result;
+}
+
+// -----------------------------
+// Export
+// -----------------------------
+const EXPORT_COLUMNS = FIELDS;
+
+// one field of a comma-separated line (report.js uses it too)
+function csvField(value) {
+  const s = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, "\"\"")}"` : s;
+}
+
+function exportCells(e) {
+  const rule = e.recurrence || {};
+  return {
+    id: e.id,
+    event: e.event,
+    day: e.day,
+    date: e.date,
+    start: e.type === "deadline" ? "" : e.start,
+    end: e.end,
+    end_day_offset: e.end_day_offset || "",
+    type: e.type,
+    duration: e.duration,
+    depends_on: depsOf(e).join(";"),
+    status: e.status || "todo",
+    completed_at: e.completed_at,
+    priority: e.priority,
+    category: e.category,
+    tags: (e.tags || []).join(" "),
+    reminders: Array.isArray(e.reminders) ? (e.reminders.length ? e.reminders.join(";") : "off") : "",
+    repeat_from: rule.start_date,
+    repeat_until: rule.end_date,
+    every_weeks: e.recurrence ? rule.interval || 1 : "",
+    except_dates: (rule.exceptions || []).join(";")
+  };
+}
+
+// the schedule as CSV (or TSV with delimiter "\t"), header row first
+function toCSV(schedule, delimiter = ",") {
+  const field = delimiter === "," ? csvField : v => (v === null || v === undefined ? "" : String(v).replace(/[\t\r\n]+/g, " "));
+  const lines = [EXPORT_COLUMNS.join(delimiter)];
+  schedule.forEach(e => {
+    const cells = exportCells(e);
+    lines.push(EXPORT_COLUMNS.map(c => field(cells[c])).join(delimiter));
+  });
+  return lines.join("\r\n") + "\r\n";
+}
+
+module.exports = { FIELDS, COLUMNS, parseTable, mapColumns, parseMapping, importCSV, toCSV, csvField };
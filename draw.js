@@ -0,0 +1,53 @@
+// draw.js
+// Drawing helpers shared by the dashboard (script.js, graph.js) and the printable week
+// (printable.js): HTML escaping, the category colours and how overlapping blocks share a
+// day's width.
+// No requires: printable.js and backend.js load it with require(), index.html with a
+// <script> tag (as the global `Draw`).
+
+const Draw = (() => {
+  // text -> safe inside HTML and attribute values
+  function escapeHTML(s) {
+    return String(s).replace(/[&<>"']/g, ch => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" })[ch]);
+  }
+
+  // the usual categories have fixed colours, the rest a steady one from the palette
+  const CATEGORY_COLORS = { lecture: "#4cafef", study: "#9b59b6", exercise: "#2ecc71", personal: "#f39c12", work: "#34495e", social: "#e84393" };
+  const CATEGORY_PALETTE = ["#16a085", "#d35400", "#8e44ad", "#2c3e50", "#c0392b", "#27ae60", "#2980b9"];
+
+  // `colors` / `palette` for other outputs (backend.js passes terminal colour names)
+  function categoryColor(category, colors = CATEGORY_COLORS, palette = CATEGORY_PALETTE) {
+    if (colors[category]) return colors[category];
+    let hash = 0;
+    for (const ch of String(category)) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+    return palette[hash % palette.length];
+  }
+
+  // overlapping blocks ({ start, end } in minutes) share their day's width: returns copies
+  // sorted by start, each with its column `col` out of `cols`
+  function layoutOverlaps(blocks) {
+    const sorted = blocks.map(b => ({ ...b })).sort((a, b) => a.start - b.start || b.end - a.end);
+    let cluster = [], clusterEnd = -1;
+    const closeCluster = () => {
+      const cols = cluster.reduce((n, b) => Math.max(n, b.col + 1), 0);
+      cluster.forEach(b => { b.cols = cols; });
+      cluster = [];
+    };
+    sorted.forEach(b => {
+      // a block that starts after everything so far has ended begins a new cluster
+      if (b.start >= clusterEnd) closeCluster();
+      const taken = cluster.filter(o => o.end > b.start).map(o => o.col);
+      let col = 0;
+      while (taken.includes(col)) col++;
+      b.col = col;
+      cluster.push(b);
+      clusterEnd = Math.max(clusterEnd, b.end);
+    });
+    closeCluster();
+    return sorted;
+  }
+
+  return { escapeHTML, CATEGORY_COLORS, CATEGORY_PALETTE, categoryColor, layoutOverlaps };
+})();
+
+if (typeof module !== "undefined") module.exports = Draw;
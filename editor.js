@@ -0,0 +1,303 @@
+// editor.js
+// Create / edit / delete events from the dashboard (needs server.js's API).
+// Same fields as the CLI's promptAddEvents / promptEditEvent; relies on the
+// globals from script.js (days, store, apiURL, refreshSchedule, parseISODate, weekdayIndex, statusOf,
+// endDayOffset, daySegments, timeRangeText) and input.js (Input).
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const TIME_HINT = "Use a time of day like 09:00, 9am, 2:30pm or 1730.";
+// natural input and the characters tags and categories may hold, as backend.js reads them
+const { parseTime, parseDuration, parseEnd, TAG_RE, CATEGORY_RE } = Input;
+
+const editorSection = document.getElementById("editor-section");
+const eventForm = document.getElementById("event-form");
+const formErrors = document.getElementById("form-errors");
+const formWarnings = document.getElementById("form-warnings");
+
+// -----------------------------
+// Form <-> record
+// -----------------------------
+function fillDependencyOptions(selfId, selected) {
+  const select = eventForm.elements.depends_on;
+  select.innerHTML = "";
+  store.events
+    .filter(e => e.id !== selfId)
+    .forEach(e => {
+      const opt = document.createElement("option");
+      opt.value = e.id;
+      opt.textContent = `${e.event} (${e.day}, ${e.type})`;
+      opt.selected = selected.includes(e.id);
+      select.appendChild(opt);
+    });
+}
+
+function openEditor(record) {
+  const e = record || { event: "", day: "Monday", date: null, type: "fixed", start: "", end: "", duration: null, status: "todo", priority: null, category: null, tags: null, reminders: null };
+  const f = eventForm.elements;
+  document.getElementById("editor-title").textContent = record ? `✏️ Edit '${record.event}'` : "➕ Add Event";
+  f.id.value = record ? record.id : "";
+  f.event.value = e.event;
+  f.day.value = e.day;
+  f.date.value = e.date || "";
+  f.type.value = e.type;
+  f.start.value = e.type === "deadline" ? "" : e.start;
+  f.end.value = e.type === "deadline" ? "" : e.end;
+  f.end_day_offset.value = String(endDayOffset(e));
+  f.duration.value = e.duration || "";
+  f.status.value = statusOf(e);
+  f.priority.value = e.priority || "";
+  f.category.value = e.category || "";
+  f.tags.value = (e.tags || []).join(", ");
+  // blank = the default lead time, "off" = none
+  f.reminders.value = Array.isArray(e.reminders) ? (e.reminders.length ? e.reminders.join(", ") : "off") : "";
+  f.force.checked = false;
+  fillDependencyOptions(record ? record.id : null, record ? record._dependsOnIds : []);
+  editorSection.hidden = false;
+  updateTypeFields();
+  checkForm();
+  editorSection.scrollIntoView({ behavior: "smooth" });
+  f.event.focus();
+}
+
+function closeEditor() {
+  editorSection.hidden = true;
+  eventForm.reset();
+  formErrors.innerHTML = "";
+  formWarnings.innerHTML = "";
+}
+
+// "1h, 15" -> [60, 15]; "off" -> []; blank -> null (the default); NaN marks what was not understood
+function readReminders(text) {
+  const s = text.trim().toLowerCase();
+  if (!s) return null;
+  if (s === "off" || s === "none") return [];
+  return s.split(",").map(t => t.trim()).filter(Boolean).map(t => {
+    const mins = parseDuration(t);
+    return mins === null ? NaN : mins;
+  });
+}
+
+// start / end as typed -> "HH:MM" plus the Ends choice; text that is not understood stays
+// as typed so validateForm can point at it
+function readTimes(f) {
+  const start = parseTime(f.start.value) || f.start.value.trim();
+  const end = TIME_RE.test(start) ? parseEnd(f.end.value, start) : null;
+  if (!end) return { start, end: f.end.value.trim(), end_day_offset: Number(f.end_day_offset.value) || null };
+  return { start, end: end.end, end_day_offset: (end.offset === null ? Number(f.end_day_offset.value) : end.offset) || null };
+}
+
+function readForm() {
+  const f = eventForm.elements;
+  const values = {
+    id: f.id.value || null,
+    event: f.event.value.trim(),
+    day: f.day.value,
+    date: f.date.value || null,
+    type: f.type.value,
+    status: f.status.value,
+    priority: f.priority.value || null,
+    category: f.category.value.trim().toLowerCase() || null,
+    tags: f.tags.value.split(/[,\s]+/).map(t => t.replace(/^#/, "").toLowerCase()).filter(Boolean),
+    reminders: readReminders(f.reminders.value),
+    depends_on: [...f.depends_on.selectedOptions].map(o => o.value)
+  };
+  if (values.type === "deadline") {
+    const duration = f.duration.value.trim();
+    values.duration = duration ? parseDuration(duration) : null;
+    if (duration && values.duration === null) values.duration = NaN;
+  } else {
+    Object.assign(values, readTimes(f));
+  }
+  return values;
+}
+
+// -----------------------------
+// Inline validation
+// -----------------------------
+function validateForm(values) {
+  const errors = [];
+  if (!values.event) errors.push("Name is required.");
+  if (values.type !== "deadline") {
+    if (!TIME_RE.test(values.start)) errors.push(values.start ? `Start time '${values.start}' not understood. ${TIME_HINT}` : "Start time is required.");
+    if (!TIME_RE.test(values.end)) {
+      errors.push(values.end
+        ? `End time '${values.end}' not understood. Use a time of day (17:00, 5pm), a time days later (01:00+1) or a length from the start (for 90m).`
+        : "End time is required.");
+    }
+    if (TIME_RE.test(values.start) && TIME_RE.test(values.end) && !values.end_day_offset && values.end <= values.start) {
+      errors.push("End time must be after the start time, or pick a later day under Ends (e.g. 22:00–01:00 ends the next day).");
+    }
+  } else if (values.duration !== null && !(values.duration > 0)) {
+    errors.push("Estimated time must be a length like 90, 90m, 1h30 or 2 hours.");
+  }
+  if (values.category && !CATEGORY_RE.test(values.category)) errors.push("Category can only hold letters, digits, spaces and - _ . + (up to 30 characters).");
+  if (values.tags.some(t => !TAG_RE.test(t))) errors.push("Tags are single words of letters, digits and - _ . + (up to 30 characters each).");
+  if (values.reminders && !values.reminders.every(m => Number.isInteger(m) && m >= 0 && m <= 10080)) {
+    errors.push("Reminders must be lengths of time (like 15, 90m or 1h, up to a week) before the event, or 'off'.");
+  }
+  if (values.date) {
+    const d = parseISODate(values.date);
+    if (!d) errors.push("Date is not a real date.");
+    else if (days[weekdayIndex(d)] !== values.day) errors.push(`${values.date} is a ${days[weekdayIndex(d)]}, not a ${values.day}.`);
+  }
+  return errors;
+}
+
+// the weekdays an event covers, with its minutes on each (several when it runs past midnight)
+function weekSegments(e) {
+  const dayIndex = days.indexOf(e.day);
+  return daySegments(e).map(seg => ({ ...seg, dayIndex: (dayIndex + seg.part) % 7 }));
+}
+
+// timed events whose hours overlap on a weekday (the server does the exact, date-aware check)
+function findOverlaps(values) {
+  if (values.type === "deadline" || !TIME_RE.test(values.start) || !TIME_RE.test(values.end)) return [];
+  const mine = weekSegments(values);
+  return store.events.filter(e =>
+    e.id !== values.id &&
+    weekSegments(e).some(o => mine.some(m => m.dayIndex === o.dayIndex && o.start < m.end && m.start < o.end))
+  );
+}
+
+// items are plain text (they quote event names), never markup
+function showList(el, items) {
+  el.replaceChildren(...items.map(text => {
+    const li = document.createElement("li");
+    li.textContent = text;
+    return li;
+  }));
+}
+
+// returns true when the form may be submitted
+function checkForm() {
+  const values = readForm();
+  const errors = validateForm(values);
+  const overlaps = findOverlaps(values);
+  showList(formErrors, errors);
+  showList(formWarnings, overlaps.map(e => `Overlaps '${e.event}' (${e.day} ${timeRangeText(e)})`));
+  eventForm.querySelector(".force").hidden = !overlaps.length;
+  return !errors.length && (!overlaps.length || eventForm.elements.force.checked);
+}
+
+function updateTypeFields() {
+  const isDeadline = eventForm.elements.type.value === "deadline";
+  eventForm.querySelectorAll(".fixed-only").forEach(el => { el.hidden = isDeadline; });
+  eventForm.querySelectorAll(".deadline-only").forEach(el => { el.hidden = !isDeadline; });
+}
+
+// -----------------------------
+// API calls
+// -----------------------------
+function sendJSON(method, url, body) {
+  return fetch(url, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: body ? JSON.stringify(body) : undefined
+  }).then(resp => resp.json().then(data => ({ status: resp.status, data })));
+}
+
+function saveForm() {
+  if (!checkForm()) return;
+  const values = readForm();
+  const path = values.id ? `api/events/${encodeURIComponent(values.id)}` : "api/events";
+  const url = apiURL(path, eventForm.elements.force.checked ? { force: "true" } : {});
+  const { id, ...body } = values;
+  sendJSON(values.id ? "PUT" : "POST", url, body)
+    .then(({ status, data }) => {
+      if (status === 200 || status === 201) {
+        if (data.warnings) alert(`Saved, but:\n${data.warnings.join("\n")}`);
+        closeEditor();
+        return refreshSchedule();
+      }
+      // server-side validation / overlap answers land in the same error list
+      const details = (data.details || []).map(d => (typeof d === "string" ? d : `Overlaps '${d.event}' (${d.day} ${timeRangeText(d)})`));
+      showList(formErrors, [data.error].concat(details));
+      if (status === 409) eventForm.querySelector(".force").hidden = false;
+    })
+    .catch(err => showList(formErrors, [`Could not reach the server: ${err.message}`]));
+}
+
+function deleteById(id) {
+  const e = store.get(id);
+  if (!e || !confirm(`Delete '${e.event}'?`)) return;
+  const path = `api/events/${encodeURIComponent(id)}`;
+  sendJSON("DELETE", apiURL(path))
+    .then(({ status, data }) => {
+      if (status !== 409) return { status, data };
+      // dependents: keep them (unlinked) or give up
+      const names = data.details.map(d => d.event).join(", ");
+      if (!confirm(`${names} depend on '${e.event}'.\nOK: delete it and unlink them.\nCancel: keep everything.`)) return null;
+      return sendJSON("DELETE", apiURL(path, { cascade: "unlink" }));
+    })
+    .then(result => {
+      if (!result) return;
+      if (result.status !== 200) alert(result.data.error);
+      return refreshSchedule();
+    })
+    .catch(err => alert(`Could not reach the server: ${err.message}`));
+}
+
+// status only: the server leaves times (and overlaps) alone for this
+function setStatusById(id, status) {
+  sendJSON("PATCH", apiURL(`api/events/${encodeURIComponent(id)}`), { status })
+    .then(({ status: code, data }) => {
+      if (code !== 200) alert(data.error);
+      return refreshSchedule();
+    })
+    .catch(err => alert(`Could not reach the server: ${err.message}`));
+}
+
+// -----------------------------
+// Wiring
+// -----------------------------
+days.forEach(d => {
+  const opt = document.createElement("option");
+  opt.value = d;
+  opt.textContent = d;
+  eventForm.elements.day.appendChild(opt);
+});
+
+document.getElementById("add-event-btn").addEventListener("click", () => openEditor(null));
+document.getElementById("editor-cancel").addEventListener("click", closeEditor);
+// a half-filled form belongs to the timetable it was opened on
+timetableSelect.addEventListener("change", closeEditor);
+
+eventForm.addEventListener("input", checkForm);
+eventForm.elements.type.addEventListener("change", () => {
+  updateTypeFields();
+  checkForm();
+});
+// a one-off date decides the weekday
+eventForm.elements.date.addEventListener("change", () => {
+  const d = parseISODate(eventForm.elements.date.value);
+  if (d) eventForm.elements.day.value = days[weekdayIndex(d)];
+  checkForm();
+});
+// what was typed becomes HH:MM (and the matching Ends choice) once the field is left,
+// so "9am" / "for 90m" show what will be saved
+["start", "end"].forEach(name => {
+  eventForm.elements[name].addEventListener("change", () => {
+    const f = eventForm.elements;
+    const times = readTimes(f);
+    if (TIME_RE.test(times.start)) f.start.value = times.start;
+    if (TIME_RE.test(times.end)) {
+      f.end.value = times.end;
+      f.end_day_offset.value = String(times.end_day_offset || 0);
+    }
+    checkForm();
+  });
+});
+eventForm.addEventListener("submit", ev => {
+  ev.preventDefault();
+  saveForm();
+});
+
+document.getElementById("timetable-container").addEventListener("click", ev => {
+  const btn = ev.target.closest("button[data-id]");
+  if (!btn) return;
+  if (btn.classList.contains("edit-btn")) openEditor(store.get(btn.dataset.id));
+  else if (btn.classList.contains("delete-btn")) deleteById(btn.dataset.id);
+});
+document.getElementById("timetable-container").addEventListener("change", ev => {
+  if (ev.target.classList.contains("status-select")) setStatusById(ev.target.dataset.id, ev.target.value);
+});
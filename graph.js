@@ -0,0 +1,190 @@
+// graph.js
+// Layered SVG drawing of the dependency DAG for the "Task Dependencies (Graph)" section.
+// Prerequisites sit to the left of what depends on them; every event is drawn once, and
+// edges that skip layers pass through reserved gaps instead of cutting across nodes.
+// Relies on the globals from script.js (store, focusEventCard, statusOf, isFinished, statusText,
+// escapeHTML).
+
+const NODE_W = 150;
+const NODE_H = 40;
+const LAYER_GAP = 70;
+const ROW_GAP = 18;
+const NODE_LABEL_MAX = 20;
+
+// edges that close a cycle (found by DFS); leaving them out of the layering keeps it a DAG
+function findBackEdges(nodes, adj) {
+  const back = new Set();
+  const state = new Map(); // 1 = on the DFS stack, 2 = finished
+  function visit(n) {
+    state.set(n, 1);
+    for (const nb of adj.get(n) || []) {
+      if (state.get(nb) === 1) back.add(`${n}>${nb}`);
+      else if (!state.has(nb)) visit(nb);
+    }
+    state.set(n, 2);
+  }
+  nodes.forEach(n => { if (!state.has(n)) visit(n); });
+  return back;
+}
+
+// layer = length of the longest chain of prerequisites leading to the node
+function assignLayers(nodes, edges) {
+  const layer = new Map(nodes.map(n => [n, 0]));
+  // at most |nodes| rounds are needed on an acyclic edge set
+  for (let round = 0; round < nodes.length; round++) {
+    let changed = false;
+    edges.forEach(([from, to]) => {
+      if (layer.get(to) < layer.get(from) + 1) {
+        layer.set(to, layer.get(from) + 1);
+        changed = true;
+      }
+    });
+    if (!changed) break;
+  }
+  return layer;
+}
+
+// orders each layer by the average row of its neighbours (a few sweeps of the
+// barycenter heuristic) so edges cross less
+function orderLayers(layers, edges) {
+  const row = new Map();
+  const renumber = () => layers.forEach(l => l.forEach((n, i) => row.set(n, i)));
+  renumber();
+  const neighbours = (n, side) => edges.filter(e => e[side === "in" ? 1 : 0] === n).map(e => e[side === "in" ? 0 : 1]);
+  const sortBy = (layer, side) => {
+    const weight = new Map(layer.map(n => {
+      const rows = neighbours(n, side).map(m => row.get(m));
+      return [n, rows.length ? rows.reduce((a, b) => a + b, 0) / rows.length : row.get(n)];
+    }));
+    layer.sort((a, b) => weight.get(a) - weight.get(b));
+  };
+  for (let sweep = 0; sweep < 4; sweep++) {
+    layers.slice(1).forEach(l => sortBy(l, "in"));
+    renumber();
+    layers.slice(0, -1).reverse().forEach(l => sortBy(l, "out"));
+    renumber();
+  }
+}
+
+// pairs: [{ fromId, toId, from, to }] (see buildDependencyPairs); analysis: /api/dependencies as
+// store.derived.analysis keeps it
+function renderDependencyGraph(container, pairs, analysis) {
+  const byId = store.byId;
+  const nodes = [...new Set(pairs.flatMap(p => [p.fromId, p.toId]))];
+  const adj = new Map();
+  pairs.forEach(p => {
+    if (!adj.has(p.fromId)) adj.set(p.fromId, []);
+    adj.get(p.fromId).push(p.toId);
+  });
+  const back = findBackEdges(nodes, adj);
+  const forward = pairs.filter(p => !back.has(`${p.fromId}>${p.toId}`)).map(p => [p.fromId, p.toId]);
+
+  const layerOf = assignLayers(nodes, forward);
+  const layers = [];
+  nodes.forEach(n => {
+    const l = layerOf.get(n);
+    (layers[l] = layers[l] || []).push(n);
+  });
+  // an edge skipping layers gets a placeholder in each layer it crosses
+  const chains = new Map();
+  const segments = [];
+  forward.forEach(([from, to]) => {
+    const chain = [from];
+    for (let l = layerOf.get(from) + 1; l < layerOf.get(to); l++) {
+      const dummy = `~${from}>${to}@${l}`;
+      layers[l].push(dummy);
+      chain.push(dummy);
+    }
+    chain.push(to);
+    chains.set(`${from}>${to}`, chain);
+    for (let i = 1; i < chain.length; i++) segments.push([chain[i - 1], chain[i]]);
+  });
+  orderLayers(layers, segments);
+
+  const tallest = Math.max(...layers.map(l => l.length));
+  const height = tallest * (NODE_H + ROW_GAP) - ROW_GAP;
+  const width = layers.length * (NODE_W + LAYER_GAP) - LAYER_GAP;
+  const pos = new Map();
+  layers.forEach((l, li) => {
+    // shorter layers are centred vertically
+    const offset = (height - (l.length * (NODE_H + ROW_GAP) - ROW_GAP)) / 2;
+    l.forEach((n, i) => pos.set(n, { x: li * (NODE_W + LAYER_GAP), y: offset + i * (NODE_H + ROW_GAP) }));
+  });
+
+  const inCycle = new Set(analysis.cycle || []);
+  const onCritical = new Set(analysis.critical ? analysis.critical.path : []);
+  const criticalEdge = (a, b) => {
+    const path = analysis.critical ? analysis.critical.path : [];
+    const i = path.indexOf(a);
+    return i !== -1 && path[i + 1] === b;
+  };
+
+  // through each placeholder of a long edge in turn
+  const chainPath = chain => {
+    const start = pos.get(chain[0]);
+    let d = `M ${start.x + NODE_W} ${start.y + NODE_H / 2}`;
+    for (let i = 1; i < chain.length; i++) {
+      const a = pos.get(chain[i - 1]), b = pos.get(chain[i]);
+      const x1 = a.x + NODE_W, y1 = a.y + NODE_H / 2, x2 = b.x, y2 = b.y + NODE_H / 2;
+      d += ` C ${x1 + LAYER_GAP / 2} ${y1}, ${x2 - LAYER_GAP / 2} ${y2}, ${x2} ${y2}`;
+      if (i < chain.length - 1) d += ` L ${x2 + NODE_W} ${y2}`;
+    }
+    return d;
+  };
+
+  const edgeSVG = pairs.map(p => {
+    const a = pos.get(p.fromId), b = pos.get(p.toId);
+    const x1 = a.x + NODE_W, y1 = a.y + NODE_H / 2;
+    const x2 = b.x, y2 = b.y + NODE_H / 2;
+    const isBack = back.has(`${p.fromId}>${p.toId}`);
+    const classes = ["edge"];
+    if (isBack || (inCycle.has(p.fromId) && inCycle.has(p.toId))) classes.push("cycle");
+    if (!byId.has(p.fromId) || !byId.has(p.toId)) classes.push("broken");
+    if (criticalEdge(p.fromId, p.toId)) classes.push("critical");
+    // back edges loop around underneath the nodes they join
+    const d = isBack
+      ? `M ${x1} ${y1} C ${x1 + LAYER_GAP} ${height + NODE_H}, ${x2 - LAYER_GAP} ${height + NODE_H}, ${x2} ${y2}`
+      : chainPath(chains.get(`${p.fromId}>${p.toId}`));
+    return `<path class="${classes.join(" ")}" d="${d}" marker-end="url(#dep-arrow)"><title>${escapeHTML(p.from)} ➡ ${escapeHTML(p.to)}</title></path>`;
+  });
+
+  const nodeSVG = nodes.map(n => {
+    const e = byId.get(n);
+    const { x, y } = pos.get(n);
+    const name = e ? e.event : `${n} (missing)`;
+    const label = name.length > NODE_LABEL_MAX ? name.slice(0, NODE_LABEL_MAX - 1) + "…" : name;
+    const classes = ["dag-node", e ? `type-${e.type}` : "missing"];
+    if (inCycle.has(n)) classes.push("cycle");
+    if (onCritical.has(n)) classes.push("critical");
+    if (e && isFinished(e)) classes.push(`status-${e.status}`);
+    else if (analysis.ready.has(n)) classes.push("ready");
+    else if (e && e.status === "in_progress") classes.push("status-in_progress");
+    return `
+      <g class="${classes.join(" ")}" data-id="${escapeHTML(n)}" transform="translate(${x}, ${y})">
+        <title>${escapeHTML(name)}${e ? ` — ${e.day}, ${e.type}, ${statusText(statusOf(e))}${analysis.ready.has(n) ? ", ready now" : ""}` : " — this event no longer exists"}</title>
+        <rect width="${NODE_W}" height="${NODE_H}" rx="8"></rect>
+        <text x="${NODE_W / 2}" y="${NODE_H / 2}">${escapeHTML(label)}</text>
+      </g>`;
+  });
+
+  const extra = back.size ? NODE_H * 1.5 : 0; // room for back edges
+  container.innerHTML = `
+    <svg class="dag" width="${width + 10}" height="${height + extra + 10}" viewBox="-5 -5 ${width + 10} ${height + extra + 10}">
+      <defs>
+        <marker id="dep-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+          <path d="M 0 0 L 10 5 L 0 10 z"></path>
+        </marker>
+      </defs>
+      ${edgeSVG.join("")}
+      ${nodeSVG.join("")}
+    </svg>
+    <p class="dag-legend">
+      <span class="type-fixed">fixed</span><span class="type-deadline">deadline</span><span class="type-planned">planned</span>
+      <span class="critical">critical path</span><span class="cycle">cycle</span><span class="missing">missing event</span>
+      <span class="ready">ready now</span><span class="status-done">done / skipped</span>
+    </p>`;
+
+  container.querySelectorAll(".dag-node").forEach(g => {
+    if (byId.has(g.dataset.id)) g.addEventListener("click", () => focusEventCard(g.dataset.id));
+  });
+}
@@ -0,0 +1,439 @@
+// ics.js
+// iCalendar (RFC 5545) export / import for schedule.json
+//  - fixed + planned events  <-> VEVENT (weekly ones carry an RRULE)
+//  - deadline tasks          <-> VTODO with DUE (status <-> STATUS / COMPLETED)
+//  - depends_on              <-> RELATED-TO;RELTYPE=DEPENDS-ON
+//  - priority                <-> PRIORITY (1 high, 5 medium, 9 low)
+//  - category + tags         <-> CATEGORIES (the category also in X-SMART-TIMETABLE-CATEGORY)
+//  - reminders               <-> VALARM with a TRIGGER before the start (tasks: before DUE)
+//  - end_day_offset          <-> a DTEND on a later date than DTSTART
+// Times are written as floating local time, the same way schedule.json stores them.
+
+const {
+  addDays,
+  days,
+  daysBetween,
+  depsOf,
+  endDayOffset,
+  generateId,
+  MAX_REMINDER_MINUTES,
+  normalizeTags,
+  parseISODate,
+  toISODate,
+  toLabel,
+  today,
+  validateEvent
+} = require("./backend.js");
+
+const PRODID = "-//Smart Timetable//Smart Timetable and Activity Planner//EN";
+const UID_DOMAIN = "smart-timetable";
+const BYDAY = ["MO", "TU", "WE", "TH", "FR", "SA", "SU"]; // same order as `days`
+const ICS_PRIORITY = { high: 1, medium: 5, low: 9 };
+const TODO_STATUS = { todo: "NEEDS-ACTION", in_progress: "IN-PROCESS", done: "COMPLETED", skipped: "CANCELLED" };
+
+// -----------------------------
+// Export
+// -----------------------------
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+// Date + "HH:MM" -> 20261019T123000
+function icsDateTime(date, hhmm) {
+  return `${toISODate(date).replace(/-/g, "")}T${hhmm.replace(":", "")}00`;
+}
+
+function icsStamp(d = new Date()) {
+  return `${d.getUTCFullYear()}${pad2(d.getUTCMonth() + 1)}${pad2(d.getUTCDate())}T${pad2(d.getUTCHours())}${pad2(d.getUTCMinutes())}${pad2(d.getUTCSeconds())}Z`;
+}
+
+function escapeText(s) {
+  return String(s).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+}
+
+// content lines are folded at 75 octets, never inside a UTF-8 character
+function fold(line) {
+  const out = [];
+  let current = "", size = 0, limit = 75;
+  for (const ch of line) {
+    const bytes = Buffer.byteLength(ch);
+    if (size + bytes > limit) {
+      out.push(current);
+      current = "";
+      size = 0;
+      limit = 74; // continuation lines start with a space
+    }
+    current += ch;
+    size += bytes;
+  }
+  out.push(current);
+  return out.join("\r\n ");
+}
+
+function uidOf(e) {
+  return e.ics_uid || `${e.id}@${UID_DOMAIN}`;
+}
+
+// first calendar date an event happens on: its date, its rule's first matching
+// weekday, or (undated weekly events) that weekday in the current week
+function anchorDate(e) {
+  if (e.date) return parseISODate(e.date);
+  const dayIndex = days.indexOf(e.day);
+  const start = e.recurrence && parseISODate(e.recurrence.start_date);
+  if (start) {
+    const d = new Date(start);
+    d.setDate(d.getDate() + (dayIndex - ((start.getDay() + 6) % 7) + 7) % 7);
+    return d;
+  }
+  const d = today();
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7) + dayIndex);
+  return d;
+}
+
+function recurrenceLines(e, timeOfDay) {
+  if (e.date) return [];
+  const rule = e.recurrence || {};
+  const parts = ["FREQ=WEEKLY"];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  parts.push(`BYDAY=${BYDAY[days.indexOf(e.day)]}`);
+  if (rule.end_date) parts.push(`UNTIL=${rule.end_date.replace(/-/g, "")}T235959`);
+  const lines = [`RRULE:${parts.join(";")}`];
+  (rule.exceptions || []).forEach(x => lines.push(`EXDATE:${icsDateTime(parseISODate(x), timeOfDay)}`));
+  return lines;
+}
+
+function componentLines(e, stamp) {
+  const anchor = anchorDate(e);
+  const isTask = e.type === "deadline";
+  const lines = [
+    `BEGIN:${isTask ? "VTODO" : "VEVENT"}`,
+    `UID:${uidOf(e)}`,
+    `DTSTAMP:${stamp}`,
+    `SUMMARY:${escapeText(e.event)}`
+  ];
+  if (isTask) {
+    lines.push(`DTSTART:${icsDateTime(anchor, "00:00")}`, `DUE:${icsDateTime(anchor, e.end)}`);
+    lines.push(...recurrenceLines(e, "00:00"));
+    if (e.duration) lines.push(`X-SMART-TIMETABLE-ESTIMATE:${e.duration}`);
+    lines.push(`STATUS:${TODO_STATUS[e.status || "todo"]}`);
+    if (e.completed_at) lines.push(`COMPLETED:${icsStamp(new Date(e.completed_at))}`);
+  } else {
+    lines.push(`DTSTART:${icsDateTime(anchor, e.start)}`, `DTEND:${icsDateTime(addDays(anchor, endDayOffset(e)), e.end)}`);
+    lines.push(...recurrenceLines(e, e.start));
+    if (e.type !== "fixed") lines.push(`X-SMART-TIMETABLE-TYPE:${e.type}`);
+  }
+  if (e.priority) lines.push(`PRIORITY:${ICS_PRIORITY[e.priority]}`);
+  const categories = [e.category, ...(e.tags || [])].filter(Boolean);
+  if (categories.length) lines.push(`CATEGORIES:${categories.map(escapeText).join(",")}`);
+  if (e.category) lines.push(`X-SMART-TIMETABLE-CATEGORY:${escapeText(e.category)}`);
+  // only lead times set on the event; the default one belongs to this app's timetable
+  (e.reminders || []).forEach(lead => {
+    lines.push("BEGIN:VALARM", "ACTION:DISPLAY", `DESCRIPTION:${escapeText(e.event)}`,
+      `TRIGGER${isTask ? ";RELATED=END" : ""}:-PT${lead}M`, "END:VALARM");
+  });
+  return lines;
+}
+
+function toICS(schedule, stamp = icsStamp()) {
+  const byId = new Map(schedule.map(e => [e.id, e]));
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", `PRODID:${PRODID}`, "CALSCALE:GREGORIAN"];
+  for (const e of schedule) {
+    const body = componentLines(e, stamp);
+    depsOf(e).forEach(id => {
+      if (byId.has(id)) body.push(`RELATED-TO;RELTYPE=DEPENDS-ON:${uidOf(byId.get(id))}`);
+    });
+    lines.push(...body, `END:${e.type === "deadline" ? "VTODO" : "VEVENT"}`);
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+// -----------------------------
+// Import
+// -----------------------------
+function unescapeText(s) {
+  return s.replace(/\\(n|N|\\|;|,)/g, (m, c) => (c === "n" || c === "N" ? "\n" : c));
+}
+
+// "NAME;P1=a;P2=b:value" -> { name, params, value }
+function parseContentLine(line) {
+  let inQuotes = false, colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === "\"") inQuotes = !inQuotes;
+    else if (line[i] === ":" && !inQuotes) { colon = i; break; }
+  }
+  if (colon === -1) return null;
+  const [name, ...rawParams] = line.slice(0, colon).split(";");
+  const params = {};
+  rawParams.forEach(p => {
+    const eq = p.indexOf("=");
+    if (eq > 0) params[p.slice(0, eq).toUpperCase()] = p.slice(eq + 1).replace(/^"|"$/g, "");
+  });
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+// DATE or DATE-TIME -> { date: local midnight Date, time: "HH:MM" | null }.
+// UTC values ("...Z") are converted to local time; TZID values are read as local.
+function parseDateTime(value) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+  if (!m) return null;
+  let d = m[7]
+    ? new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5]))
+    : new Date(+m[1], +m[2] - 1, +m[3], m[4] ? +m[4] : 0, m[5] ? +m[5] : 0);
+  if (isNaN(d)) return null;
+  const time = m[4] ? `${pad2(d.getHours())}:${pad2(d.getMinutes())}` : null;
+  d = new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  return { date: d, time };
+}
+
+// "PT1H30M" / "P1D" -> minutes
+function parseDuration(value) {
+  const m = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+  if (!m) return null;
+  return (+(m[2] || 0)) * 10080 + (+(m[3] || 0)) * 1440 + (+(m[4] || 0)) * 60 + (+(m[5] || 0));
+}
+
+function parseRRule(value) {
+  const rule = {};
+  value.split(";").forEach(part => {
+    const [k, v] = part.split("=");
+    if (k && v) rule[k.toUpperCase()] = v.toUpperCase();
+  });
+  return rule;
+}
+
+// raw VEVENT / VTODO property bags, in file order; the TRIGGERs of their VALARMs are kept apart
+function readComponents(text) {
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const components = [];
+  let current = null, depth = 0;
+  for (const line of lines) {
+    const prop = parseContentLine(line);
+    if (!prop) continue;
+    if (prop.name === "BEGIN") {
+      if (!current && (prop.value === "VEVENT" || prop.value === "VTODO")) {
+        current = { kind: prop.value, props: [], triggers: [] };
+        depth = 0;
+      } else if (current) depth++; // nested VALARM etc.
+      continue;
+    }
+    if (prop.name === "END") {
+      if (current && depth === 0 && prop.value === current.kind) {
+        components.push(current);
+        current = null;
+      } else if (current) depth--;
+      continue;
+    }
+    if (current && depth === 0) current.props.push(prop);
+    else if (current && depth === 1 && prop.name === "TRIGGER") current.triggers.push(prop);
+  }
+  return components;
+}
+
+// one component -> one record per weekday it repeats on; returns { items, warnings }
+function componentToItems(comp) {
+  const get = name => comp.props.find(p => p.name === name);
+  const all = name => comp.props.filter(p => p.name === name);
+  const uid = get("UID") ? get("UID").value.trim() : null;
+  const summary = get("SUMMARY") ? unescapeText(get("SUMMARY").value).trim() : "(untitled)";
+  const warnings = [];
+  if (!uid) return { items: [], warnings: [`'${summary}': no UID, skipped`] };
+
+  const isTask = comp.kind === "VTODO";
+  const startProp = get("DTSTART");
+  const start = startProp && parseDateTime(startProp.value);
+  const due = isTask && get("DUE") ? parseDateTime(get("DUE").value) : null;
+  const anchor = isTask ? (due || start) : start;
+  if (!anchor) return { items: [], warnings: [`'${summary}': no usable ${isTask ? "DUE" : "DTSTART"}, skipped`] };
+
+  const base = { event: summary, start: "N/A", end: "23:59", type: "deadline", duration: null };
+  if (isTask) {
+    if (anchor.time) base.end = anchor.time;
+    const estimate = get("X-SMART-TIMETABLE-ESTIMATE");
+    if (estimate && Number(estimate.value) > 0) base.duration = Number(estimate.value);
+    const status = get("STATUS") && Object.keys(TODO_STATUS).find(k => TODO_STATUS[k] === get("STATUS").value.trim().toUpperCase());
+    if (status && status !== "todo") base.status = status;
+    const completed = get("COMPLETED") && /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(get("COMPLETED").value.trim());
+    if (completed && (status === "done" || status === "skipped")) {
+      const [, y, mo, d, h, mi, sec] = completed.map(Number);
+      base.completed_at = new Date(Date.UTC(y, mo - 1, d, h, mi, sec)).toISOString();
+    }
+  } else if (anchor.time) {
+    let endTime = null, endDay = 0;
+    if (get("DTEND")) {
+      const end = parseDateTime(get("DTEND").value);
+      endTime = end && end.time;
+      if (end) endDay = daysBetween(anchor.date, end.date);
+    } else if (get("DURATION")) {
+      const mins = parseDuration(get("DURATION").value);
+      if (mins !== null) {
+        const [h, m] = anchor.time.split(":").map(Number);
+        const total = h * 60 + m + mins;
+        endTime = `${pad2(Math.floor(total % 1440 / 60))}:${pad2(total % 60)}`;
+        endDay = Math.floor(total / 1440);
+      }
+    }
+    const type = get("X-SMART-TIMETABLE-TYPE");
+    Object.assign(base, { start: anchor.time, end: endTime, type: type && type.value === "planned" ? "planned" : "fixed" });
+    // past midnight: ends on a later day than it starts
+    if (endDay) base.end_day_offset = endDay;
+  }
+  // an all-day VEVENT has no hours to block, so it becomes a deadline for that day
+
+  // PRIORITY 1-4 high, 5 medium, 6-9 low (0 = not set)
+  const priority = get("PRIORITY") ? Number(get("PRIORITY").value) : 0;
+  if (priority >= 1 && priority <= 9) base.priority = priority < 5 ? "high" : priority === 5 ? "medium" : "low";
+  // other calendars' CATEGORIES become tags; our own exports name the category separately.
+  // Characters a category / tag cannot hold become "-" (see toLabel).
+  const ownCategory = get("X-SMART-TIMETABLE-CATEGORY") ? toLabel(unescapeText(get("X-SMART-TIMETABLE-CATEGORY").value), true) : null;
+  const categories = all("CATEGORIES").flatMap(p => p.value.split(/(?<!\\),/)).map(v => unescapeText(v).trim().toLowerCase());
+  if (ownCategory) base.category = ownCategory;
+  base.tags = normalizeTags(categories.filter(c => c && toLabel(c, true) !== ownCategory).map(c => toLabel(c)).filter(Boolean));
+  // alarms some time before the start (a task's: before DUE); absolute or later ones are dropped
+  const leads = comp.triggers
+    .filter(p => !p.params.VALUE && (p.params.RELATED || (isTask ? "END" : "START")).toUpperCase() === (isTask ? "END" : "START"))
+    .filter(p => /^-/.test(p.value.trim()) || parseDuration(p.value) === 0)
+    .map(p => parseDuration(p.value))
+    .filter(m => m !== null && m <= MAX_REMINDER_MINUTES);
+  if (leads.length) base.reminders = [...new Set(leads)].sort((a, b) => b - a);
+
+  const related = all("RELATED-TO")
+    .filter(p => (p.params.RELTYPE || "").toUpperCase() === "DEPENDS-ON")
+    .map(p => p.value.trim());
+
+  // one-off, or weekly rule (one record per BYDAY)
+  const rrule = get("RRULE") ? parseRRule(get("RRULE").value) : null;
+  const anchorDay = (anchor.date.getDay() + 6) % 7;
+  if (!rrule || rrule.FREQ !== "WEEKLY") {
+    if (rrule) warnings.push(`'${summary}': only weekly repeats are supported, imported the first occurrence only`);
+    return {
+      items: [{ uid, related, record: { ...base, day: days[anchorDay], date: toISODate(anchor.date), recurrence: null } }],
+      warnings
+    };
+  }
+
+  const interval = Number(rrule.INTERVAL) > 0 ? Number(rrule.INTERVAL) : 1;
+  const byDay = (rrule.BYDAY ? rrule.BYDAY.split(",") : [BYDAY[anchorDay]])
+    .map(code => BYDAY.indexOf(code.replace(/^[+-]?\d+/, "")))
+    .filter(i => i !== -1);
+  let endDate = rrule.UNTIL ? parseDateTime(rrule.UNTIL) : null;
+  endDate = endDate ? toISODate(endDate.date) : null;
+  if (!endDate && Number(rrule.COUNT) > 0) {
+    // COUNT occurrences spread over the BYDAY list
+    const weeks = Math.ceil(Number(rrule.COUNT) / byDay.length);
+    const last = new Date(anchor.date);
+    last.setDate(last.getDate() + (weeks - 1) * 7 * interval + 6);
+    endDate = toISODate(last);
+  }
+  const exceptions = all("EXDATE")
+    .flatMap(p => p.value.split(","))
+    .map(v => parseDateTime(v))
+    .filter(Boolean)
+    .map(x => toISODate(x.date));
+
+  const items = byDay.map(dayIndex => ({
+    uid: byDay.length > 1 ? `${uid}#${BYDAY[dayIndex]}` : uid,
+    related,
+    record: {
+      ...base,
+      day: days[dayIndex],
+      date: null,
+      recurrence: { freq: "weekly", interval, start_date: toISODate(anchor.date), end_date: endDate, exceptions }
+    }
+  }));
+  return { items, warnings };
+}
+
+// text -> { items: [{ uid, related, record }], warnings }
+function parseICS(text) {
+  const items = [], warnings = [];
+  if (!/BEGIN:VCALENDAR/i.test(text)) return { items, warnings: ["not an iCalendar file (no BEGIN:VCALENDAR)"] };
+  for (const comp of readComponents(text)) {
+    const out = componentToItems(comp);
+    items.push(...out.items);
+    warnings.push(...out.warnings);
+  }
+  return { items, warnings };
+}
+
+// merges an .ics file into a schedule, skipping UIDs it already has.
+// Returns { schedule, added, duplicates, skipped: [{ event, errors }], warnings }.
+function importICS(schedule, text) {
+  const { items, warnings } = parseICS(text);
+  // uid -> ids; an event split per weekday ("uid#TU") is also reachable by its original uid
+  const idsForUid = new Map();
+  const remember = (uid, id) => {
+    [uid, uid.split("#")[0]].forEach(key => {
+      if (!idsForUid.has(key)) idsForUid.set(key, []);
+      if (!idsForUid.get(key).includes(id)) idsForUid.get(key).push(id);
+    });
+  };
+  schedule.forEach(e => remember(uidOf(e), e.id));
+  const duplicates = [], fresh = [];
+
+  for (const item of items) {
+    if (idsForUid.has(item.uid)) {
+      duplicates.push(item.record.event);
+      continue;
+    }
+    // our own exports carry the event id in the UID; keep it when it is free
+    const own = item.uid.endsWith(`@${UID_DOMAIN}`) ? item.uid.slice(0, -UID_DOMAIN.length - 1) : null;
+    const id = own && !schedule.some(e => e.id === own) && !fresh.some(f => f.record.id === own) ? own : generateId();
+    const r = item.record;
+    item.record = {
+      id,
+      event: r.event,
+      day: r.day,
+      date: r.date,
+      recurrence: r.recurrence,
+      start: r.start,
+      end: r.end,
+      type: r.type,
+      duration: r.duration,
+      depends_on: null
+    };
+    if (r.status) Object.assign(item.record, { status: r.status, completed_at: r.completed_at || null });
+    if (r.priority || r.category || r.tags) {
+      Object.assign(item.record, { priority: r.priority || null, category: r.category || null, tags: r.tags });
+    }
+    if (r.reminders) item.record.reminders = r.reminders;
+    if (r.end_day_offset) item.record.end_day_offset = r.end_day_offset;
+    if (!own) item.record.ics_uid = item.uid;
+    remember(item.uid, id);
+    fresh.push(item);
+  }
+
+  // dependencies by UID, now that every incoming event has an id
+  for (const item of fresh) {
+    const deps = [];
+    item.related.forEach(uid => {
+      if (idsForUid.has(uid)) deps.push(...idsForUid.get(uid));
+      else warnings.push(`'${item.record.event}': depends on unknown UID ${uid}, dropped`);
+    });
+    if (deps.length) item.record.depends_on = [...new Set(deps)];
+  }
+
+  const merged = schedule.concat(fresh.map(f => f.record));
+  const skipped = [];
+  for (const item of fresh) {
+    const errors = validateEvent(item.record, merged);
+    if (errors.length) skipped.push({ event: item.record.event, errors, id: item.record.id });
+  }
+  const rejected = new Set(skipped.map(s => s.id));
+  const result = merged.filter(e => !rejected.has(e.id));
+  result.forEach(e => {
+    if (!depsOf(e).some(id => rejected.has(id))) return;
+    const kept = depsOf(e).filter(id => !rejected.has(id));
+    e.depends_on = kept.length ? kept : null;
+  });
+
+  return {
+    schedule: result,
+    added: fresh.filter(f => !rejected.has(f.record.id)).map(f => f.record),
+    duplicates,
+    skipped: skipped.map(({ event, errors }) => ({ event, errors })),
+    warnings
+  };
+}
+
+module.exports = { toICS, parseICS, importICS };
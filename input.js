@@ -0,0 +1,107 @@
+// input.js
+// Natural input shared by backend.js and the dashboard's editor: what people type for
+// times, lengths of time and end times -> the stored forms, and the characters tags and
+// categories may hold. No requires: backend.js loads it with require(), index.html with a
+// <script> tag (as the global `Input`). Each parser returns null for anything it does not
+// understand, so callers can re-ask.
+
+const Input = (() => {
+  // "HH:MM" <-> minutes since midnight (as in core.js, which the browser does not load)
+  function toMinutes(hhmm) {
+    if (!hhmm || !/^\d{2}:\d{2}$/.test(hhmm)) return null;
+    const [h, m] = hhmm.split(":").map(Number);
+    if (h > 23 || m > 59) return null;
+    return h * 60 + m;
+  }
+
+  function fromMinutes(mins) {
+    return `${String(Math.floor(mins / 60)).padStart(2, "0")}:${String(mins % 60).padStart(2, "0")}`;
+  }
+
+  // "9am", "9:30 pm", "21:30", "21.30", "1730", "930", "9", "noon", "midnight" -> "HH:MM"
+  function parseTime(text) {
+    const s = String(text == null ? "" : text).trim().toLowerCase().replace(/\s+/g, "");
+    if (s === "noon") return "12:00";
+    if (s === "midnight") return "00:00";
+    const m = /^(\d{1,2})(?:[:.]?(\d{2}))?(am|pm|a|p)?$/.exec(s);
+    if (!m) return null;
+    let h = Number(m[1]);
+    const min = m[2] ? Number(m[2]) : 0;
+    if (m[3]) {
+      if (h < 1 || h > 12) return null;
+      h = h % 12 + (m[3].startsWith("p") ? 12 : 0);
+    }
+    if (h > 23 || min > 59) return null;
+    return fromMinutes(h * 60 + min);
+  }
+
+  // "90m", "90 min", "1h", "1h30", "1h 30m", "1.5h", "2 hours", "1:30", "90" (minutes) -> minutes
+  function parseDuration(text) {
+    const s = String(text == null ? "" : text).trim().toLowerCase();
+    if (/^\d+$/.test(s)) return Number(s);
+    let m = /^(\d+):([0-5]\d)$/.exec(s);
+    if (m) return Number(m[1]) * 60 + Number(m[2]);
+    m = /^(?:(\d+(?:\.\d+)?)\s*h(?:ours?|rs?)?)?\s*(?:(\d+)\s*(?:m(?:in(?:ute)?s?)?)?)?$/.exec(s);
+    if (!m || (!m[1] && !m[2])) return null;
+    // a bare number after the hours ("1h30") is minutes; on its own it needs a unit
+    if (!m[1] && !/m/.test(s)) return null;
+    return Math.round(Number(m[1] || 0) * 60) + Number(m[2] || 0);
+  }
+
+  // "01:00+1" -> { end: "01:00", offset: 1 }; offset is null without a "+N"
+  function splitEndTime(text) {
+    const m = /^(.*?)\s*\+\s*(\d+)$/.exec(String(text).trim());
+    return m ? { end: m[1], offset: Number(m[2]) } : { end: String(text).trim(), offset: null };
+  }
+
+  // an end time as typed, given the start: "17:00", "1am+1" (N days later), or a length of
+  // time from the start ("for 90m", "90m", "1h30"; a bare number counts as a time here).
+  // Returns { end, offset } where offset is null when nothing said which day; null if not understood.
+  function parseEnd(text, start) {
+    const s = String(text == null ? "" : text).trim().toLowerCase();
+    const form = /^for\s+(.+)$/.exec(s);
+    if (!form) {
+      const { end, offset } = splitEndTime(s);
+      const time = parseTime(end);
+      if (time) return { end: time, offset };
+      if (!/[a-z]/.test(s)) return null;
+    }
+    const mins = parseDuration(form ? form[1] : s);
+    const from = toMinutes(start);
+    if (!(mins > 0) || from === null) return null;
+    return { end: fromMinutes((from + mins) % 1440), offset: Math.floor((from + mins) / 1440) };
+  }
+
+  // a start with an optional end: "9am", "14:00 for 90m", "2pm-4pm", "22:00 to 01:00+1"
+  // -> { start, end, offset } (end and offset null when only a start was given); null if not understood
+  function parseTimeSpan(text) {
+    const s = String(text == null ? "" : text).trim().toLowerCase();
+    const m = /^(.+?)\s*(?:\s(for)\s|-|–|\sto\s|\suntil\s)\s*(.+)$/.exec(s);
+    if (!m) {
+      const start = parseTime(s);
+      return start ? { start, end: null, offset: null } : null;
+    }
+    const start = parseTime(m[1]);
+    const end = start && parseEnd(m[2] ? `for ${m[3]}` : m[3], start);
+    return end ? { start, end: end.end, offset: end.offset } : null;
+  }
+
+  // tags are single words and categories words with single spaces between, of letters,
+  // digits and - _ . + (up to 30 characters), so they are safe wherever they are shown
+  const TAG_RE = /^[\p{L}\p{N}_.+-]{1,30}$/u;
+  const CATEGORY_RE = /^(?=.{1,30}$)[\p{L}\p{N}_.+-]+( [\p{L}\p{N}_.+-]+)*$/u;
+
+  // free text as a category (`spaces`) or tag: other characters become "-"; null if nothing is left
+  function toLabel(text, spaces = false) {
+    const label = String(text == null ? "" : text).trim().toLowerCase()
+      .replace(spaces ? /[^\p{L}\p{N}_.+ -]+/gu : /[^\p{L}\p{N}_.+-]+/gu, "-")
+      .replace(/ +/g, " ")
+      .slice(0, 30)
+      .replace(/^[- ]+|[- ]+$/g, "");
+    return label || null;
+  }
+
+  return { parseTime, parseDuration, parseEnd, parseTimeSpan, TAG_RE, CATEGORY_RE, toLabel };
+})();
+
+if (typeof module !== "undefined") module.exports = Input;
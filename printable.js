@@ -0,0 +1,213 @@
+// printable.js
+// A week of the timetable to print, pin up or paste into a chat (see timetableWeek in backend.js)
+//  - HTML: one self-contained page (style.css inlined, no schedule.json to fetch) with the
+//    week grid, the deadlines and the dependencies; print CSS for A4 portrait or landscape
+//  - Markdown: the same three parts as tables / a list
+
+const fs = require("fs");
+const path = require("path");
+const { fromMinutes } = require("./core.js");
+const { endDayText, hoursText, PRIORITY_ICONS, STATUS_ICONS } = require("./backend.js");
+const { table } = require("./report.js");
+const { escapeHTML, categoryColor, layoutOverlaps } = require("./draw.js");
+
+const LAYOUTS = ["landscape", "portrait"];
+const GRID_HOURS = [8, 22]; // widened when events start earlier / end later, as on the dashboard
+
+// "2026-10-19" -> "Mon 19/10"
+function shortDate(day, date) {
+  return `${day.slice(0, 3)} ${Number(date.slice(8))}/${Number(date.slice(5, 7))}`;
+}
+
+// what a block covers on its day: "22:00–00:00" on the start day, "until 03:00" / "all day" after
+function pieceText(b) {
+  if (!b.part) return `${b.e.start}–${b.e.end}${endDayText(b.e)}`;
+  return b.continues ? "all day" : `until ${b.e.end}`;
+}
+
+// "study", "#exam" ...
+function labelsOf(e) {
+  return [e.category, ...(e.tags || []).map(t => `#${t}`)].filter(Boolean);
+}
+
+function detailsOf(e) {
+  return (e.priority ? [`${PRIORITY_ICONS[e.priority]} ${e.priority}`] : []).concat(labelsOf(e));
+}
+
+// -----------------------------
+// Markdown
+// -----------------------------
+function toMarkdown(week, { title = "Timetable" } = {}) {
+  const lines = [`# ${title}: ${week.from} to ${week.to}`, "", "## Week", ""];
+  const strike = (text, finished) => (finished ? `~~${text}~~ ${STATUS_ICONS.done}` : text);
+  const rows = week.days.flatMap(d => {
+    const entries = d.blocks.map(b => [pieceText(b), strike(`${b.part ? "↪ " : ""}${b.e.event}`, b.finished), detailsOf(b.e).join(" · ")])
+      .concat(d.deadlines.map(x => [`due ${x.e.end}`, strike(`⏰ ${x.e.event}`, x.finished), detailsOf(x.e).join(" · ")]));
+    if (!entries.length) entries.push(["", "—", ""]);
+    return entries.map((r, i) => [i ? "" : shortDate(d.day, d.date), ...r]);
+  });
+  lines.push(...table(["Day", "Time", "Event", "Details"], rows, 4));
+  lines.push("", "## Deadlines", "");
+  if (!week.deadlines.length) lines.push("None this week.");
+  else {
+    lines.push(...table(
+      ["Due", "Task", "Estimate", "After"],
+      week.deadlines.map(x => [
+        `${shortDate(x.day, x.date)} ${x.e.end}`,
+        strike(`${x.e.priority ? PRIORITY_ICONS[x.e.priority] + " " : ""}${x.e.event}`, x.finished),
+        x.e.duration ? hoursText(x.e.duration) : "",
+        x.after.join(", ")
+      ]),
+      4
+    ));
+  }
+  lines.push("", "## Dependencies", "");
+  if (!week.dependencies.length) lines.push("None.");
+  week.dependencies.forEach(d => lines.push(`- ${d.from} ➡ ${d.to}`));
+  if (week.cycle) lines.push("", `⚠️ Circular dependency: ${week.cycle.join(" ➡ ")}`);
+  else if (week.dependencies.length) lines.push("", `Order: ${week.order.join(" → ")}`);
+  return lines.join("\n") + "\n";
+}
+
+// -----------------------------
+// HTML
+// -----------------------------
+// the dashboard's look, plus sizes that fit one page: the grid is sized in hours (--hours)
+// and blocks are placed in % of a day, so print can squeeze it to a fixed height
+const PRINT_CSS = `
+/* 🖨️ Printable timetable (printable.js) */
+body.printable { min-height: 0; }
+.printable main { width: 100%; margin: 0 auto; padding: 0 1rem 1rem; }
+.printable.landscape main { max-width: 277mm; }
+.printable.portrait main { max-width: 190mm; }
+.printable header { padding: 1rem; }
+.printable header h1 { font-size: 1.6rem; margin-bottom: 0.2rem; }
+.printable .heap-graph { max-width: none; margin: 1rem 0; }
+.printable .week-grid { --hour: 2.6rem; }
+.printable.portrait .week-grid { grid-template-columns: 2.6rem repeat(7, minmax(0, 1fr)); font-size: 0.7rem; }
+.printable .wg-times,
+.printable .wg-day { height: calc(var(--hours) * var(--hour)); }
+.printable .wg-day { background-size: 100% var(--hour); }
+.print-table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+.print-table th,
+.print-table td { text-align: left; padding: 0.3rem 0.5rem; border-bottom: 1px solid #eee; vertical-align: top; }
+.print-table th { color: #0077cc; }
+.print-table tr.finished td { opacity: 0.45; text-decoration: line-through; }
+.print-deps { list-style: none; columns: 2; }
+.print-deps li { padding: 0.2rem 0; break-inside: avoid; }
+.print-note { margin-top: 0.6rem; color: #555; }
+.print-note.cycle { color: #ff4b4b; font-weight: 600; }
+.printable footer { font-size: 0.8rem; }
+
+@media print {
+  * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  body.printable { background: none; }
+  .printable main { max-width: none; padding: 0; }
+  .printable header { padding: 0.3rem; box-shadow: none; }
+  .printable header h1 { font-size: 1.2rem; }
+  .printable .heap-graph { box-shadow: none; border-radius: 0; padding: 0; margin: 0.4rem 0 0.8rem; }
+  .printable .heap-graph h2 { font-size: 1rem; margin-bottom: 0.3rem; }
+  .printable .card:hover { transform: none; }
+  /* the grid gets the first page to itself */
+  .printable .print-week { break-after: page; }
+  .printable.landscape .week-grid { --hour: calc(125mm / var(--hours)); }
+  .printable.portrait .week-grid { --hour: calc(200mm / var(--hours)); }
+  .print-table tr { break-inside: avoid; }
+  .printable footer { background: none; color: #888; padding: 0.3rem; }
+}
+`;
+
+function weekGridHTML(week) {
+  let [firstHour, lastHour] = GRID_HOURS;
+  week.days.forEach(d => d.blocks.forEach(b => {
+    firstHour = Math.min(firstHour, Math.floor(b.start / 60));
+    lastHour = Math.max(lastHour, Math.ceil(b.end / 60));
+  }));
+  // minutes -> % of the day column, from the top / as a length
+  const span = mins => Math.round(mins / ((lastHour - firstHour) * 60) * 100000) / 1000;
+  const pct = mins => span(mins - firstHour * 60);
+  const hourLabels = [];
+  for (let h = firstHour; h < lastHour; h++) hourLabels.push(`<span class="wg-hour" style="top:${pct(h * 60)}%">${String(h).padStart(2, "0")}:00</span>`);
+  const blockHTML = b => {
+    const classes = `wg-block wg-${b.e.type}${b.finished ? " finished" : ""}${b.part ? " wg-continued" : ""}${b.continues ? " wg-continues" : ""}`;
+    const color = b.e.category ? `background:${categoryColor(b.e.category)}; ` : "";
+    const size = `top:${pct(b.start)}%; height:${span(b.end - b.start)}%; left:${(b.col / b.cols) * 100}%; width:${100 / b.cols}%`;
+    return `<div class="${classes}" style="${color}${size}"><strong>${b.part ? "↪ " : ""}${escapeHTML(b.e.event)}</strong><span>${b.e.start}–${b.e.end}</span></div>`;
+  };
+  return `<div class="week-grid" style="--hours: ${lastHour - firstHour}">
+      <div class="wg-corner"></div>
+      ${week.days.map(d => `<div class="wg-head">${d.day.slice(0, 3)}<span>${shortDate(d.day, d.date).slice(4)}</span></div>`).join("\n      ")}
+      <div class="wg-corner wg-label">Due</div>
+      ${week.days.map(d => `<div class="wg-deadlines">${d.deadlines.map(x => `<div class="wg-deadline${x.finished ? " finished" : ""}">⏰ ${escapeHTML(x.e.event)} <span>${x.e.end}</span></div>`).join("")}</div>`).join("\n      ")}
+      <div class="wg-times">${hourLabels.join("")}</div>
+      ${week.days.map(d => `<div class="wg-day">${layoutOverlaps(d.blocks).map(blockHTML).join("")}</div>`).join("\n      ")}
+    </div>`;
+}
+
+function deadlinesHTML(week) {
+  if (!week.deadlines.length) return "<p class=\"print-note\">No deadlines this week.</p>";
+  const rows = week.deadlines.map(x => `
+        <tr${x.finished ? " class=\"finished\"" : ""}>
+          <td>${shortDate(x.day, x.date)} ${x.e.end}</td>
+          <td>${x.e.priority ? PRIORITY_ICONS[x.e.priority] + " " : ""}${escapeHTML(x.e.event)}</td>
+          <td>${escapeHTML(labelsOf(x.e).join(" · "))}</td>
+          <td>${x.e.duration ? hoursText(x.e.duration) : ""}</td>
+          <td>${escapeHTML(x.after.join(", "))}</td>
+        </tr>`).join("");
+  return `<table class="print-table">
+        <thead><tr><th>Due</th><th>Task</th><th>Category / tags</th><th>Estimate</th><th>After</th></tr></thead>
+        <tbody>${rows}
+        </tbody>
+      </table>`;
+}
+
+function dependenciesHTML(week) {
+  if (!week.dependencies.length) return "<p class=\"print-note\">No dependencies.</p>";
+  const note = week.cycle
+    ? `<p class="print-note cycle">⚠️ Circular dependency: ${escapeHTML(week.cycle.join(" ➡ "))}</p>`
+    : `<p class="print-note">Order: ${escapeHTML(week.order.join(" → "))}</p>`;
+  return `<ul class="print-deps">${week.dependencies.map(d => `<li>${escapeHTML(d.from)} ➡ ${escapeHTML(d.to)}</li>`).join("")}</ul>
+      ${note}`;
+}
+
+// `generated` is the date printed in the footer
+function toHTML(week, { title = "Timetable", layout = "landscape", generated = "" } = {}) {
+  const css = fs.readFileSync(path.join(__dirname, "style.css"), "utf8");
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHTML(title)}: ${week.from} to ${week.to}</title>
+  <style>
+${css}
+${PRINT_CSS}
+@page { size: A4 ${layout}; margin: 10mm; }
+  </style>
+</head>
+<body class="printable ${layout}">
+  <header>
+    <h1>🧾 ${escapeHTML(title)}</h1>
+    <p>Week of ${shortDate(week.days[0].day, week.from)} to ${shortDate(week.days[6].day, week.to)} ${week.to.slice(0, 4)}</p>
+  </header>
+  <main>
+    <section class="heap-graph print-week">
+      <h2>📅 Week</h2>
+      ${weekGridHTML(week)}
+    </section>
+    <section class="heap-graph">
+      <h2>⏰ Deadlines</h2>
+      ${deadlinesHTML(week)}
+    </section>
+    <section class="heap-graph">
+      <h2>🔗 Dependencies</h2>
+      ${dependenciesHTML(week)}
+    </section>
+  </main>
+  <footer>Smart Timetable${generated ? ` · printed ${generated}` : ""}</footer>
+</body>
+</html>
+`;
+}
+
+module.exports = { LAYOUTS, toHTML, toMarkdown };
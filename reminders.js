@@ -0,0 +1,133 @@
+// reminders.js
+// Browser notifications for upcoming events and deadlines while the dashboard is open.
+// Which reminders fire when follows backend.js's rules, so the list comes from
+// /api/reminders (a plain schedule.json gets none); each goes out once its time comes,
+// up to a minute after its event starts / falls due. What already went out is remembered
+// per timetable in localStorage, so reloading the page does not repeat it. Relies on the
+// globals from script.js (store, apiAvailable, apiURL, timetableSelect, addDays, today,
+// toISODate, focusEventCard).
+
+const REMINDER_CHECK_SECONDS = 30;
+const REMINDER_KEEP_DAYS = 8;
+// how far ahead each check asks for, well past the next check
+const REMINDER_LOOKAHEAD_HOURS = 1;
+
+const reminderButton = document.getElementById("reminders-btn");
+// the server's upcoming reminders for `timetable` as of the last check:
+// [{ key, id, event, type, date, time, lead, at, fire_at }] (see remindersBetween in backend.js)
+let upcomingReminders = { timetable: null, list: [] };
+
+// -----------------------------
+// Which reminders are due
+// -----------------------------
+// the fetched reminders whose time has come and whose event started / fell due under a
+// minute ago at most; when several lead times of one occurrence are due together only the
+// closest is shown (all of them count as delivered)
+function dueReminders(upcoming, now, delivered) {
+  const due = upcoming.filter(r => new Date(r.fire_at) <= now && new Date(r.at).getTime() + 60000 > now.getTime() && !delivered[r.key]);
+  return due.filter(r => !due.some(o => o.id === r.id && o.date === r.date && o.lead < r.lead))
+    .map(r => ({ ...r, keys: due.filter(o => o.id === r.id && o.date === r.date).map(o => o.key) }));
+}
+
+// "starts in 15 min (09:00)" / "is due now (23:59)", as in the CLI
+function reminderText(r, now) {
+  const mins = Math.max(0, Math.round((new Date(r.at) - now) / 60000));
+  const span = mins >= 60 ? `${Math.floor(mins / 60)} h${mins % 60 ? ` ${mins % 60} min` : ""}` : `${mins} min`;
+  const verb = r.type === "deadline" ? "is due" : "starts";
+  return mins ? `${r.event} ${verb} in ${span} (${r.time})` : `${r.event} ${verb} now (${r.time})`;
+}
+
+// -----------------------------
+// Delivered reminders (localStorage)
+// -----------------------------
+function deliveredKey() {
+  return `reminders-delivered:${timetableSelect.value || "default"}`;
+}
+
+function loadDelivered() {
+  try {
+    return JSON.parse(localStorage.getItem(deliveredKey())) || {};
+  } catch (err) {
+    return {};
+  }
+}
+
+// forgets reminders whose events are long past
+function saveDelivered(delivered) {
+  const cutoff = toISODate(addDays(today(), -REMINDER_KEEP_DAYS));
+  Object.keys(delivered).forEach(key => {
+    const date = (/@(\d{4}-\d{2}-\d{2})T/.exec(key) || [])[1];
+    if (!date || date < cutoff) delete delivered[key];
+  });
+  localStorage.setItem(deliveredKey(), JSON.stringify(delivered));
+}
+
+// -----------------------------
+// Notifications
+// -----------------------------
+function notify(r, now) {
+  const n = new Notification(r.type === "deadline" ? "⏰ Deadline coming up" : "🔔 Coming up", {
+    body: reminderText(r, now),
+    tag: r.key
+  });
+  n.onclick = () => {
+    window.focus();
+    focusEventCard(r.id);
+    n.close();
+  };
+}
+
+function checkReminders() {
+  updateReminderButton();
+  if (!("Notification" in window) || Notification.permission !== "granted" || !apiAvailable) return;
+  const timetable = timetableSelect.value;
+  // a list fetched for another timetable is dropped, not shown
+  if (timetable !== upcomingReminders.timetable) upcomingReminders = { timetable, list: [] };
+  const now = new Date();
+  const delivered = loadDelivered();
+  const fresh = dueReminders(upcomingReminders.list, now, delivered);
+  if (fresh.length) {
+    fresh.forEach(r => {
+      notify(r, now);
+      r.keys.forEach(key => { delivered[key] = now.toISOString(); });
+    });
+    saveDelivered(delivered);
+  }
+  fetch(apiURL("api/reminders", { hours: REMINDER_LOOKAHEAD_HOURS }))
+    .then(resp => (resp.ok ? resp.json() : null))
+    .then(data => {
+      if (!data || upcomingReminders.timetable !== timetable) return;
+      // what is still to go out stays until it has, even once the server counts it as past
+      const pending = upcomingReminders.list.filter(r => !delivered[r.key] && new Date(r.at).getTime() + 60000 > Date.now());
+      upcomingReminders.list = pending.concat(data.upcoming.filter(r => !pending.some(p => p.key === r.key)));
+    })
+    .catch(err => console.error("Failed to load reminders:", err));
+}
+
+function updateReminderButton() {
+  reminderButton.hidden = !("Notification" in window);
+  if (reminderButton.hidden) return;
+  const permission = Notification.permission;
+  // once the schedule is loaded we know whether there is a server to ask
+  const serverless = store.version !== null && !apiAvailable;
+  reminderButton.disabled = permission !== "default" || serverless;
+  reminderButton.textContent = serverless ? "🔕 Reminders need the server" : permission === "granted" ? "🔔 Reminders on" : permission === "denied" ? "🔕 Reminders blocked" : "🔔 Enable reminders";
+  reminderButton.title = serverless
+    ? "Reminders come from server.js (node server.js)"
+    : permission === "denied"
+      ? "Notifications are blocked for this page in the browser's settings"
+      : "Notifications for upcoming events while this page is open";
+}
+
+// -----------------------------
+// Wiring
+// -----------------------------
+reminderButton.addEventListener("click", () => {
+  Notification.requestPermission().then(() => {
+    updateReminderButton();
+    checkReminders();
+  });
+});
+
+updateReminderButton();
+setInterval(checkReminders, REMINDER_CHECK_SECONDS * 1000);
@@ -0,0 +1,89 @@
+// report.js
+// Weekly workload report (see weeklyWorkload in backend.js) as Markdown or CSV
+//  - Markdown: summary, one table row per day, time per category, warnings
+//  - CSV: one row per day plus a total row; hours as decimals, one column per category
+
+const { hoursText } = require("./backend.js");
+const { csvField } = require("./csv.js");
+
+const FORMATS = ["markdown", "csv"];
+
+// -----------------------------
+// Markdown
+// -----------------------------
+function escapeCell(s) {
+  return String(s).replace(/\|/g, "\\|");
+}
+
+// columns from `firstNumber` on are right-aligned
+function table(header, rows, firstNumber) {
+  return [
+    `| ${header.join(" | ")} |`,
+    `| ${header.map((h, i) => (i >= firstNumber ? "---:" : "---")).join(" | ")} |`,
+    ...rows.map(r => `| ${r.map(escapeCell).join(" | ")} |`)
+  ];
+}
+
+function toMarkdown(report) {
+  const lines = [`# Workload: ${report.from} to ${report.to}`, ""];
+  lines.push(`- Scheduled: **${hoursText(report.total_minutes)}**`);
+  lines.push(`- Free inside working hours (${report.work_start}-${report.work_end}): **${hoursText(report.free_minutes)}**`);
+  lines.push(`- Deadlines: **${report.deadlines}**`);
+  if (report.busiest) lines.push(`- Busiest day: **${report.busiest.day} ${report.busiest.date}** (${hoursText(report.busiest.minutes)})`);
+  lines.push("", "## By day", "");
+  lines.push(...table(
+    ["Day", "Date", "Scheduled", "Free", "Deadlines", "Longest run", "Overloaded"],
+    report.days.map(d => [
+      d.day,
+      d.date,
+      hoursText(d.scheduled_minutes),
+      hoursText(d.free_minutes),
+      d.deadlines,
+      d.longest_run ? `${hoursText(d.longest_run.minutes)} (${d.longest_run.start}-${d.longest_run.end})` : "—",
+      d.overloaded ? "⚠️ yes" : ""
+    ]),
+    2
+  ));
+  const cats = Object.entries(report.categories).sort((a, b) => b[1] - a[1]);
+  if (cats.length) {
+    lines.push("", "## By category", "");
+    lines.push(...table(["Category", "Scheduled"], cats.map(([name, mins]) => [name, hoursText(mins)]), 1));
+  }
+  if (report.warnings.length) {
+    lines.push("", "## Warnings", "");
+    report.warnings.forEach(w => lines.push(`- ⚠️ ${w}`));
+  }
+  return lines.join("\n") + "\n";
+}
+
+// -----------------------------
+// CSV (RFC 4180, fields quoted by csvField in csv.js)
+// -----------------------------
+function hours(minutes) {
+  return Math.round(minutes / 60 * 100) / 100;
+}
+
+function toCSV(report) {
+  const cats = Object.keys(report.categories).sort();
+  const header = ["day", "date", "scheduled_hours", "free_hours", "deadlines", "longest_run_hours", "longest_run", "overloaded"]
+    .concat(cats.map(c => `hours_${c}`));
+  const rows = report.days.map(d => [
+    d.day,
+    d.date,
+    hours(d.scheduled_minutes),
+    hours(d.free_minutes),
+    d.deadlines,
+    d.longest_run ? hours(d.longest_run.minutes) : 0,
+    d.longest_run ? `${d.longest_run.start}-${d.longest_run.end}` : "",
+    d.overloaded ? "yes" : "no"
+  ].concat(cats.map(c => hours(d.categories[c] || 0))));
+  rows.push(["Total", `${report.from}..${report.to}`, hours(report.total_minutes), hours(report.free_minutes), report.deadlines, "", "", ""]
+    .concat(cats.map(c => hours(report.categories[c]))));
+  return [header, ...rows].map(r => r.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+function formatReport(report, format) {
+  return format === "csv" ? toCSV(report) : toMarkdown(report);
+}
+
+module.exports = { FORMATS, table, toMarkdown, toCSV, formatReport };
@@ -1,101 +1,563 @@
 // script.js
-// Fetch schedule.json and render:
-// - When a day button is clicked: show only that day's tasks
-// - Show upcoming deadlines from that day (min-heap style sorted by day)
-// - Show dependency list graphically (simple nodes + arrows)
+// Fetch the schedule (from server.js's /api/events, or a static schedule.json) and render:
+// - When a day button is clicked: show only that day's tasks (narrowed further by
+//   the category / tag / priority filters, which also colour-code the cards), plus
+//   what is still running from an earlier day
+// - Draw this week as a time grid (hours down the side, days across)
+// - Show upcoming deadlines from today (min-heap style sorted by date), finished ones apart
+// - Show the dependency graph (drawn by graph.js) and what is ready to start
+// - Summarise this week's progress and workload
+// (reminders.js raises browser notifications for what is coming up)
 
 const days = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+const UPCOMING_DAYS = 14;
+// names and other text go into innerHTML through this (draw.js; graph.js uses it too)
+const { escapeHTML } = Draw;
+
+// date helpers (local time, Monday = 0 like `days`), same rules as backend.js
+function parseISODate(s) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(s || "");
+  if (!m) return null;
+  const d = new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  return d.getMonth() === Number(m[2]) - 1 && d.getDate() === Number(m[3]) ? d : null;
+}
+
+function toISODate(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function addDays(d, n) {
+  const x = new Date(d);
+  x.setDate(x.getDate() + n);
+  return x;
+}
+
+function weekdayIndex(d) {
+  return (d.getDay() + 6) % 7;
+}
+
+function today() {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+}
+
+// undated events repeat weekly on `day`; `date` pins a one-off; `recurrence`
+// bounds the weekly rule with start/end dates, an interval and exceptions
+function occursOn(e, date) {
+  const iso = toISODate(date);
+  if (e.date) return e.date === iso;
+  if (days[weekdayIndex(date)] !== e.day) return false;
+  const rule = e.recurrence;
+  if (!rule) return true;
+  if ((rule.exceptions || []).includes(iso)) return false;
+  const start = parseISODate(rule.start_date), end = parseISODate(rule.end_date);
+  if (start && date < start) return false;
+  if (end && date > end) return false;
+  if (!start) return true;
+  const first = addDays(start, (days.indexOf(e.day) - weekdayIndex(start) + 7) % 7);
+  const interval = Math.max(1, Number(rule.interval) || 1);
+  return (Math.round((date - first) / 86400000) / 7) % interval === 0;
+}
+
+function describeWhen(e) {
+  if (e.date) return `${e.day} ${e.date}`;
+  const r = e.recurrence;
+  if (!r) return `Every ${e.day}`;
+  const every = r.interval > 1 ? `Every ${r.interval} weeks on ${e.day}` : `Every ${e.day}`;
+  return every + (r.start_date ? ` from ${r.start_date}` : "") + (r.end_date ? ` to ${r.end_date}` : "");
+}
+
+// status: "todo" (also when missing), "in_progress", "done" or "skipped", as in backend.js
+const STATUSES = ["todo", "in_progress", "done", "skipped"];
+const FINISHED_STATUSES = ["done", "skipped"];
+const STATUS_ICONS = { todo: "⬜", in_progress: "🔄", done: "✅", skipped: "⏭️" };
+
+function statusOf(e) {
+  return (e && e.status) || "todo";
+}
+
+function isFinished(e) {
+  return FINISHED_STATUSES.includes(statusOf(e));
+}
+
+function statusText(status) {
+  return `${STATUS_ICONS[status]} ${status.replace("_", " ")}`;
+}
+
+// a repeating event's done/skipped covers its next occurrence from the day before the
+// completion (and the ones before it); later occurrences are todo again. Only for drawing
+// single occurrences: weekly progress and readiness come from the server.
+function statusOn(e, date) {
+  if (!isFinished(e) || e.date) return statusOf(e);
+  const at = new Date(e.completed_at);
+  if (isNaN(at)) return statusOf(e);
+  const day = new Date(at.getFullYear(), at.getMonth(), at.getDate());
+  const span = 7 * Math.max(1, Number(e.recurrence && e.recurrence.interval) || 1);
+  let through = null;
+  for (let i = -1; i <= span && !through; i++) {
+    if (occursOn(e, addDays(day, i))) through = addDays(day, i);
+  }
+  return !through || date <= through ? statusOf(e) : "todo";
+}
+
+// priority is optional (missing = medium); categories are free text, coloured by
+// categoryColor in draw.js (as in the printable week)
+const PRIORITIES = ["high", "medium", "low"];
+const PRIORITY_ICONS = { high: "🔴", medium: "🟡", low: "⚪" };
+const CATEGORIES = ["lecture", "study", "exercise", "personal", "work", "social"];
+const { categoryColor } = Draw;
+
+function priorityRank(e) {
+  const rank = PRIORITIES.indexOf(e && e.priority);
+  return rank === -1 ? 1 : rank;
+}
+
+// filter: { category, tag, priority }, each optional; an unset priority counts as medium
+function matchesFilter(e, filter) {
+  if (filter.category && e.category !== filter.category) return false;
+  if (filter.tag && !(e.tags || []).includes(filter.tag)) return false;
+  if (filter.priority && (e.priority || "medium") !== filter.priority) return false;
+  return true;
+}
 
 function buildMinHeapFromArray(arr) {
-  // simple sort-based heap-view builder for front-end (non-destructive)
+  // simple sort-based heap-view builder for front-end (non-destructive):
+  // deadline occurrences over the next UPCOMING_DAYS days, earliest date first
   const deadlines = arr.filter(e => e.type === "deadline");
-  // map day string to index for sorting
-  deadlines.forEach(d => d._dayIndex = days.indexOf(d.day));
-  deadlines.sort((a, b) => {
-    if (a._dayIndex !== b._dayIndex) return a._dayIndex - b._dayIndex;
-    return 0;
+  const from = today();
+  const occurrences = [];
+  for (let i = 0; i < UPCOMING_DAYS; i++) {
+    const date = addDays(from, i);
+    deadlines.forEach(d => {
+      if (occursOn(d, date)) occurrences.push({ ...d, _date: toISODate(date), _status: statusOn(d, date) });
+    });
+  }
+  // same day: higher priority first (the backend MinHeap's tie-break)
+  return occurrences.sort((a, b) => a._date.localeCompare(b._date) || priorityRank(a) - priorityRank(b));
+}
+
+// 90 -> "1h 30m", 45 -> "45m", 0 -> "0h" (as in backend.js)
+function hoursText(minutes) {
+  const h = Math.floor(minutes / 60), m = minutes % 60;
+  if (!h) return m ? `${m}m` : "0h";
+  return m ? `${h}h ${m}m` : `${h}h`;
+}
+
+// depends_on holds a list of prerequisite ids (older, unmigrated files: a single
+// name or id); attach the resolved ids and names for display. `find` looks up an id or name.
+function resolveDependencyNames(arr, find) {
+  arr.forEach(e => {
+    const raw = Array.isArray(e.depends_on) ? e.depends_on : (e.depends_on ? [e.depends_on] : []);
+    const deps = raw.map(find);
+    e._dependsOnIds = raw.map((key, i) => (deps[i] ? deps[i].id : key));
+    e._dependsOnNames = raw.map((key, i) => (deps[i] ? deps[i].event : `${key} (missing)`));
   });
-  return deadlines;
 }
 
 function buildDependencyPairs(arr) {
   const pairs = [];
   arr.forEach(e => {
-    if (e.depends_on) pairs.push({ from: e.depends_on, to: e.event });
+    e._dependsOnIds.forEach((fromId, i) => {
+      pairs.push({ fromId, toId: e.id, from: e._dependsOnNames[i], to: e.event });
+    });
   });
   return pairs;
 }
 
-fetch("schedule.json")
-  .then(resp => resp.json())
-  .then(data => {
-    const container = document.getElementById("timetable-container");
-    const heapList = document.getElementById("heap-list");
-    const graphContainer = document.getElementById("graph-container");
-
-    // Render 'All days' view initially OR nothing — we'll wait for clicks
-    // Prepare structured data
-    const heapAll = buildMinHeapFromArray(data);
-    const dependencyPairs = buildDependencyPairs(data);
-
-    // Build day-based groups
-    const byDay = {};
-    days.forEach(d => byDay[d] = []);
-    data.forEach(e => {
-      if (!byDay[e.day]) byDay[e.day] = [];
-      byDay[e.day].push(e);
+// "HH:MM" -> minutes after midnight (null when it is not a time)
+function clockMinutes(hhmm) {
+  if (!/^\d{2}:\d{2}$/.test(hhmm || "")) return null;
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+}
+
+// mirrors backend.js: `end_day_offset` = how many days after its start a timed event ends
+function endDayOffset(e) {
+  return e && e.type !== "deadline" ? Number(e.end_day_offset) || 0 : 0;
+}
+
+// "22:00 - 01:00 (next day)", "09:00 - 17:00 (+2 days)"
+function timeRangeText(e) {
+  const n = endDayOffset(e);
+  return `${e.start} - ${e.end}${n === 1 ? " (next day)" : n > 1 ? ` (+${n} days)` : ""}`;
+}
+
+// what a timed event covers of each day it touches: [{ part, start, end }] in minutes,
+// part 0 = its own day, 1 = the day after, ...
+function daySegments(e) {
+  if (e.type !== "fixed" && e.type !== "planned") return [];
+  const start = clockMinutes(e.start), end = clockMinutes(e.end), offset = endDayOffset(e);
+  if (start === null || end === null) return [];
+  const segments = [];
+  for (let part = 0; part <= offset; part++) {
+    const seg = { part, start: part === 0 ? start : 0, end: part === offset ? end : 1440 };
+    if (seg.end > seg.start) segments.push(seg);
+  }
+  return segments;
+}
+
+// timed pieces on `date`: each event's own part plus those still running from an earlier day
+function segmentsOn(arr, date) {
+  const pieces = [];
+  arr.forEach(e => daySegments(e).forEach(seg => {
+    const from = addDays(date, -seg.part);
+    if (occursOn(e, from)) pieces.push({ e, from, part: seg.part, start: seg.start, end: seg.end });
+  }));
+  return pieces;
+}
+
+// -----------------------------
+// Client-side store
+// -----------------------------
+// The schedule is fetched once and indexed by id, name and weekday; day filters,
+// dependency lookups and the graph are all answered from memory. `version` says
+// which copy is loaded (the API's ETag, or the text of a static schedule.json),
+// so polling can tell whether anything changed.
+const POLL_SECONDS = 15;
+
+const store = {
+  events: [],
+  byId: new Map(),
+  byName: new Map(), // lower-cased name -> events with that name
+  byDay: {},
+  byCategory: new Map(), // category -> events
+  byTag: new Map(),      // tag -> events
+  derived: null,     // { heapAll, pairs, analysis }
+  version: null,
+
+  load(events, version) {
+    this.events = events;
+    this.version = version;
+    this.byId = new Map(events.map(e => [e.id, e]));
+    this.byName = new Map();
+    this.byDay = {};
+    this.byCategory = new Map();
+    this.byTag = new Map();
+    days.forEach(d => { this.byDay[d] = []; });
+    const add = (map, key, e) => {
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(e);
+    };
+    events.forEach(e => {
+      add(this.byName, String(e.event).toLowerCase(), e);
+      if (!this.byDay[e.day]) this.byDay[e.day] = [];
+      this.byDay[e.day].push(e);
+      if (e.category) add(this.byCategory, e.category, e);
+      (e.tags || []).forEach(tag => add(this.byTag, tag, e));
+    });
+    resolveDependencyNames(events, key => this.find(key));
+    const pairs = buildDependencyPairs(events);
+    // cycle, order, critical path, what blocks what, prerequisites finishing too late and
+    // what is ready to start follow core.js's Graph and backend.js's rules, so they come
+    // from the server (see loadServerViews); null until then
+    this.derived = { heapAll: buildMinHeapFromArray(events), pairs, analysis: null };
+    this.progress = null;
+    this.workload = null;
+  },
+
+  get(id) {
+    return this.byId.get(id) || null;
+  },
+
+  // by id, else the first event with that (case-insensitive) name
+  find(key) {
+    return this.get(key) || (this.byName.get(String(key).toLowerCase()) || [])[0] || null;
+  },
+
+  nameOf(id) {
+    const e = this.get(id);
+    return e ? e.event : `${id} (missing)`;
+  }
+};
+
+// editing (editor.js) is only possible through the API
+let apiAvailable = false;
+
+// the named timetable shown ("" = the server's default); remembered per browser
+const timetableSelect = document.getElementById("timetable-select");
+let timetableName = localStorage.getItem("timetable") || "";
+
+// an API path for the selected timetable, plus any extra query parameters
+function apiURL(path, params = {}) {
+  const query = new URLSearchParams(params);
+  if (timetableName) query.set("timetable", timetableName);
+  const qs = query.toString();
+  return qs ? `${path}?${qs}` : path;
+}
+
+function fillTimetableSelect(names, selected) {
+  timetableSelect.innerHTML = "";
+  names.forEach(name => {
+    const opt = document.createElement("option");
+    opt.value = name;
+    opt.textContent = `🗂️ ${name}`;
+    opt.selected = name === selected;
+    timetableSelect.appendChild(opt);
+  });
+  timetableSelect.hidden = false;
+}
+
+// server.js answers 304 while the ETag we hold is still current
+function fetchFromAPI(known) {
+  return fetch("api/timetables")
+    .then(resp => {
+      if (!resp.ok) throw new Error(`API answered ${resp.status}`);
+      return resp.json();
+    })
+    .then(info => {
+      // the remembered timetable may have been renamed or deleted since
+      if (!info.timetables.includes(timetableName)) timetableName = "";
+      fillTimetableSelect(info.timetables, timetableName || info.current);
+      return fetch(apiURL("api/events"), { headers: known ? { "If-None-Match": known } : {} });
+    })
+    .then(resp => {
+      if (resp.status === 304) return null;
+      if (!resp.ok) throw new Error(`API answered ${resp.status}`);
+      return resp.json().then(events => ({ events, version: resp.headers.get("ETag") }));
+    });
+}
+
+// a plain file: compare the text with what we have
+function fetchStatic(known) {
+  return fetch("schedule.json", { cache: "no-cache" })
+    .then(resp => resp.text())
+    .then(text => {
+      if (text === known) return null;
+      const doc = JSON.parse(text);
+      // { version, events } since schema version 2; a bare array before that
+      return { events: Array.isArray(doc) ? doc : doc.events, version: text };
     });
+}
+
+// the API when the page is served by server.js; plain schedule.json otherwise.
+// Resolves to { events, version }, or null when `known` is still the current version.
+function loadScheduleData(known) {
+  return fetchFromAPI(known)
+    .then(result => {
+      apiAvailable = true;
+      return result;
+    })
+    .catch(err => {
+      // a hiccup while polling the API is not a reason to switch to the static file
+      if (known && apiAvailable) return null;
+      apiAvailable = false;
+      timetableSelect.hidden = true;
+      return fetchStatic(known);
+    });
+}
+
+function applySchedule({ events, version }) {
+  store.load(events, version);
+  fillDetailFilters();
+  document.body.classList.toggle("can-edit", apiAvailable);
+  renderActiveDay();
+  loadServerViews();
+}
+
+function getJSON(path) {
+  return fetch(apiURL(path)).then(resp => {
+    if (!resp.ok) throw new Error(`API answered ${resp.status}`);
+    return resp.json();
+  });
+}
 
-    // Attach click handlers on filter buttons
-    const buttons = document.querySelectorAll(".filter-btn");
-    buttons.forEach(btn => {
-      btn.addEventListener("click", () => {
-        buttons.forEach(b => b.classList.remove("active"));
-        btn.classList.add("active");
-        const selectedDay = btn.dataset.day;
-        renderForDay(selectedDay, byDay, heapAll, dependencyPairs);
-      });
+// weekly progress, workload and the dependency analysis follow backend.js's rules, so
+// they come from the server; a plain schedule.json has none of them
+function loadServerViews() {
+  if (!apiAvailable) return;
+  const version = store.version;
+  Promise.all([getJSON("api/progress"), getJSON("api/report"), getJSON("api/dependencies")])
+    .then(([progress, workload, dependencies]) => {
+      // a newer schedule arrived meanwhile; its own request will fill these in
+      if (store.version !== version) return;
+      store.progress = progress;
+      store.workload = workload;
+      store.derived.analysis = {
+        cycle: dependencies.cycle,
+        order: dependencies.order,
+        critical: dependencies.critical_path,
+        blockedBy: dependencies.blocked_by,
+        timing: dependencies.timing,
+        ready: new Set(dependencies.ready)
+      };
+      renderActiveDay();
+    })
+    .catch(err => console.error("Failed to load progress, workload and dependencies:", err));
+}
+
+// (re)load the schedule and redraw the active day
+function refreshSchedule() {
+  return loadScheduleData(null)
+    .then(applySchedule)
+    .catch(err => {
+      console.error("Failed to fetch schedule.json:", err);
+      document.getElementById("timetable-container").innerHTML = `<p class="error">Unable to load schedule.json</p>`;
     });
+}
+
+// picks up changes made elsewhere (the CLI, another tab, schedule.json edited by hand)
+function checkForChanges() {
+  if (document.hidden || store.version === null) return;
+  loadScheduleData(store.version)
+    .then(result => {
+      if (result) applySchedule(result);
+    })
+    .catch(err => console.error("Failed to check for changes:", err));
+}
+
+function renderActiveDay() {
+  if (!store.derived) return;
+  const { heapAll, pairs, analysis } = store.derived;
+  const filter = activeDetailFilter();
+  const byDay = {};
+  Object.keys(store.byDay).forEach(d => { byDay[d] = store.byDay[d].filter(e => matchesFilter(e, filter)); });
+  renderForDay(activeDayFilter(), byDay, heapAll.filter(h => matchesFilter(h, filter)), pairs, analysis, id => store.nameOf(id));
+  renderWeekGrid(store.events.filter(e => matchesFilter(e, filter)), activeDayFilter());
+  renderProgress(store.progress);
+  renderWorkload(store.workload);
+}
+
+// the category / tag / priority selects ("" = no restriction)
+const detailFilters = {
+  category: document.getElementById("category-filter"),
+  tag: document.getElementById("tag-filter"),
+  priority: document.getElementById("priority-filter")
+};
 
-    // render for default active (All Days) on load
-    const active = document.querySelector(".filter-btn.active");
-    if (active) renderForDay(active.dataset.day, byDay, heapAll, dependencyPairs);
-  })
-  .catch(err => {
-    console.error("Failed to fetch schedule.json:", err);
-    document.getElementById("timetable-container").innerHTML = `<p class="error">Unable to load schedule.json</p>`;
+function activeDetailFilter() {
+  return {
+    category: detailFilters.category.value,
+    tag: detailFilters.tag.value,
+    priority: detailFilters.priority.value
+  };
+}
+
+// options from what the loaded timetable uses; a choice that no longer exists falls back to "all"
+function fillDetailFilters() {
+  const fill = (select, values, label) => {
+    const keep = select.value;
+    select.length = 1;
+    values.sort().forEach(v => select.add(new Option(label(v), v)));
+    select.value = values.includes(keep) ? keep : "";
+  };
+  fill(detailFilters.category, [...store.byCategory.keys()], c => c);
+  fill(detailFilters.tag, [...store.byTag.keys()], t => `#${t}`);
+  document.getElementById("category-options").innerHTML =
+    [...new Set(CATEGORIES.concat([...store.byCategory.keys()]))].map(c => `<option value="${escapeHTML(c)}"></option>`).join("");
+}
+
+// "all" or the weekday of the pressed filter button
+function activeDayFilter() {
+  const active = document.querySelector(".controls .filter-btn.active");
+  return active ? active.dataset.day : "all";
+}
+
+// Attach click handlers on filter buttons
+const filterButtons = document.querySelectorAll(".controls .filter-btn");
+filterButtons.forEach(btn => {
+  btn.addEventListener("click", () => {
+    filterButtons.forEach(b => b.classList.remove("active"));
+    btn.classList.add("active");
+    renderActiveDay();
   });
+});
+
+Object.values(detailFilters).forEach(select => select.addEventListener("change", renderActiveDay));
+
+timetableSelect.addEventListener("change", () => {
+  timetableName = timetableSelect.value;
+  localStorage.setItem("timetable", timetableName);
+  refreshSchedule();
+});
+
+// keep the week grid's "now" line (and the week itself) current, with the same filters
+// as renderActiveDay
+setInterval(() => {
+  const filter = activeDetailFilter();
+  renderWeekGrid(store.events.filter(e => matchesFilter(e, filter)), activeDayFilter());
+}, 60 * 1000);
+
+document.getElementById("refresh-btn").addEventListener("click", refreshSchedule);
+setInterval(checkForChanges, POLL_SECONDS * 1000);
+document.addEventListener("visibilitychange", checkForChanges);
+
+refreshSchedule();
 
 function clearContainers() {
   document.getElementById("timetable-container").innerHTML = "";
   document.getElementById("heap-list").innerHTML = "";
+  document.getElementById("heap-done").innerHTML = "";
   document.getElementById("graph-container").innerHTML = "";
+  document.getElementById("graph-summary").innerHTML = "";
 }
 
-function renderForDay(selectedDay, byDay, heapAll, dependencyPairs) {
+function renderForDay(selectedDay, byDay, heapAll, dependencyPairs, analysis, nameOf) {
   clearContainers();
   const container = document.getElementById("timetable-container");
   const heapList = document.getElementById("heap-list");
   const graphContainer = document.getElementById("graph-container");
 
   // 1) Show tasks for selectedDay (if 'all', show all tasks)
-  const tasks = selectedDay === "all" ? Object.values(byDay).flat() : (byDay[selectedDay] || []);
-  if (!tasks.length) {
-    container.innerHTML = `<p style="text-align:center; color:#666">No events for ${selectedDay}</p>`;
+  // in time order: by weekday, then start (deadlines after the timed events of their day)
+  const timeKey = e => (e.type === "deadline" ? 1440 + clockMinutes(e.end) : clockMinutes(e.start));
+  const tasks = (selectedDay === "all" ? Object.values(byDay).flat() : (byDay[selectedDay] || []))
+    .slice()
+    .sort((a, b) => days.indexOf(a.day) - days.indexOf(b.day) || timeKey(a) - timeKey(b) || priorityRank(a) - priorityRank(b));
+  // events from earlier days still running on the selected one (past midnight) come first
+  const continuing = selectedDay === "all" ? [] : Object.values(byDay).flat().flatMap(e => daySegments(e)
+    .filter(seg => seg.part > 0 && days[(days.indexOf(e.day) + seg.part) % 7] === selectedDay)
+    .map(seg => ({ e, part: seg.part })));
+  continuing.forEach(({ e, part }) => {
+    const card = document.createElement("div");
+    card.classList.add("card", "continued", `status-${statusOf(e)}`);
+    card.dataset.id = e.id;
+    card.innerHTML = `
+      <div class="card-header" style="border-color:${e.category ? categoryColor(e.category) : "#4cafef"}">
+        <h3>↪️ ${escapeHTML(e.event)}</h3>
+        <span class="day">since ${escapeHTML(e.day)}</span>
+      </div>
+      <div class="card-body">
+        <p><strong>Time:</strong> ${escapeHTML(`${part < endDayOffset(e) ? "all day" : `until ${e.end}`} (started ${e.day} ${e.start})`)}</p>
+      </div>
+      <div class="card-actions">
+        <button class="edit-btn" data-id="${escapeHTML(e.id)}">✏️ Edit</button>
+      </div>
+    `;
+    container.appendChild(card);
+  });
+  if (!tasks.length && !continuing.length) {
+    const filtered = Object.values(activeDetailFilter()).some(Boolean);
+    container.innerHTML = `<p style="text-align:center; color:#666">No events for ${selectedDay}${filtered ? " matching the filters" : ""}</p>`;
   } else {
     tasks.forEach(e => {
       const card = document.createElement("div");
-      card.classList.add("card");
+      card.classList.add("card", `status-${statusOf(e)}`);
       const isDeadline = e.type === "deadline";
-      const timeText = isDeadline ? `Deadline: ${e.end}` : `${e.start} - ${e.end}`;
+      const timeText = isDeadline ? `Deadline: ${e.end}` : timeRangeText(e);
+      card.dataset.id = e.id;
+      // everything from the record is escaped: names and labels are free text
       card.innerHTML = `
-        <div class="card-header" style="border-color:${isDeadline ? '#ff5e5e' : '#4cafef'}">
-          <h3>${isDeadline ? "⏰" : "📘"} ${e.event}</h3>
-          <span class="day">${e.day}</span>
+        <div class="card-header" style="border-color:${e.category ? categoryColor(e.category) : (isDeadline ? '#ff5e5e' : '#4cafef')}">
+          <h3>${isDeadline ? "⏰" : "📘"} ${escapeHTML(e.event)}</h3>
+          <span class="day">${e.priority ? `<span class="priority priority-${escapeHTML(e.priority)}" title="${escapeHTML(e.priority)} priority">${PRIORITY_ICONS[e.priority]}</span> ` : ""}${escapeHTML(e.day)}</span>
         </div>
         <div class="card-body">
-          <p><strong>Time:</strong> ${timeText}</p>
-          ${e.depends_on ? `<p><strong>Depends on:</strong> ${e.depends_on}</p>` : ""}
+          <p><strong>Time:</strong> ${escapeHTML(timeText)}</p>
+          ${e.date || e.recurrence ? `<p><strong>When:</strong> ${escapeHTML(describeWhen(e))}</p>` : ""}
+          ${e._dependsOnNames.length ? `<p><strong>Depends on:</strong> ${e._dependsOnNames.map(escapeHTML).join(", ")}</p>` : ""}
+          <p><strong>Status:</strong> ${statusText(statusOf(e))}${analysis && analysis.ready.has(e.id) ? " · 🟢 ready" : ""}</p>
+          ${Array.isArray(e.reminders) ? `<p><strong>Reminders:</strong> ${e.reminders.length ? e.reminders.map(m => `${m} min`).join(", ") + " before" : "off"}</p>` : ""}
+          ${e.category || (e.tags && e.tags.length) ? `<p class="chips">
+            ${e.category ? `<span class="chip category" style="background:${categoryColor(e.category)}">${escapeHTML(e.category)}</span>` : ""}
+            ${(e.tags || []).map(t => `<span class="chip tag">#${escapeHTML(t)}</span>`).join("")}
+          </p>` : ""}
+        </div>
+        <div class="card-actions">
+          <button class="edit-btn" data-id="${escapeHTML(e.id)}">✏️ Edit</button>
+          <button class="delete-btn" data-id="${escapeHTML(e.id)}">🗑️ Delete</button>
+          <select class="status-select" data-id="${escapeHTML(e.id)}" title="Status">
+            ${STATUSES.map(st => `<option value="${st}"${st === statusOf(e) ? " selected" : ""}>${statusText(st)}</option>`).join("")}
+          </select>
         </div>
       `;
       container.appendChild(card);
@@ -103,19 +565,30 @@ function renderForDay(selectedDay, byDay, heapAll, dependencyPairs) {
   }
 
   // 2) Upcoming deadlines (from that day onward)
-  const selectedIndex = selectedDay === "all" ? 0 : days.indexOf(selectedDay);
-  const upcoming = heapAll.filter(h => h._dayIndex >= selectedIndex);
+  // from today, or from the next date that falls on the selected weekday
+  const fromDate = selectedDay === "all"
+    ? today()
+    : addDays(today(), (days.indexOf(selectedDay) - weekdayIndex(today()) + 7) % 7);
+  // done / skipped ones leave the queue and are listed underneath
+  const fromHere = heapAll.filter(h => h._date >= toISODate(fromDate));
+  const upcoming = fromHere.filter(h => !FINISHED_STATUSES.includes(h._status));
   if (!upcoming.length) {
-    heapList.innerHTML = `<li>No upcoming deadlines from ${selectedDay}</li>`;
+    heapList.innerHTML = `<li>No upcoming deadlines from ${selectedDay === "all" ? "today" : selectedDay}</li>`;
   } else {
     upcoming.forEach(d => {
       const li = document.createElement("li");
-      li.textContent = `${d.event} — ${d.day} by ${d.end}`;
+      li.textContent = `${d.priority ? PRIORITY_ICONS[d.priority] + " " : ""}${d._status === "in_progress" ? "🔄 " : ""}${d.event} — ${d.day} ${d._date} by ${d.end}`;
+      if (d.category) li.style.borderLeft = `4px solid ${categoryColor(d.category)}`;
       heapList.appendChild(li);
     });
   }
+  fromHere.filter(h => !upcoming.includes(h)).forEach(d => {
+    const li = document.createElement("li");
+    li.textContent = `${STATUS_ICONS[d._status]} ${d.event} — ${d.day} ${d._date}`;
+    document.getElementById("heap-done").appendChild(li);
+  });
 
-  // 3) Dependency graph (simple arrow list)
+  // 3) Dependency graph (layered SVG, see graph.js)
   if (!dependencyPairs.length) {
     graphContainer.innerHTML = `<p style="text-align:center; color:#666">No dependencies</p>`;
   } else {
@@ -123,8 +596,8 @@ function renderForDay(selectedDay, byDay, heapAll, dependencyPairs) {
     const showPairs = dependencyPairs.filter(p => {
       if (selectedDay === "all") return true;
       // show if either from or to is on selectedDay
-      const fromEvent = findEventByNameOrId(p.from);
-      const toEvent = findEventByNameOrId(p.to);
+      const fromEvent = store.get(p.fromId);
+      const toEvent = store.get(p.toId);
       if (!fromEvent && !toEvent) return false;
       return (fromEvent && fromEvent.day === selectedDay) || (toEvent && toEvent.day === selectedDay) || selectedDay === "all";
     });
@@ -132,38 +605,202 @@ function renderForDay(selectedDay, byDay, heapAll, dependencyPairs) {
     if (!showPairs.length) {
       graphContainer.innerHTML = `<p style="text-align:center; color:#666">No dependencies for ${selectedDay}</p>`;
     } else {
-      showPairs.forEach(p => {
-        const nodeA = document.createElement("div");
-        nodeA.className = "node";
-        nodeA.textContent = p.from;
+      renderDependencyGraph(graphContainer, showPairs, analysis || NO_ANALYSIS);
+    }
+    renderGraphSummary(selectedDay, tasks, analysis, nameOf);
+  }
+}
 
-        const arrow = document.createElement("div");
-        arrow.className = "arrow";
-        arrow.textContent = "➡️";
+// -----------------------------
+// Week grid: hours down the side, this week's dates across the top
+// -----------------------------
+const GRID_HOUR_PX = 48;
+const GRID_HOURS = [8, 22]; // widened when events start earlier / end later
 
-        const nodeB = document.createElement("div");
-        nodeB.className = "node";
-        nodeB.textContent = p.to;
+// overlapping blocks share their day's width (layoutOverlaps in draw.js)
+const { layoutOverlaps } = Draw;
 
-        graphContainer.append(nodeA, arrow, nodeB);
-      });
-    }
+function renderWeekGrid(data, selectedDay) {
+  const grid = document.getElementById("week-grid");
+  const todayDate = today();
+  const monday = addDays(todayDate, -weekdayIndex(todayDate));
+  const week = days.map((day, i) => {
+    const date = addDays(monday, i);
+    const events = data.filter(e => occursOn(e, date));
+    return {
+      day,
+      date,
+      deadlines: events.filter(e => e.type === "deadline").sort((a, b) => a.end.localeCompare(b.end) || priorityRank(a) - priorityRank(b)),
+      finished: new Set(events.filter(e => FINISHED_STATUSES.includes(statusOn(e, date))).map(e => e.id)),
+      // events past midnight get a block on each day they cover; status is the start date's
+      blocks: layoutOverlaps(segmentsOn(data, date).map(b => ({
+        ...b,
+        finished: FINISHED_STATUSES.includes(statusOn(b.e, b.from)),
+        continues: b.part < endDayOffset(b.e)
+      })))
+    };
+  });
+
+  let [firstHour, lastHour] = GRID_HOURS;
+  week.forEach(d => d.blocks.forEach(b => {
+    firstHour = Math.min(firstHour, Math.floor(b.start / 60));
+    lastHour = Math.max(lastHour, Math.ceil(b.end / 60));
+  }));
+  const px = mins => (mins - firstHour * 60) * GRID_HOUR_PX / 60;
+  const height = px(lastHour * 60);
+  const now = new Date();
+  const nowMinutes = now.getHours() * 60 + now.getMinutes();
+  const dayClass = d => [
+    toISODate(d.date) === toISODate(todayDate) ? "today" : "",
+    d.day === selectedDay ? "selected" : ""
+  ].join(" ");
+
+  const hourLabels = [];
+  for (let h = firstHour; h < lastHour; h++) {
+    hourLabels.push(`<span class="wg-hour" style="top:${px(h * 60)}px">${String(h).padStart(2, "0")}:00</span>`);
+  }
+
+  grid.innerHTML = `
+    <div class="wg-corner"></div>
+    ${week.map(d => `
+      <div class="wg-head ${dayClass(d)}">${d.day.slice(0, 3)}<span>${d.date.getDate()}/${d.date.getMonth() + 1}</span></div>`).join("")}
+    <div class="wg-corner wg-label">Due</div>
+    ${week.map(d => `
+      <div class="wg-deadlines ${dayClass(d)}">
+        ${d.deadlines.map(e => `<div class="wg-deadline${d.finished.has(e.id) ? " finished" : ""}" data-id="${escapeHTML(e.id)}" title="${escapeHTML(`${e.event} — due ${e.end}`)}">⏰ ${escapeHTML(e.event)} <span>${escapeHTML(e.end)}</span></div>`).join("")}
+      </div>`).join("")}
+    <div class="wg-times" style="height:${height}px">${hourLabels.join("")}</div>
+    ${week.map(d => `
+      <div class="wg-day ${dayClass(d)}" style="height:${height}px; background-size: 100% ${GRID_HOUR_PX}px">
+        ${d.blocks.map(b => `
+          <div class="wg-block wg-${b.e.type}${b.finished ? " finished" : ""}${b.part ? " wg-continued" : ""}${b.continues ? " wg-continues" : ""}" data-id="${escapeHTML(b.e.id)}" title="${escapeHTML(`${b.e.event} ${timeRangeText(b.e)}`)}"
+               style="${b.e.category ? `background:${categoryColor(b.e.category)}; ` : ""}top:${px(b.start)}px; height:${px(b.end) - px(b.start)}px; left:${(b.col / b.cols) * 100}%; width:${100 / b.cols}%">
+            <strong>${b.part ? "↪ " : ""}${escapeHTML(b.e.event)}</strong><span>${escapeHTML(`${b.e.start}–${b.e.end}`)}</span>
+          </div>`).join("")}
+        ${dayClass(d).includes("today") && nowMinutes >= firstHour * 60 && nowMinutes <= lastHour * 60
+          ? `<div class="wg-now" style="top:${px(nowMinutes)}px"></div>` : ""}
+      </div>`).join("")}
+  `;
+  // printable pages come from the server (printable.js)
+  document.getElementById("week-export").innerHTML = apiAvailable
+    ? `Print: <a href="${apiURL("api/print", { layout: "landscape" })}" target="_blank">Landscape</a> · <a href="${apiURL("api/print", { layout: "portrait" })}" target="_blank">Portrait</a> · Share: <a href="${apiURL("api/print", { format: "markdown" })}" download="timetable-${toISODate(monday)}.md">Markdown</a>`
+    : "";
+}
+
+// the graph drawn before /api/dependencies answers (or without the server): nothing marked
+const NO_ANALYSIS = { cycle: null, order: null, critical: null, blockedBy: {}, timing: [], ready: new Set() };
+
+// cycle / order / critical path, out-of-order prerequisites, what is ready to
+// start, plus what the shown (unfinished) events are holding up
+function renderGraphSummary(selectedDay, tasks, analysis, nameOf) {
+  const summary = document.getElementById("graph-summary");
+  const names = ids => ids.map(id => escapeHTML(nameOf(id))).join(" → ");
+  const lines = [];
+  if (!analysis) {
+    lines.push(`<p class="graph-empty">${apiAvailable ? "Loading…" : "The order, critical path and timing checks need the server (node server.js)."}</p>`);
+  } else if (analysis.cycle) {
+    lines.push(`<p class="cycle">⚠️ Circular dependency: ${names(analysis.cycle)}</p>`);
+  } else {
+    lines.push(`<p><strong>Order:</strong> ${names(analysis.order)}</p>`);
+    lines.push(`<p><strong>Critical path:</strong> ${names(analysis.critical.path)} (${analysis.critical.path.length} tasks, ~${analysis.critical.length} min)</p>`);
+  }
+  const { timing, ready, blockedBy } = analysis || NO_ANALYSIS;
+  const onDay = id => store.get(id) && store.get(id).day === selectedDay;
+  timing
+    .filter(i => selectedDay === "all" || onDay(i.from) || onDay(i.to))
+    .forEach(i => lines.push(`<p class="timing">⏳ ${escapeHTML(i.message)}</p>`));
+  if (ready.size) {
+    lines.push(`<p class="ready">🟢 <strong>Ready now</strong> (prerequisites finished): ${[...ready].map(id => escapeHTML(nameOf(id))).join(", ")}</p>`);
   }
+  tasks.filter(e => !isFinished(e)).forEach(e => {
+    const blocked = blockedBy[e.id] || [];
+    if (blocked.length) lines.push(`<p>🔒 <strong>${escapeHTML(e.event)}</strong> blocks: ${blocked.map(id => escapeHTML(nameOf(id))).join(", ")}</p>`);
+  });
+  summary.innerHTML = lines.join("");
 }
 
-// helper: find event by name/id from the loaded schedule (fetch synchronously from schedule.json)
-function findEventByNameOrId(key) {
-  // synchronous fetch of schedule.json (small file, okay)
-  try {
-    const xhr = new XMLHttpRequest();
-    xhr.open("GET", "schedule.json", false); // synchronous
-    xhr.send(null);
-    if (xhr.status === 200) {
-      const arr = JSON.parse(xhr.responseText);
-      return arr.find(e => e.id === key || e.event === key);
-    }
-  } catch (err) {
-    // ignore
+// scrolls to an event's card (switching to "All Days" if the filter hides it) and flashes it
+function focusEventCard(id) {
+  const findCard = () => [...document.querySelectorAll("#timetable-container .card:not(.continued)")].find(c => c.dataset.id === id);
+  let card = findCard();
+  if (!card) {
+    document.querySelector('.controls .filter-btn[data-day="all"]').click();
+    card = findCard();
+  }
+  if (!card) return;
+  card.scrollIntoView({ behavior: "smooth", block: "center" });
+  card.classList.add("focused");
+  setTimeout(() => card.classList.remove("focused"), 1500);
+}
+
+// -----------------------------
+// Weekly progress
+// -----------------------------
+// `progress` is /api/progress (null until it arrives, or without the server)
+function renderProgress(progress) {
+  const section = document.getElementById("progress-container");
+  if (!progress) {
+    section.innerHTML = `<p class="progress-empty">${apiAvailable ? "Loading…" : "Progress needs the server (node server.js)."}</p>`;
+    return;
+  }
+  if (!progress.due.length) {
+    section.innerHTML = `<p class="progress-empty">Nothing due this week.</p>`;
+    return;
+  }
+  const { counts } = progress;
+  const share = st => (counts[st] / progress.due.length) * 100;
+  section.innerHTML = `
+    <div class="progress-bar" title="${progress.percent === null ? "" : progress.percent + "% done"}">
+      ${["done", "skipped", "in_progress"].map(st => `<span class="${st}" style="width:${share(st)}%"></span>`).join("")}
+    </div>
+    <p class="progress-counts">
+      ${STATUSES.map(st => `<span>${STATUS_ICONS[st]} ${counts[st]} ${st.replace("_", " ")}</span>`).join("")}
+      ${progress.percent === null ? "" : `<strong>${progress.percent}% done</strong>`}
+    </p>
+    <ul class="progress-list">
+      ${progress.due.map(o => `<li class="status-${o.status}" data-id="${escapeHTML(o.id)}">${STATUS_ICONS[o.status]} ${escapeHTML(o.event)} <span>${o.day.slice(0, 3)} ${o.date.slice(5)}</span></li>`).join("")}
+    </ul>
+    ${progress.finished.length
+      ? `<p class="progress-finished">Finished this week: ${progress.finished.map(e => escapeHTML(e.event)).join(", ")}</p>`
+      : ""}`;
+  section.querySelectorAll(".progress-list li").forEach(li => li.addEventListener("click", () => focusEventCard(li.dataset.id)));
+}
+
+// -----------------------------
+// Weekly workload
+// -----------------------------
+// `workload` is /api/report (null until it arrives, or without the server)
+function renderWorkload(workload) {
+  const section = document.getElementById("workload-container");
+  if (!workload) {
+    section.innerHTML = `<p class="workload-empty">${apiAvailable ? "Loading…" : "The workload needs the server (node server.js)."}</p>`;
+    return;
   }
-  return null;
+  const windowMinutes = clockMinutes(workload.work_end) - clockMinutes(workload.work_start);
+  // the report's warnings start with the day they belong to
+  const rows = workload.days.map(d => ({
+    ...d,
+    problems: workload.warnings.filter(w => w.startsWith(`${d.day} ${d.date}: `)).map(w => w.slice(`${d.day} ${d.date}: `.length))
+  }));
+  const cats = Object.entries(workload.categories).sort((a, b) => b[1] - a[1]);
+  const color = name => (name === "uncategorised" ? "#bbb" : categoryColor(name));
+  const exportLinks = `<p class="workload-export">Download: <a href="${apiURL("api/report", { format: "markdown" })}" download="workload-${workload.from}.md">Markdown</a> · <a href="${apiURL("api/report", { format: "csv" })}" download="workload-${workload.from}.csv">CSV</a></p>`;
+  section.innerHTML = `
+    <ul class="workload-days">
+      ${rows.map(d => `
+        <li class="${d.problems.length ? "overloaded" : ""}" title="${d.problems.length ? escapeHTML("Overloaded: " + d.problems.join(", ")) : ""}">
+          <span class="workload-day">${d.problems.length ? "🔥 " : ""}${d.day.slice(0, 3)} ${d.date.slice(5)}</span>
+          <span class="workload-bar">
+            ${Object.entries(d.categories).map(([name, mins]) => `<span style="width:${Math.min(100, mins / windowMinutes * 100)}%; background:${color(name)}" title="${escapeHTML(name)}: ${hoursText(mins)}"></span>`).join("")}
+          </span>
+          <span class="workload-numbers">${hoursText(d.scheduled_minutes)} · ${hoursText(d.free_minutes)} free · ${d.deadlines} deadline${d.deadlines === 1 ? "" : "s"}${d.longest_run ? ` · longest run ${hoursText(d.longest_run.minutes)}` : ""}</span>
+        </li>`).join("")}
+    </ul>
+    <p class="workload-summary">
+      <strong>${hoursText(workload.total_minutes)}</strong> scheduled · <strong>${hoursText(workload.free_minutes)}</strong> free inside ${workload.work_start}–${workload.work_end}
+      ${workload.busiest ? ` · busiest: <strong>${workload.busiest.day}</strong> (${hoursText(workload.busiest.minutes)})` : ""}
+    </p>
+    ${cats.length ? `<p class="chips workload-categories">${cats.map(([name, mins]) => `<span class="chip category" style="background:${color(name)}">${escapeHTML(name)} ${hoursText(mins)}</span>`).join("")}</p>` : ""}
+    ${workload.warnings.length ? `<ul class="workload-warnings">${workload.warnings.map(w => `<li>⚠️ ${escapeHTML(w)}</li>`).join("")}</ul>` : ""}
+    ${exportLinks}`;
 }
@@ -0,0 +1,375 @@
+// server.js
+// Smart Timetable — HTTP API + dashboard host (shares all logic with backend.js)
+// Run: node server.js   then open http://localhost:3000
+
+const http = require("http");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const {
+  loadTimetables,
+  defaultTimetableName,
+  getTimetable,
+  currentTimetable,
+  loadSchedule,
+  saveSchedule,
+  buildRecord,
+  validateEvent,
+  findConflictsFor,
+  replaceEvent,
+  deleteEvent,
+  collectDependents,
+  detectClashes,
+  findFreeSlots,
+  buildUpcomingDeadlineHeap,
+  buildGraphFromSchedule,
+  validateDependencyTiming,
+  eventMinutes,
+  readyEvents,
+  matchesFilter,
+  weekStart,
+  weeklyProgress,
+  weeklyWorkload,
+  timetableWeek,
+  MAX_REMINDER_MINUTES,
+  loadReminderState,
+  remindersBetween,
+  parseISODate,
+  toISODate,
+  toMinutes,
+  today
+} = require("./backend.js");
+
+const PORT = Number(process.env.PORT) || 3000;
+const MAX_BODY = 1024 * 1024;
+// longest look-ahead for ?days= (each day is walked, so keep it bounded)
+const MAX_DEADLINE_DAYS = 366;
+// longest look-ahead for ?hours= on /api/reminders: as far as the longest lead time
+const MAX_REMINDER_HOURS = MAX_REMINDER_MINUTES / 60;
+
+// files the dashboard needs; schedule.json stays readable for older pages
+const STATIC_FILES = {
+  "/": ["index.html", "text/html; charset=utf-8"],
+  "/index.html": ["index.html", "text/html; charset=utf-8"],
+  "/style.css": ["style.css", "text/css; charset=utf-8"],
+  "/input.js": ["input.js", "application/javascript; charset=utf-8"],
+  "/draw.js": ["draw.js", "application/javascript; charset=utf-8"],
+  "/script.js": ["script.js", "application/javascript; charset=utf-8"],
+  "/graph.js": ["graph.js", "application/javascript; charset=utf-8"],
+  "/editor.js": ["editor.js", "application/javascript; charset=utf-8"],
+  "/reminders.js": ["reminders.js", "application/javascript; charset=utf-8"]
+};
+
+// -----------------------------
+// Response helpers
+// -----------------------------
+function sendJSON(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+// with an ETag, so the dashboard can poll for changes cheaply (304 while nothing changed)
+function sendJSONTagged(req, res, body) {
+  const text = JSON.stringify(body, null, 2);
+  const etag = `"${crypto.createHash("sha1").update(text).digest("hex")}"`;
+  if (req.headers["if-none-match"] === etag) {
+    res.writeHead(304, { ETag: etag });
+    return res.end();
+  }
+  res.writeHead(200, { "Content-Type": "application/json; charset=utf-8", ETag: etag });
+  res.end(text);
+}
+
+function sendError(res, status, error, details) {
+  sendJSON(res, status, details ? { error, details } : { error });
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(Object.assign(new Error("Request body too large"), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (!chunks.length) return resolve({});
+      let body;
+      try {
+        body = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+      } catch (err) {
+        return reject(Object.assign(new Error("Body is not valid JSON"), { status: 400 }));
+      }
+      // every endpoint takes an event-like object; null, arrays and plain values are not one
+      if (!body || typeof body !== "object" || Array.isArray(body)) {
+        return reject(Object.assign(new Error("Body must be a JSON object"), { status: 400 }));
+      }
+      resolve(body);
+    });
+    req.on("error", reject);
+  });
+}
+
+// the id in /api/events/<id>; a broken %-escape is the client's mistake, not ours
+function decodeId(text) {
+  try {
+    return decodeURIComponent(text);
+  } catch (err) {
+    throw Object.assign(new Error("Event id is not valid URL encoding"), { status: 400 });
+  }
+}
+
+// -----------------------------
+// Event endpoints
+// -----------------------------
+
+// answers 400 for invalid records and 409 for overlaps (unless ?force=true); true if it did
+function rejectRecord(res, record, schedule, force) {
+  const errors = validateEvent(record, schedule);
+  if (errors.length) {
+    sendError(res, 400, "Invalid event", errors);
+    return true;
+  }
+  const clashes = record.type === "fixed" ? findConflictsFor(schedule, record) : [];
+  if (clashes.length && !force) {
+    sendError(res, 409, "Event overlaps other events (retry with ?force=true to save anyway)",
+      clashes.map(ev => ({ id: ev.id, event: ev.name, day: ev.day, start: ev.start_time, end: ev.end_time, end_day_offset: ev.end_day_offset })));
+    return true;
+  }
+  return false;
+}
+
+// saved record plus any dependency-timing warnings that mention it
+function savedResponse(schedule, record) {
+  const warnings = validateDependencyTiming(schedule)
+    .filter(i => i.pre.id === record.id || i.dep.id === record.id)
+    .map(i => i.message);
+  return warnings.length ? { event: record, warnings } : { event: record };
+}
+
+function handleEvents(req, res, timetable, id, query, body) {
+  const schedule = loadSchedule({ timetable });
+  const force = query.get("force") === "true";
+
+  if (!id) {
+    if (req.method === "GET") {
+      // ?category=, ?tag= and ?priority= narrow the list
+      const param = key => (query.get(key) || "").toLowerCase();
+      const filter = { category: param("category"), tag: param("tag"), priority: param("priority") };
+      return sendJSONTagged(req, res, schedule.filter(e => matchesFilter(e, filter)));
+    }
+    if (req.method === "POST") {
+      const record = buildRecord(body);
+      if (rejectRecord(res, record, schedule, force)) return;
+      schedule.push(record);
+      saveSchedule(schedule, { timetable, change: `add '${record.event}'` });
+      return sendJSON(res, 201, savedResponse(schedule, record));
+    }
+    return sendError(res, 405, "Method not allowed");
+  }
+
+  const current = schedule.find(e => e.id === id);
+  if (!current) return sendError(res, 404, `No event with id ${id}`);
+
+  if (req.method === "GET") return sendJSON(res, 200, current);
+  if (req.method === "PUT" || req.method === "PATCH") {
+    const record = buildRecord(body, current);
+    // marking progress leaves the times alone, so existing overlaps do not block it
+    const statusOnly = Object.keys(body).length > 0 && Object.keys(body).every(k => k === "status" || k === "completed_at");
+    if (rejectRecord(res, record, schedule, force || statusOnly)) return;
+    replaceEvent(schedule, record);
+    const change = statusOnly ? `mark '${record.event}' ${(record.status || "todo").replace("_", " ")}` : `edit '${record.event}'`;
+    saveSchedule(schedule, { timetable, change });
+    return sendJSON(res, 200, savedResponse(schedule, record));
+  }
+  if (req.method === "DELETE") {
+    // ?cascade=unlink keeps dependents, ?cascade=delete removes them too
+    const mode = query.get("cascade");
+    const dependents = collectDependents(schedule, id);
+    if (dependents.length && mode !== "unlink" && mode !== "delete") {
+      return sendError(res, 409, "Other events depend on this one (retry with ?cascade=unlink or ?cascade=delete)",
+        dependents.map(depId => ({ id: depId, event: (schedule.find(e => e.id === depId) || {}).event })));
+    }
+    const { remaining, deleted } = deleteEvent(schedule, id, mode || "unlink");
+    saveSchedule(remaining, { timetable, change: `delete ${deleted.map(e => `'${e.event}'`).join(", ")}` });
+    return sendJSON(res, 200, { deleted });
+  }
+  return sendError(res, 405, "Method not allowed");
+}
+
+// -----------------------------
+// Query endpoints
+// -----------------------------
+function handleConflicts(res, timetable) {
+  const clashes = detectClashes(loadSchedule({ timetable })).map(c => ({
+    day: c.day,
+    from: c.from,
+    to: c.to,
+    events: [c.a, c.b].map(ev => ({ id: ev.id, event: ev.name, start: ev.start_time, end: ev.end_time, end_day_offset: ev.end_day_offset }))
+  }));
+  sendJSON(res, 200, clashes);
+}
+
+function handleFreeSlots(res, timetable, query) {
+  const start = query.get("start") || undefined;
+  const end = query.get("end") || undefined;
+  if ((start && toMinutes(start) === null) || (end && toMinutes(end) === null)) {
+    return sendError(res, 400, "start and end must be HH:MM");
+  }
+  sendJSON(res, 200, findFreeSlots(loadSchedule({ timetable }), start, end));
+}
+
+// ?finished=true lists the done / skipped ones instead
+function handleDeadlines(res, timetable, query) {
+  const span = query.has("days") ? parseInt(query.get("days"), 10) : undefined;
+  if (span !== undefined && !(span > 0 && span <= MAX_DEADLINE_DAYS)) return sendError(res, 400, `days must be a number from 1 to ${MAX_DEADLINE_DAYS}`);
+  const finished = query.get("finished") === "true";
+  const upcoming = buildUpcomingDeadlineHeap(loadSchedule({ timetable }), today(), span, { finished }).asSortedArray();
+  sendJSON(res, 200, upcoming.map(d => ({ id: d.id, event: d.name, day: d.day, date: d.date, due: d.end_time, status: d.status })));
+}
+
+// ?date=YYYY-MM-DD picks the week (default this week)
+function handleProgress(res, timetable, query) {
+  const date = query.has("date") ? parseISODate(query.get("date")) : today();
+  if (!date) return sendError(res, 400, "date must be YYYY-MM-DD");
+  const progress = weeklyProgress(loadSchedule({ timetable }), weekStart(date));
+  sendJSON(res, 200, {
+    ...progress,
+    finished: progress.finished.map(e => ({ id: e.id, event: e.event, status: e.status, completed_at: e.completed_at }))
+  });
+}
+
+// the default lead time and the reminders due in the next ?hours= (default 24)
+function handleReminders(res, timetable, query) {
+  const hours = query.has("hours") ? Number(query.get("hours")) : 24;
+  if (!(hours > 0 && hours <= MAX_REMINDER_HOURS)) return sendError(res, 400, `hours must be a number above 0, up to ${MAX_REMINDER_HOURS}`);
+  const { default_minutes } = loadReminderState(timetable);
+  const now = new Date();
+  sendJSON(res, 200, {
+    default_minutes,
+    upcoming: remindersBetween(loadSchedule({ timetable }), now, new Date(now.getTime() + hours * 3600000), default_minutes)
+  });
+}
+
+// ?date= picks the week; ?format=markdown or csv answers with the report file instead of JSON
+function handleReport(res, timetable, query) {
+  const date = query.has("date") ? parseISODate(query.get("date")) : today();
+  if (!date) return sendError(res, 400, "date must be YYYY-MM-DD");
+  const format = (query.get("format") || "json").toLowerCase();
+  if (format !== "json" && format !== "markdown" && format !== "csv") return sendError(res, 400, "format must be json, markdown or csv");
+  const report = weeklyWorkload(loadSchedule({ timetable }), weekStart(date));
+  if (format === "json") return sendJSON(res, 200, report);
+  res.writeHead(200, {
+    "Content-Type": format === "csv" ? "text/csv; charset=utf-8" : "text/markdown; charset=utf-8",
+    "Content-Disposition": `attachment; filename="workload-${report.from}.${format === "csv" ? "csv" : "md"}"`
+  });
+  res.end(require("./report.js").formatReport(report, format));
+}
+
+// a week to print (?format=html, opens in the browser) or share (?format=markdown, a download);
+// ?date= picks the week, ?layout=landscape or portrait the page
+function handlePrint(res, timetable, query) {
+  const { LAYOUTS, toHTML, toMarkdown } = require("./printable.js");
+  const date = query.has("date") ? parseISODate(query.get("date")) : today();
+  if (!date) return sendError(res, 400, "date must be YYYY-MM-DD");
+  const format = (query.get("format") || "html").toLowerCase();
+  if (format !== "html" && format !== "markdown") return sendError(res, 400, "format must be html or markdown");
+  const layout = (query.get("layout") || LAYOUTS[0]).toLowerCase();
+  if (!LAYOUTS.includes(layout)) return sendError(res, 400, `layout must be ${LAYOUTS.join(" or ")}`);
+  const week = timetableWeek(loadSchedule({ timetable }), weekStart(date));
+  const title = `Timetable — ${timetable.name}`;
+  if (format === "html") {
+    res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+    return res.end(toHTML(week, { title, layout, generated: toISODate(today()) }));
+  }
+  res.writeHead(200, {
+    "Content-Type": "text/markdown; charset=utf-8",
+    "Content-Disposition": `attachment; filename="timetable-${week.from}.md"`
+  });
+  res.end(toMarkdown(week, { title }));
+}
+
+function handleTimetables(res, timetable) {
+  sendJSON(res, 200, {
+    current: timetable.name,
+    timetables: loadTimetables().timetables.map(t => t.name)
+  });
+}
+
+function handleDependencies(res, timetable) {
+  const schedule = loadSchedule({ timetable });
+  const graph = buildGraphFromSchedule(schedule);
+  const cycle = graph.hasCycle();
+  const critical = cycle ? null : graph.criticalPath(id => eventMinutes(schedule.find(e => e.id === id)));
+  sendJSON(res, 200, {
+    edges: [...graph.adj.entries()].flatMap(([from, list]) => list.map(to => ({ from, to }))),
+    cycle,
+    order: cycle ? null : graph.topologicalOrder(),
+    critical_path: critical,
+    // id -> everything that (transitively) waits on it
+    blocked_by: Object.fromEntries(graph.nodes().map(n => [n, graph.blockedBy(n)])),
+    ready: readyEvents(schedule).map(e => e.id),
+    timing: validateDependencyTiming(schedule).map(i => ({ from: i.pre.id, to: i.dep.id, message: i.message }))
+  });
+}
+
+// -----------------------------
+// Router
+// -----------------------------
+async function route(req, res) {
+  const url = new URL(req.url, "http://localhost");
+  const parts = url.pathname.split("/").filter(Boolean);
+  const body = req.method === "POST" || req.method === "PUT" || req.method === "PATCH" ? await readBody(req) : {};
+
+  // ?timetable=<name> picks the timetable (the dashboard's selector); it is handed to
+  // every handler, so requests for different timetables never share state
+  const name = url.searchParams.get("timetable") || defaultTimetableName();
+  const timetable = getTimetable(name);
+  if (!timetable) return sendError(res, 404, `No timetable called '${name}'`);
+
+  if (parts[0] === "api") {
+    if (parts[1] === "events" && parts.length <= 3) return handleEvents(req, res, timetable, parts[2] && decodeId(parts[2]), url.searchParams, body);
+    if (req.method !== "GET") return sendError(res, 405, "Method not allowed");
+    if (parts[1] === "timetables") return handleTimetables(res, timetable);
+    if (parts[1] === "conflicts") return handleConflicts(res, timetable);
+    if (parts[1] === "free-slots") return handleFreeSlots(res, timetable, url.searchParams);
+    if (parts[1] === "deadlines") return handleDeadlines(res, timetable, url.searchParams);
+    if (parts[1] === "dependencies") return handleDependencies(res, timetable);
+    if (parts[1] === "progress") return handleProgress(res, timetable, url.searchParams);
+    if (parts[1] === "report") return handleReport(res, timetable, url.searchParams);
+    if (parts[1] === "print") return handlePrint(res, timetable, url.searchParams);
+    if (parts[1] === "reminders") return handleReminders(res, timetable, url.searchParams);
+    return sendError(res, 404, "Unknown endpoint");
+  }
+
+  if (req.method !== "GET") return sendError(res, 405, "Method not allowed");
+  if (url.pathname === "/schedule.json") return sendJSONTagged(req, res, loadSchedule({ timetable }));
+  const file = STATIC_FILES[url.pathname];
+  if (!file) return sendError(res, 404, "Not found");
+  res.writeHead(200, { "Content-Type": file[1] });
+  fs.createReadStream(path.join(__dirname, file[0])).pipe(res);
+}
+
+function createServer() {
+  return http.createServer((req, res) => {
+    route(req, res).catch(err => {
+      if (!err.status) console.error("Request failed:", err);
+      if (!res.headersSent) sendError(res, err.status || 500, err.status ? err.message : "Internal server error");
+    });
+  });
+}
+
+if (require.main === module) {
+  const { file } = currentTimetable();
+  if (!fs.existsSync(file)) saveSchedule([], { change: `create ${file}` });
+  createServer().listen(PORT, () => {
+    console.log(`Smart Timetable running at http://localhost:${PORT}`);
+  });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,262 @@
+// Tests for core.js: MinHeap ordering, Graph cycle detection / ordering, binary insertion
+// and the per-day views. Run with `npm test`.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  Event,
+  MinHeap,
+  Graph,
+  insertSortedByStart,
+  buildDayMap,
+  buildHeapFromSchedule,
+  buildGraphFromSchedule,
+  daySegments
+} = require("../core.js");
+
+// an Event with only what ordering looks at
+function ev(name, dayIndex, start = "N/A", extra = {}) {
+  return Object.assign(new Event(name, name, dayIndex, start, "23:59"), extra);
+}
+
+function drain(heap) {
+  const out = [];
+  while (heap.size()) out.push(heap.extractMin().name);
+  return out;
+}
+
+// -----------------------------
+// MinHeap
+// -----------------------------
+test("MinHeap extracts by day, then start time", () => {
+  const heap = new MinHeap([ev("fri", 4, "09:00"), ev("mon-late", 0, "15:00"), ev("wed", 2, "08:00"), ev("mon-early", 0, "08:30"), ev("sun", 6, "07:00")]);
+  assert.deepEqual(drain(heap), ["mon-early", "mon-late", "wed", "fri", "sun"]);
+});
+
+test("MinHeap puts the earlier calendar date first when both have one", () => {
+  const heap = new MinHeap([
+    ev("later-monday", 0, "08:00", { date: "2026-11-02" }),
+    ev("sooner-friday", 4, "08:00", { date: "2026-10-30" })
+  ]);
+  assert.deepEqual(drain(heap), ["sooner-friday", "later-monday"]);
+});
+
+test("MinHeap breaks ties on priority (missing counts as medium)", () => {
+  const heap = new MinHeap([ev("low", 1, "N/A", { priority: "low" }), ev("none", 1), ev("high", 1, "N/A", { priority: "high" })]);
+  assert.deepEqual(drain(heap), ["high", "none", "low"]);
+});
+
+test("MinHeap stays ordered over many inserts and extracts", () => {
+  const heap = new MinHeap();
+  const times = [];
+  for (let i = 0; i < 200; i++) {
+    const mins = (i * 37) % 1440;
+    const time = `${String(Math.floor(mins / 60)).padStart(2, "0")}:${String(mins % 60).padStart(2, "0")}`;
+    times.push(time);
+    heap.insert(ev(`e${i}`, 3, time));
+  }
+  const out = [];
+  while (heap.size()) out.push(heap.extractMin().start_time);
+  assert.deepEqual(out, times.slice().sort());
+});
+
+test("MinHeap peek / extractMin on an empty heap return null", () => {
+  const heap = new MinHeap();
+  assert.equal(heap.peek(), null);
+  assert.equal(heap.extractMin(), null);
+  assert.equal(heap.size(), 0);
+});
+
+test("asSortedArray leaves the heap untouched", () => {
+  const heap = new MinHeap([ev("b", 1), ev("a", 0), ev("c", 2)]);
+  assert.deepEqual(heap.asSortedArray().map(e => e.name), ["a", "b", "c"]);
+  assert.equal(heap.size(), 3);
+  assert.equal(heap.peek().name, "a");
+});
+
+// -----------------------------
+// MinHeap._compare and "N/A" start times
+// -----------------------------
+test("_compare ignores start times when either one is N/A", () => {
+  const heap = new MinHeap();
+  assert.equal(heap._compare(ev("a", 2, "N/A"), ev("b", 2, "09:00")), 0);
+  assert.equal(heap._compare(ev("a", 2, "09:00"), ev("b", 2, "N/A")), 0);
+  assert.equal(heap._compare(ev("a", 2, "N/A"), ev("b", 2, "N/A")), 0);
+});
+
+test("_compare with an N/A start time still orders by day and priority", () => {
+  const heap = new MinHeap();
+  assert.ok(heap._compare(ev("mon", 0, "N/A"), ev("tue", 1, "08:00")) < 0);
+  assert.ok(heap._compare(ev("tue", 1, "08:00"), ev("mon", 0, "N/A")) > 0);
+  assert.ok(heap._compare(ev("high", 2, "N/A", { priority: "high" }), ev("low", 2, "09:00", { priority: "low" })) < 0);
+});
+
+test("_compare treats a missing start time like N/A", () => {
+  const heap = new MinHeap();
+  assert.equal(heap._compare(ev("a", 2, undefined), ev("b", 2, "09:00")), 0);
+  assert.equal(heap._compare(ev("a", 2, null), ev("b", 2, null)), 0);
+});
+
+test("_compare orders two real start times on the same day", () => {
+  const heap = new MinHeap();
+  assert.ok(heap._compare(ev("a", 2, "08:00"), ev("b", 2, "09:00")) < 0);
+  assert.ok(heap._compare(ev("a", 2, "10:00"), ev("b", 2, "09:00")) > 0);
+});
+
+// -----------------------------
+// Graph
+// -----------------------------
+function graphOf(edges) {
+  const g = new Graph();
+  edges.forEach(([u, v]) => g.addEdge(u, v));
+  return g;
+}
+
+test("hasCycle is null for an empty graph and for a DAG", () => {
+  assert.equal(new Graph().hasCycle(), null);
+  assert.equal(graphOf([["a", "b"], ["a", "c"], ["b", "d"], ["c", "d"]]).hasCycle(), null);
+});
+
+test("hasCycle finds a self-loop", () => {
+  assert.deepEqual(graphOf([["a", "a"]]).hasCycle(), ["a", "a"]);
+  assert.deepEqual(graphOf([["x", "y"], ["y", "y"]]).hasCycle(), ["y", "y"]);
+});
+
+test("hasCycle follows edges into nodes that are not in adj", () => {
+  // "b" and "c" only appear as targets, so adj has no entry for them
+  const g = graphOf([["a", "b"], ["a", "c"]]);
+  assert.equal(g.adj.has("b"), false);
+  assert.equal(g.hasCycle(), null);
+});
+
+test("hasCycle returns the cycle as a closed path", () => {
+  assert.deepEqual(graphOf([["a", "b"], ["b", "c"], ["c", "a"]]).hasCycle(), ["a", "b", "c", "a"]);
+  // the cycle does not include the node the search started from
+  assert.deepEqual(graphOf([["start", "x"], ["x", "y"], ["y", "x"]]).hasCycle(), ["x", "y", "x"]);
+});
+
+test("hasCycle finds a cycle that is only reachable from a later node", () => {
+  const g = graphOf([["a", "b"], ["c", "d"], ["d", "c"]]);
+  assert.deepEqual(g.hasCycle(), ["c", "d", "c"]);
+});
+
+test("nodes includes edge targets without outgoing edges", () => {
+  assert.deepEqual(graphOf([["a", "b"], ["a", "c"]]).nodes().sort(), ["a", "b", "c"]);
+});
+
+test("topologicalOrder puts prerequisites first, null on a cycle", () => {
+  const order = graphOf([["a", "b"], ["b", "c"], ["a", "c"]]).topologicalOrder();
+  assert.deepEqual(order, ["a", "b", "c"]);
+  assert.equal(graphOf([["a", "b"], ["b", "a"]]).topologicalOrder(), null);
+  assert.equal(graphOf([["a", "a"]]).topologicalOrder(), null);
+});
+
+test("criticalPath picks the heaviest chain", () => {
+  const g = graphOf([["a", "b"], ["b", "c"], ["a", "d"]]);
+  assert.deepEqual(g.criticalPath(), { length: 3, path: ["a", "b", "c"] });
+  const weights = { a: 1, b: 1, c: 1, d: 5 };
+  assert.deepEqual(g.criticalPath(n => weights[n]), { length: 6, path: ["a", "d"] });
+  assert.deepEqual(new Graph().criticalPath(), { length: 0, path: [] });
+  assert.equal(graphOf([["a", "b"], ["b", "a"]]).criticalPath(), null);
+});
+
+test("blockedBy lists everything downstream, without the node itself", () => {
+  const g = graphOf([["a", "b"], ["b", "c"], ["c", "a"], ["x", "y"]]);
+  assert.deepEqual(g.blockedBy("a").sort(), ["b", "c"]);
+  assert.deepEqual(g.blockedBy("y"), []);
+});
+
+// -----------------------------
+// insertSortedByStart
+// -----------------------------
+function insertAll(list) {
+  const arr = [];
+  list.forEach(e => insertSortedByStart(arr, e));
+  return arr.map(e => e.name);
+}
+
+test("insertSortedByStart keeps a day sorted by start time", () => {
+  assert.deepEqual(
+    insertAll([ev("c", 0, "13:00"), ev("a", 0, "08:00"), ev("d", 0, "18:30"), ev("b", 0, "09:15")]),
+    ["a", "b", "c", "d"]
+  );
+});
+
+test("insertSortedByStart puts equal start times in insertion order", () => {
+  assert.deepEqual(insertAll([ev("first", 0, "09:00"), ev("second", 0, "09:00"), ev("early", 0, "08:00"), ev("third", 0, "09:00")]),
+    ["early", "first", "second", "third"]);
+});
+
+test("insertSortedByStart keeps N/A entries after every timed one", () => {
+  assert.deepEqual(
+    insertAll([ev("due1", 0, "N/A"), ev("late", 0, "20:00"), ev("due2", 0, "N/A"), ev("early", 0, "07:00"), ev("noon", 0, "12:00")]),
+    ["early", "noon", "late", "due1", "due2"]
+  );
+});
+
+test("insertSortedByStart sorts continuations of earlier days from midnight", () => {
+  const carried = ev("carried", 1, "22:00", { part: 1 });
+  assert.deepEqual(insertAll([ev("morning", 1, "06:00"), carried, ev("midnight", 1, "00:00")]), ["carried", "midnight", "morning"]);
+});
+
+// -----------------------------
+// Views built from a schedule
+// -----------------------------
+const schedule = [
+  { id: "1", event: "Lecture", day: "Monday", start: "10:00", end: "11:00", type: "fixed" },
+  { id: "2", event: "Gym", day: "Monday", start: "07:00", end: "08:00", type: "fixed", priority: "high", category: "exercise", tags: ["morning"] },
+  { id: "3", event: "Essay", day: "Monday", start: "N/A", end: "23:59", type: "deadline", depends_on: ["1"] },
+  { id: "4", event: "Party", day: "Sunday", start: "22:00", end: "02:00", type: "fixed", end_day_offset: 1 },
+  { id: "5", event: "Hike", day: "Friday", start: "09:00", end: "17:00", type: "fixed", end_day_offset: 2 },
+  { id: "6", event: "Nowhere", day: "Someday", start: "09:00", end: "10:00", type: "fixed" },
+  { id: "7", event: "Report", day: "Wednesday", start: "N/A", end: "23:59", type: "deadline", depends_on: "3" }
+];
+
+test("buildDayMap has a sorted list for each of the 7 days", () => {
+  const map = buildDayMap(schedule);
+  assert.deepEqual([...map.keys()], [0, 1, 2, 3, 4, 5, 6]);
+  const monday = map.get(0);
+  assert.deepEqual(monday.map(e => `${e.name}/${e.part}`), ["Party/1", "Gym/0", "Lecture/0", "Essay/0"]);
+  assert.ok(monday.every(e => e instanceof Event));
+  assert.deepEqual(map.get(3), []);
+});
+
+test("buildDayMap copies the record's details onto the Event", () => {
+  const gym = buildDayMap(schedule).get(0).find(e => e.id === "2");
+  assert.equal(gym.day, "Monday");
+  assert.equal(gym.start_time, "07:00");
+  assert.equal(gym.priority, "high");
+  assert.equal(gym.category, "exercise");
+  assert.deepEqual(gym.tags, ["morning"]);
+});
+
+test("buildDayMap splits events past midnight across the days they reach", () => {
+  const map = buildDayMap(schedule);
+  assert.deepEqual(map.get(4).map(e => `${e.name}/${e.part}`), ["Hike/0"]);
+  assert.deepEqual(map.get(5).map(e => `${e.name}/${e.part}`), ["Hike/1"]);
+  assert.deepEqual(map.get(6).map(e => `${e.name}/${e.part}`), ["Hike/2", "Party/0"]);
+  // Sunday night wraps round to Monday
+  const carried = map.get(0).find(e => e.id === "4");
+  assert.equal(carried.part, 1);
+  assert.equal(carried.day, "Sunday");
+  assert.equal(carried.end_day_offset, 1);
+  // a 09:00-17:00 +2 days event covers the whole of Saturday and Sunday until 17:00
+  assert.deepEqual(daySegments(schedule[4]), [{ part: 0, start: 540, end: 1440 }, { part: 1, start: 0, end: 1440 }, { part: 2, start: 0, end: 1020 }]);
+});
+
+test("buildDayMap skips records with an unknown day", () => {
+  const all = [...buildDayMap(schedule).values()].flat();
+  assert.equal(all.some(e => e.id === "6"), false);
+});
+
+test("buildHeapFromSchedule holds only the deadlines, earliest day first", () => {
+  const heap = buildHeapFromSchedule(schedule);
+  assert.deepEqual(heap.asSortedArray().map(e => e.name), ["Essay", "Report"]);
+  assert.ok(heap.asSortedArray().every(e => e.start_time === "N/A"));
+});
+
+test("buildGraphFromSchedule adds prerequisite -> dependent edges", () => {
+  const g = buildGraphFromSchedule(schedule);
+  assert.deepEqual([...g.adj.entries()], [["1", ["3"]], ["3", ["7"]]]);
+  assert.equal(g.hasCycle(), null);
+});
@@ -0,0 +1,26 @@
+// Tests for natural input: the parsers in input.js (shared with the dashboard's editor)
+// and parseDay in backend.js. Run with `npm test`.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseTime, parseDuration, parseEnd, parseTimeSpan } = require("../input.js");
+const { parseDay, today, addDays } = require("../backend.js");
+
+test("times, lengths of time and end times are read as typed", () => {
+  assert.equal(parseTime("2pm"), "14:00");
+  assert.equal(parseTime("1730"), "17:30");
+  assert.equal(parseTime("13pm"), null);
+  assert.equal(parseDuration("1h30"), 90);
+  assert.equal(parseDuration("30"), 30);
+  assert.deepEqual(parseEnd("for 90m", "23:00"), { end: "00:30", offset: 1 });
+  assert.deepEqual(parseEnd("01:00+1", "22:00"), { end: "01:00", offset: 1 });
+  assert.deepEqual(parseTimeSpan("2pm-4pm"), { start: "14:00", end: "16:00", offset: null });
+});
+
+test("parseDay reads day words but not names inherited from Object", () => {
+  const now = today();
+  assert.deepEqual(parseDay("tomorrow", now), addDays(now, 1));
+  assert.equal(parseDay("constructor", now), null);
+  assert.equal(parseDay("__proto__", now), null);
+  assert.equal(parseDay("toString", now), null);
+});
@@ -0,0 +1,60 @@
+// Tests for the status of repeating events in backend.js: completing one again, and
+// what counts as ready to start. Dates are relative to today. Run with `npm test`.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { days, today, addDays, weekdayIndex, setStatus, statusOn, readyEvents, planDeadlineTasks } = require("../backend.js");
+
+const now = today();
+const todayName = days[weekdayIndex(now)];
+const twoWeeksAgo = addDays(now, -14);
+
+// a weekly event on today's weekday, last finished two weeks ago
+function weekly(id, extra = {}) {
+  return {
+    id, event: id, day: todayName, date: null, recurrence: null, start: "N/A", end: "23:59", type: "deadline",
+    status: "done", completed_at: twoWeeksAgo.toISOString(), depends_on: null, ...extra
+  };
+}
+
+test("a repeating event finished for an earlier round is todo again", () => {
+  assert.equal(statusOn(weekly("Report"), twoWeeksAgo), "done");
+  assert.equal(statusOn(weekly("Report"), now), "todo");
+});
+
+test("marking a repeating event done again covers the current round", () => {
+  const schedule = [weekly("Report")];
+  const { record } = setStatus(schedule, "Report", "done");
+  assert.equal(statusOn(record, now), "done");
+  assert.equal(statusOn(record, addDays(now, 7)), "todo");
+});
+
+test("marking it done again while the round is covered keeps the first stamp", () => {
+  const stamp = addDays(now, -1).toISOString();
+  const { record } = setStatus([weekly("Report", { completed_at: stamp })], "Report", "done");
+  assert.equal(record.completed_at, stamp);
+});
+
+test("a prerequisite finished only for an earlier round does not make its dependent ready", () => {
+  const schedule = [weekly("Read"), weekly("Essay", { status: "todo", completed_at: null, depends_on: ["Read"] })];
+  assert.deepEqual(readyEvents(schedule), []);
+  const { unblocked } = setStatus(schedule, "Read", "done");
+  assert.deepEqual(unblocked.map(e => e.id), ["Essay"]);
+});
+
+test("the planner books work for a task finished only for an earlier round", () => {
+  const { blocks } = planDeadlineTasks([weekly("Report", { duration: 30 })]);
+  assert.ok(blocks.some(b => b.task_id === "Report"));
+});
+
+test("the planner books work to end by a deadline's own due time", () => {
+  const busy = { ...weekly("Lecture"), day: "Monday", start: "08:00", end: "09:00", type: "fixed", status: null, completed_at: null };
+  const task = extra => weekly("Reading", { day: "Monday", end: "10:00", status: null, completed_at: null, ...extra });
+
+  const { blocks } = planDeadlineTasks([busy, task({ duration: 60 })]);
+  assert.deepEqual(blocks.map(b => [b.day, b.start, b.end]), [["Monday", "09:00", "10:00"]]);
+
+  const late = planDeadlineTasks([busy, task({ duration: 120 })]);
+  assert.deepEqual(late.blocks, []);
+  assert.equal(late.unscheduled[0].task.id, "Reading");
+});
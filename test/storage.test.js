@@ -0,0 +1,173 @@
+// Tests for loadSchedule / saveSchedule in backend.js, run against a timetable in a
+// temporary directory. Run with `npm test`.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { SCHEMA_VERSION, loadSchedule, saveSchedule, writeFileAtomic, readHistory, undoChange, redoChange } = require("../backend.js");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "timetable-test-"));
+const at = name => path.join(dir, name);
+const timetable = { name: "Test", file: at("schedule.json") };
+
+const lecture = { id: "1", event: "Lecture", day: "Monday", start: "10:00", end: "11:00", type: "fixed" };
+const essay = { id: "2", event: "Essay", day: "Friday", start: "N/A", end: "23:59", type: "deadline", depends_on: ["1"], duration: 90 };
+const party = {
+  id: "3", event: "Party", day: "Saturday", start: "22:00", end: "02:00", type: "fixed", end_day_offset: 1,
+  recurrence: { freq: "weekly", interval: 2, start_date: "2026-10-03", end_date: null, exceptions: ["2026-10-17"] },
+  priority: "high", category: "social", tags: ["friends"], reminders: [60, 15], status: "in_progress"
+};
+
+function clean() {
+  fs.readdirSync(dir).forEach(f => fs.rmSync(path.join(dir, f), { recursive: true, force: true }));
+}
+
+function quietly(t) {
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "error", () => {});
+}
+
+test.beforeEach(clean);
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("a missing schedule.json loads as an empty timetable", () => {
+  assert.deepEqual(loadSchedule({ timetable }), []);
+  assert.equal(fs.existsSync(timetable.file), false);
+});
+
+test("saved events load back unchanged", () => {
+  assert.deepEqual(saveSchedule([lecture, essay, party], { quiet: true, timetable }), []);
+  const doc = JSON.parse(fs.readFileSync(timetable.file, "utf8"));
+  assert.equal(doc.version, SCHEMA_VERSION);
+  assert.deepEqual(loadSchedule({ quiet: true, timetable }), [lecture, essay, party]);
+});
+
+test("an empty timetable round-trips", () => {
+  saveSchedule([], { quiet: true, timetable });
+  assert.deepEqual(loadSchedule({ quiet: true, timetable }), []);
+});
+
+test("saving twice keeps the last version and leaves no temp files", () => {
+  saveSchedule([lecture], { quiet: true, timetable });
+  saveSchedule([lecture, essay], { quiet: true, timetable });
+  assert.deepEqual(loadSchedule({ quiet: true, timetable }), [lecture, essay]);
+  assert.deepEqual(fs.readdirSync(dir).filter(f => f.endsWith(".tmp")), []);
+});
+
+test("every save is recorded in the history and can be undone", () => {
+  saveSchedule([lecture], { quiet: true, timetable, change: "added Lecture" });
+  saveSchedule([lecture, essay], { quiet: true, timetable, change: "added Essay" });
+  assert.deepEqual(readHistory(timetable).map(h => h.summary), ["added Lecture", "added Essay"]);
+  assert.equal(undoChange({ quiet: true, timetable }).summary, "added Essay");
+  assert.deepEqual(loadSchedule({ quiet: true, timetable }), [lecture]);
+});
+
+test("a damaged last history line does not break the next save", () => {
+  saveSchedule([lecture], { quiet: true, timetable, change: "added Lecture" });
+  fs.appendFileSync(at("schedule.history.jsonl"), "{\"seq\": 2, \"events\": [");
+  saveSchedule([lecture, essay], { quiet: true, timetable, change: "added Essay" });
+  assert.deepEqual(readHistory(timetable).map(h => [h.seq, h.summary]), [[1, "added Lecture"], [2, "added Essay"]]);
+});
+
+test("the history is cut back to its newest entries, keeping undo / redo working", () => {
+  const names = () => loadSchedule({ quiet: true, timetable }).map(e => e.event);
+  for (let i = 1; i <= 298; i++) saveSchedule([{ ...lecture, event: `Lecture ${i}` }], { quiet: true, timetable, change: `rename ${i}` });
+  undoChange({ quiet: true, timetable });
+  // the second undo is entry 300, which compacts the log with two changes waiting to be redone
+  undoChange({ quiet: true, timetable });
+  const history = readHistory(timetable);
+  assert.ok(history.length <= 200, `${history.length} entries kept`);
+  assert.equal(history[history.length - 1].seq, 300);
+  assert.deepEqual(names(), ["Lecture 296"]);
+  assert.equal(redoChange({ quiet: true, timetable }).summary, "rename 297");
+  assert.equal(redoChange({ quiet: true, timetable }).summary, "rename 298");
+  assert.equal(redoChange({ quiet: true, timetable }), null);
+  assert.deepEqual(names(), ["Lecture 298"]);
+  // undo reaches back only as far as the kept entries go (the undos compact the log too)
+  let undone = 0;
+  while (undoChange({ quiet: true, timetable })) undone++;
+  assert.ok(undone > 50 && undone < 200, `${undone} undos`);
+  assert.deepEqual(names(), readHistory(timetable).find(h => h.action === "change").events.map(e => e.event));
+});
+
+test("saveSchedule reports dependency timing problems", () => {
+  // the prerequisite ends after the deadline that depends on it
+  const late = { ...lecture, day: "Saturday" };
+  const issues = saveSchedule([late, essay], { quiet: true, timetable });
+  assert.equal(issues.length, 1);
+  assert.deepEqual(loadSchedule({ quiet: true, timetable }), [late, essay]);
+});
+
+test("a version 1 file (bare array from backend.c) is migrated and backed up", t => {
+  quietly(t);
+  const v1 = [
+    { event: "Lecture", day: "Monday", start: "10:00", end: "11:00", type: "fixed" },
+    { event: "Essay", day: "Friday", deadline: "23:59", type: "deadline", depends_on: "Lecture" }
+  ];
+  fs.writeFileSync(timetable.file, JSON.stringify(v1));
+  const loaded = loadSchedule({ timetable });
+  assert.equal(loaded.length, 2);
+  assert.ok(loaded.every(e => typeof e.id === "string" && e.id));
+  assert.equal(loaded[1].start, "N/A");
+  assert.equal(loaded[1].end, "23:59");
+  assert.equal(loaded[1].deadline, undefined);
+  assert.deepEqual(loaded[1].depends_on, [loaded[0].id]);
+  assert.ok(fs.readdirSync(dir).some(f => f.startsWith("schedule.json.v1-")));
+  // the migrated file is written back in the current format
+  assert.equal(JSON.parse(fs.readFileSync(timetable.file, "utf8")).version, SCHEMA_VERSION);
+  assert.deepEqual(loadSchedule({ quiet: true, timetable }), loaded);
+});
+
+test("a file that is not JSON is moved aside and loads as empty", t => {
+  quietly(t);
+  fs.writeFileSync(timetable.file, "{ not json");
+  assert.deepEqual(loadSchedule({ timetable }), []);
+  assert.equal(fs.existsSync(timetable.file), false);
+  const moved = fs.readdirSync(dir).find(f => f.startsWith("schedule.json.corrupt-"));
+  assert.equal(fs.readFileSync(at(moved), "utf8"), "{ not json");
+});
+
+test("invalid records are set aside and the full file is kept", t => {
+  quietly(t);
+  const broken = { id: "9", event: "Broken", day: "Funday", start: "25:00", end: "10:00", type: "fixed" };
+  const orphan = { ...essay, depends_on: ["missing"] };
+  fs.writeFileSync(timetable.file, JSON.stringify({ version: SCHEMA_VERSION, events: [lecture, broken, orphan] }));
+  const loaded = loadSchedule({ timetable });
+  assert.deepEqual(loaded.map(e => e.id), ["1", "2"]);
+  assert.equal(loaded[1].depends_on, null);
+  const backup = fs.readdirSync(dir).find(f => f.startsWith("schedule.json.invalid-"));
+  assert.equal(JSON.parse(fs.readFileSync(at(backup), "utf8")).events.length, 3);
+});
+
+test("categories and tags with characters they cannot hold are cleaned up on load", t => {
+  quietly(t);
+  const odd = { ...lecture, category: "Club|<b>x</b>", tags: ["<svg/onload=alert(1)>", "ok"] };
+  fs.writeFileSync(timetable.file, JSON.stringify({ version: SCHEMA_VERSION, events: [odd] }));
+  const [loaded] = loadSchedule({ timetable });
+  assert.equal(loaded.category, "club-b-x-b");
+  assert.deepEqual(loaded.tags, ["svg-onload-alert-1", "ok"]);
+});
+
+test("a file from a newer version is refused, not overwritten", () => {
+  const text = JSON.stringify({ version: SCHEMA_VERSION + 1, events: [] });
+  fs.writeFileSync(timetable.file, text);
+  assert.throws(() => loadSchedule({ timetable }), /schema version/);
+  assert.equal(fs.readFileSync(timetable.file, "utf8"), text);
+});
+
+test("writeFileAtomic replaces the file in one step", () => {
+  writeFileAtomic(at("out.json"), "first");
+  writeFileAtomic(at("out.json"), "second");
+  assert.equal(fs.readFileSync(at("out.json"), "utf8"), "second");
+  assert.deepEqual(fs.readdirSync(dir), ["out.json"]);
+});
+
+test("writeFileAtomic cleans up its temp file when the write fails", () => {
+  assert.throws(() => writeFileAtomic(at(path.join("no-such-dir", "out.json")), "x"));
+  fs.mkdirSync(at("target.json"));
+  assert.throws(() => writeFileAtomic(at("target.json"), "x"));
+  assert.deepEqual(fs.readdirSync(dir).filter(f => f.endsWith(".tmp")), []);
+});